@@ -7,1288 +7,4711 @@
  *
  * WebSocket endpoint: /ws
  * Messages:
- *  - create_public_and_submit {theme, dataUrl} -> created_public + frame_committed
+ *  - hello {locale?, binary?, sessionToken?, lastSeq?, contributorSecret?, nickname?} -> welcome {sessionToken, resumed, contributorId} (+ session_resumed and missed events when resumed)
+ *  - create_public_and_submit {theme, dataUrl, template?, background?, visibility?, passphrase?, idempotencyKey?} -> created_public {.., ownerToken} + frame_committed
+ *    (template: short 12f/3fps | standard 30f/6fps | long 60f/12fps; the room keeps its frameCount / fps / canvas)
+ *  - publish_room {roomId, ownerToken} -> room_published (invite-only -> public)
+ *  - owner_update_room {roomId, ownerToken, theme?, visibility?, passphrase?} -> room_updated {.., changed} (theme only while DRAWING)
+ *  - owner_delete_room {roomId, ownerToken} -> room_deleted (also pushed to everyone in the room; removed from index, backups and blobs)
  *  - join_random -> room_joined
- *  - join_by_id {roomId} -> room_joined
- *  - join_room {roomId, view?, reservationToken?} -> room_state
+ *  - join_by_id {roomId, preferredFrameIndex?, passphrase?} -> room_joined (FRAME_NOT_FREE {freeFrames} when that frame is taken)
+ *    (invite-only rooms: passphrase once per session, else PASSPHRASE_REQUIRED / WRONG_PASSPHRASE; never in join_random or lists)
+ *    (room_joined carries onionSkin {before, after}: the nearest committed frames around the assigned one)
+ *  - join_room {roomId, view?, reservationToken?, preferredFrameIndex?, passphrase?} -> room_state (room_joined when preferredFrameIndex reserved a frame)
+ *  - list_free_frames {roomId} -> free_frames {frames: [{frameIndex, state: committed|reserved|free, reservedUntil?, mine?}], freeFrames}
  *  - resync {roomId?} -> room_state
  *  - get_frame {roomId, frameIndex} -> frame_data
- *  - submit_frame {roomId, frameIndex, reservationToken, dataUrl} -> submitted + frame_committed (+ start_playback when completed)
+ *  - get_frames {roomId, frameIndices? | from?, to?, have?: {frameIndex: version}} -> frames_data (changed frames + empty markers)
+ *  - submit_frame {roomId, frameIndex, reservationToken, dataUrl, idempotencyKey?} -> submitted + frame_committed (+ start_playback when completed)
+ *    (submit_frame / create_public_and_submit may also carry contributorSecret? / nickname?, overriding hello;
+ *     frame_committed and roomState {committedAt, credits} expose only the derived contributorId, never the secret or IP)
+ *  - extend_reservation {roomId, reservationToken} -> reservation_extended
+ *  - cancel_reservation {roomId, reservationToken} -> reservation_cancelled + frame_released
+ *  - reservation_status {roomId, reservationToken} -> reservation_status
+ *  (server push) frame_released {roomId, frameIndex, reason} when a reserved frame becomes free again (cancelled/expired)
+ *  (server push) server_restarting {reason, reconnectAfterMs} before a graceful shutdown; sockets then close with 1012
+ *
+ *  Any request may carry a top-level `reqId`; direct replies (including errors) echo it back.
+ *  Room events (frame_committed / start_playback / frame_released) carry a per-room `seq` and are buffered briefly for resume.
+ *  Binary mode (hello {binary:true}): submit_frame / create_public_and_submit may be sent, and frame_data is received,
+ *  as a binary message = [uint32 BE header length][UTF-8 JSON envelope without dataUrl][raw image bytes].
+ *
+ * HTTP (read-only, cacheable via ETag/Last-Modified; quarantined rooms are 404):
+ *  - GET /api/rooms/:roomId -> roomState JSON
+ *  - GET /api/rooms/:roomId/frames/:n.png -> image bytes of a committed frame
+ *  - GET /api/public/completed?sort=new|rank&limit= -> {sort, items}
+ *  - GET /api/rooms/:roomId/anim.gif | anim.apng -> server-rendered animation of a completed room (cached on disk)
+ *
+ * Embedding: require("./server.cjs").createAnim5sServer({ dataDir, clock, config }) -> {start, stop, ...};
+ *            `node server.cjs` is a thin wrapper that passes process.env as config.
+ *
+ * CLI: node server.cjs restore [--at <ms|ISO>] [--room <roomId>] [--newer-rooms keep|quarantine|remove] [--dry-run]  (also /admin/restore, dry-run unless dryRun=0)
+ *      node server.cjs migrate [--dry-run]  (also /admin/migrate, dry-run unless dryRun=0)
+ *      node server.cjs fsck [--repair]  (also /admin/fsck, report only unless repair=1)
  */
 const http = require("http");
 const WebSocket = require("ws");
 const fs = require("fs");
 const path = require("path");
+const crypto = require("crypto");
+const zlib = require("zlib");
+const { promisify } = require("util");
+const { Worker, isMainThread, parentPort, workerData } = require("worker_threads");
+
+// --- PNG / animation codecs ---
+// Module level (no server state) so the animation render worker can load them without building a server.
+const PNG_SIGNATURE = Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]);
+
+const CRC_TABLE = (() => {
+  const t = new Uint32Array(256);
+  for (let n=0;n<256;n++){
+    let c = n;
+    for (let k=0;k<8;k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+    t[n] = c >>> 0;
+  }
+  return t;
+})();
 
-const PORT = process.env.PORT || 3000;
-const ADMIN_KEY = String(process.env.ADMIN_KEY || "");
-
-// Persist/cache
-const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "data");
-const ROOMS_DIR = path.join(DATA_DIR, "rooms");
-const INDEX_FILE = path.join(DATA_DIR, "rooms_index.json");
-fs.mkdirSync(ROOMS_DIR, { recursive: true });
-
-// Backups (incremental snapshots)
-const BACKUP_DIR = path.join(DATA_DIR, "backups");
-fs.mkdirSync(BACKUP_DIR, { recursive: true });
-const BACKUP_INTERVAL_MS = Number(process.env.BACKUP_INTERVAL_MS || 30 * 60 * 1000); // 30 min
-const BACKUP_KEEP = Number(process.env.BACKUP_KEEP || 24);
-
-// Track changed rooms for incremental backups
-const dirtyRoomIds = new Set();
-let lastBackupAt = 0;
-
-const ROOM_CACHE_MAX = Number(process.env.ROOM_CACHE_MAX || 80);
-const ROOM_CACHE_IDLE_MS = Number(process.env.ROOM_CACHE_IDLE_MS || 5 * 60 * 1000); // 5 min
-
-// Reservation
-const RESERVATION_MS = Number(process.env.RESERVATION_MS || 3 * 60 * 1000);
-
-// --- Animation constants (V51 / spec change) ---
-// 5 seconds animation: 6 fps => 30 frames
-const FRAME_COUNT = 30;
-const FPS = 6;
-
-// --- Step4: minimal ops tooling ---
-// Quarantine list (rooms treated as "not found")
-const QUARANTINE_FILE = path.join(DATA_DIR, "quarantine.json");
-let quarantineSet = new Set();
-
-// Minimal rate limiting (per IP + message type)
-const RATE_BUCKETS = new Map(); // key -> {count, resetAt}
-const RATE_DEFAULT = { windowMs: 10_000, max: 50 };
-const RATE_BY_OP = {
-  hello: { windowMs: 10_000, max: 120 },
-  get_frame: { windowMs: 10_000, max: 90 },
-  join_room: { windowMs: 10_000, max: 40 },
-  resync: { windowMs: 10_000, max: 30 },
-  join_random: { windowMs: 10_000, max: 18 },
-  join_by_id: { windowMs: 10_000, max: 18 },
-  create_public_and_submit: { windowMs: 60_000, max: 12 },
-  submit_frame: { windowMs: 60_000, max: 10 },
-  // V50: public completed list + GIF save count
-  list_public_completed: { windowMs: 10_000, max: 20 },
-  gif_saved: { windowMs: 10_000, max: 30 },
-};
-
-const THEME_POOL = [
-  "走る犬","くるま","宇宙人","おにぎり","雨の日","ジャンプ","落下","変身","ねこパンチ",
-  "通勤時間","料理","かくれんぼ","風船","雪だるま","電車","魔法","釣り","ダンス"
-];
-
-
-// --- Step3: basic monitoring (metrics + structured logs) ---
-const STARTED_AT = Date.now();
-const METRICS = {
-  counters: Object.create(null),
-  ms: Object.create(null), // op -> {count,sum,max}
-};
-let LAST_ERROR = { ts: 0, code: "", message: "" };
-
-function metricKey(s){
-  return String(s || "unknown").replace(/[^a-zA-Z0-9_]/g, "_");
-}
-function inc(name, n=1){
-  const k = metricKey(name);
-  METRICS.counters[k] = (METRICS.counters[k] || 0) + (Number(n) || 0);
-}
-function observeMs(op, ms){
-  const k = metricKey(op);
-  let o = METRICS.ms[k];
-  if (!o) o = METRICS.ms[k] = { count: 0, sum: 0, max: 0 };
-  o.count += 1;
-  o.sum += ms;
-  if (ms > o.max) o.max = ms;
-}
-function uptimeSec(){
-  return Math.max(0, Math.floor((Date.now() - STARTED_AT) / 1000));
+function crc32(buf){
+  let c = 0xFFFFFFFF;
+  for (let i=0;i<buf.length;i++) c = CRC_TABLE[(c ^ buf[i]) & 0xFF] ^ (c >>> 8);
+  return (c ^ 0xFFFFFFFF) >>> 0;
 }
-function logLine(level, event, data){
-  try{
-    const out = Object.assign({ ts: new Date().toISOString(), level, event }, data || {});
-    console.log(JSON.stringify(out));
-  }catch(e){
-    console.log(level, event);
+
+// [{type, data, crcOk}] up to IEND, or null when the bytes are not a well-formed PNG chunk stream
+function readPngChunks(bytes){
+  if (!bytes || bytes.length < 8 || !bytes.subarray(0, 8).equals(PNG_SIGNATURE)) return null;
+  const chunks = [];
+  let off = 8;
+  while (off + 12 <= bytes.length){
+    const len = bytes.readUInt32BE(off);
+    const type = bytes.toString("latin1", off + 4, off + 8);
+    if (off + 12 + len > bytes.length) return null;
+    const crcOk = crc32(bytes.subarray(off + 4, off + 8 + len)) === bytes.readUInt32BE(off + 8 + len);
+    chunks.push({ type, data: bytes.subarray(off + 8, off + 8 + len), crcOk });
+    off += 12 + len;
+    if (type === "IEND") break;
   }
+  return chunks;
 }
 
-function now(){ return Date.now(); }
-function randTheme(){ return THEME_POOL[Math.floor(Math.random()*THEME_POOL.length)]; }
-function id7(){ return Math.random().toString(36).slice(2,9).toUpperCase(); }
-function token(){ return Math.random().toString(36).slice(2) + "-" + Math.random().toString(36).slice(2); }
-
-const ROOM_ID_RE = /^[A-Z0-9]{6,12}$/;
-function normalizeRoomId(x){
-  const id = String(x || "").trim().toUpperCase();
-  if (!ROOM_ID_RE.test(id)) return "";
-  return id;
+function pngChunk(type, data){
+  const head = Buffer.alloc(8);
+  head.writeUInt32BE(data.length, 0);
+  head.write(type, 4, "latin1");
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([head.subarray(4), data])), 0);
+  return Buffer.concat([head, data, crc]);
 }
 
-function validatePngDataUrl(s){
-  if (typeof s !== "string") return false;
-  if (!s.startsWith("data:image/")) return false;
-  if (s.length > 1_500_000) return false;
-  return true;
+function pngSize(bytes){
+  const chunks = readPngChunks(bytes);
+  const ihdr = chunks && chunks[0] && chunks[0].type === "IHDR" ? chunks[0].data : null;
+  if (!ihdr || ihdr.length < 13) return null;
+  return { width: ihdr.readUInt32BE(0), height: ihdr.readUInt32BE(4) };
 }
 
-function safeReadJson(fp){
-  try{ return JSON.parse(fs.readFileSync(fp, "utf8")); }catch(e){ return null; }
-}
+// PNG -> {width, height, rgba}. Supports every non-interlaced color type / bit depth.
+function decodePng(bytes, maxPixels){
+  const chunks = readPngChunks(bytes);
+  if (!chunks) throw new Error("not a PNG");
+  const ihdr = chunks[0] && chunks[0].type === "IHDR" ? chunks[0].data : null;
+  if (!ihdr || ihdr.length < 13) throw new Error("missing IHDR");
+  const width = ihdr.readUInt32BE(0);
+  const height = ihdr.readUInt32BE(4);
+  const depth = ihdr[8];
+  const colorType = ihdr[9];
+  if (!width || !height || width * height > maxPixels) throw new Error("bad PNG size");
+  if (ihdr[12] !== 0) throw new Error("interlaced PNG is not supported");
+  const channels = { 0:1, 2:3, 3:1, 4:2, 6:4 }[colorType];
+  if (!channels || ![1,2,4,8,16].includes(depth)) throw new Error("bad PNG format");
+
+  const plte = chunks.find(c => c.type === "PLTE");
+  const trns = chunks.find(c => c.type === "tRNS");
+  if (colorType === 3 && !plte) throw new Error("missing PLTE");
+  const raw = zlib.inflateSync(Buffer.concat(chunks.filter(c => c.type === "IDAT").map(c => c.data)));
+
+  const bitsPP = channels * depth;
+  const stride = Math.ceil(width * bitsPP / 8);
+  const bpp = Math.max(1, bitsPP >> 3);
+  if (raw.length < height * (stride + 1)) throw new Error("truncated PNG data");
+
+  // undo scanline filters
+  const data = Buffer.alloc(height * stride);
+  for (let y=0;y<height;y++){
+    const ft = raw[y * (stride + 1)];
+    const src = y * (stride + 1) + 1;
+    const row = y * stride;
+    const prev = row - stride;
+    for (let x=0;x<stride;x++){
+      const a = x >= bpp ? data[row + x - bpp] : 0;
+      const b = y > 0 ? data[prev + x] : 0;
+      const c = (y > 0 && x >= bpp) ? data[prev + x - bpp] : 0;
+      let v = raw[src + x];
+      if (ft === 1) v += a;
+      else if (ft === 2) v += b;
+      else if (ft === 3) v += (a + b) >> 1;
+      else if (ft === 4){
+        const p = a + b - c;
+        const pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+        v += (pa <= pb && pa <= pc) ? a : (pb <= pc ? b : c);
+      }else if (ft !== 0) throw new Error("bad PNG filter");
+      data[row + x] = v & 255;
+    }
+  }
 
-function atomicWriteFile(fp, data){
-  const dir = path.dirname(fp);
-  try{ fs.mkdirSync(dir, { recursive: true }); }catch(e){}
-  const tmp = fp + ".tmp_" + process.pid + "_" + Date.now();
-  fs.writeFileSync(tmp, data);
-  fs.renameSync(tmp, fp);
+  const rgba = Buffer.alloc(width * height * 4);
+  const maxV = (1 << Math.min(depth, 8)) - 1;
+  const sample = (p, i) => depth === 16 ? data.readUInt16BE(p + i * 2) : data[p + i];
+  const to8 = (v) => depth === 16 ? (v >> 8) : (depth < 8 ? Math.round(v * 255 / maxV) : v);
+  const trnsKey = (trns && (colorType === 0 || colorType === 2))
+    ? Array.from({ length: colorType === 0 ? 1 : 3 }, (_, i) => trns.data.readUInt16BE(i * 2))
+    : null;
+  for (let y=0;y<height;y++){
+    const row = y * stride;
+    for (let x=0;x<width;x++){
+      const o = (y * width + x) * 4;
+      let r, g, b, a = 255;
+      if (depth < 8){
+        const bit = x * depth;
+        const v = (data[row + (bit >> 3)] >> (8 - depth - (bit & 7))) & maxV;
+        if (colorType === 3){
+          r = plte.data[v * 3]; g = plte.data[v * 3 + 1]; b = plte.data[v * 3 + 2];
+          if (trns && v < trns.data.length) a = trns.data[v];
+        }else{
+          r = g = b = to8(v);
+          if (trnsKey && v === trnsKey[0]) a = 0;
+        }
+      }else{
+        const p = row + x * channels * (depth >> 3);
+        if (colorType === 3){
+          const v = data[p];
+          r = plte.data[v * 3]; g = plte.data[v * 3 + 1]; b = plte.data[v * 3 + 2];
+          if (trns && v < trns.data.length) a = trns.data[v];
+        }else if (colorType === 0 || colorType === 4){
+          const v = sample(p, 0);
+          r = g = b = to8(v);
+          if (colorType === 4) a = to8(sample(p, 1));
+          else if (trnsKey && v === trnsKey[0]) a = 0;
+        }else{
+          const sr = sample(p, 0), sg = sample(p, 1), sb = sample(p, 2);
+          r = to8(sr); g = to8(sg); b = to8(sb);
+          if (colorType === 6) a = to8(sample(p, 3));
+          else if (trnsKey && sr === trnsKey[0] && sg === trnsKey[1] && sb === trnsKey[2]) a = 0;
+        }
+      }
+      rgba[o] = r; rgba[o + 1] = g; rgba[o + 2] = b; rgba[o + 3] = a;
+    }
+  }
+  return { width, height, rgba };
 }
 
-// --- Step4: quarantine persistence ---
-function loadQuarantineSet(){
-  const obj = safeReadJson(QUARANTINE_FILE);
-  const ids = Array.isArray(obj?.roomIds) ? obj.roomIds : (Array.isArray(obj) ? obj : []);
-  const set = new Set();
-  for (const x of ids){
-    const rid = normalizeRoomId(x);
-    if (rid) set.add(rid);
+// place a decoded frame at (0,0) of a width x height canvas (uncovered area stays transparent)
+function fitFrame(frame, width, height){
+  if (frame.width === width && frame.height === height) return frame.rgba;
+  const out = Buffer.alloc(width * height * 4);
+  const w = Math.min(width, frame.width);
+  for (let y=0;y<Math.min(height, frame.height);y++){
+    frame.rgba.copy(out, y * width * 4, y * frame.width * 4, (y * frame.width + w) * 4);
   }
-  return set;
+  return out;
 }
 
-function saveQuarantineSet(){
-  try{
-    const payload = { updatedAt: now(), roomIds: Array.from(quarantineSet) };
-    atomicWriteFile(QUARANTINE_FILE, JSON.stringify(payload));
-  }catch(e){}
+// GIF frame delays are in 1/100s: spread the rounding so the total length still matches fps
+function gifDelays(count, fps){
+  const out = [];
+  for (let i=0;i<count;i++) out.push(Math.round((i + 1) * 100 / fps) - Math.round(i * 100 / fps));
+  return out;
 }
 
-quarantineSet = loadQuarantineSet();
+function flattenPixel(rgba, o, bg){
+  const a = rgba[o + 3];
+  if (a === 255) return [rgba[o], rgba[o + 1], rgba[o + 2]];
+  const r = (rgba[o] * a + bg[0] * (255 - a)) / 255;
+  const g = (rgba[o + 1] * a + bg[1] * (255 - a)) / 255;
+  const b = (rgba[o + 2] * a + bg[2] * (255 - a)) / 255;
+  return [Math.round(r), Math.round(g), Math.round(b)];
+}
 
-function isLocalAddress(addr){
-  const a = String(addr || "");
-  return a === "127.0.0.1" || a === "::1" || a === "::ffff:127.0.0.1";
+// Variable-length LZW as required by GIF (LSB-first codes, packed into 255-byte sub-blocks)
+function gifLzw(indices, minCodeSize){
+  const clearCode = 1 << minCodeSize;
+  const eoiCode = clearCode + 1;
+  const out = [];
+  let cur = 0, curBits = 0;
+  let codeSize = minCodeSize + 1;
+  let next = eoiCode + 1;
+  let table = new Map();
+  const emit = (code) => {
+    cur |= code << curBits;
+    curBits += codeSize;
+    while (curBits >= 8){
+      out.push(cur & 255);
+      cur >>>= 8;
+      curBits -= 8;
+    }
+  };
+  emit(clearCode);
+  let prefix = indices[0];
+  for (let i=1;i<indices.length;i++){
+    const k = indices[i];
+    const key = (prefix << 8) | k;
+    const code = table.get(key);
+    if (code !== undefined){
+      prefix = code;
+      continue;
+    }
+    emit(prefix);
+    if (next === 4096){
+      emit(clearCode);
+      table = new Map();
+      codeSize = minCodeSize + 1;
+      next = eoiCode + 1;
+    }else{
+      if (next >= (1 << codeSize)) codeSize++;
+      table.set(key, next++);
+    }
+    prefix = k;
+  }
+  emit(prefix);
+  emit(eoiCode);
+  if (curBits > 0) out.push(cur & 255);
+
+  const bytes = Buffer.from(out);
+  const blocks = [Buffer.from([minCodeSize])];
+  for (let i=0;i<bytes.length;i+=255){
+    const part = bytes.subarray(i, i + 255);
+    blocks.push(Buffer.from([part.length]), part);
+  }
+  blocks.push(Buffer.from([0]));
+  return Buffer.concat(blocks);
 }
 
-function isAdminAuthorized(req, urlObj){
-  if (ADMIN_KEY){
-    const qk = String(urlObj?.searchParams?.get("key") || "");
-    const hk = String(req.headers["x-admin-key"] || "");
-    return (qk && qk === ADMIN_KEY) || (hk && hk === ADMIN_KEY);
+// frameBytes: PNG byte buffers. One global 256-color palette (most used colors across all frames,
+// averaged per 15-bit bin) fits hand-drawn frames with flat colors well.
+function encodeGif(frameBytes, fps, bg, maxPixels){
+  const sizes = frameBytes.map(pngSize);
+  const width = Math.max(...sizes.map(s => s ? s.width : 1));
+  const height = Math.max(...sizes.map(s => s ? s.height : 1));
+  const binKey = (r, g, b) => ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+
+  // pass 1: histogram (frames are decoded again in pass 2 to keep memory flat)
+  const counts = new Float64Array(32768);
+  const sums = new Float64Array(32768 * 3);
+  for (const bytes of frameBytes){
+    const rgba = fitFrame(decodePng(bytes, maxPixels), width, height);
+    for (let o=0;o<rgba.length;o+=4){
+      const [r, g, b] = flattenPixel(rgba, o, bg);
+      const k = binKey(r, g, b);
+      counts[k]++;
+      sums[k * 3] += r; sums[k * 3 + 1] += g; sums[k * 3 + 2] += b;
+    }
   }
-  return isLocalAddress(req.socket.remoteAddress);
+  const bins = [];
+  for (let k=0;k<32768;k++) if (counts[k]) bins.push(k);
+  bins.sort((a, b) => counts[b] - counts[a]);
+  const palette = bins.slice(0, 256).map(k => [
+    Math.round(sums[k * 3] / counts[k]), Math.round(sums[k * 3 + 1] / counts[k]), Math.round(sums[k * 3 + 2] / counts[k]),
+  ]);
+  while (palette.length < 256) palette.push([0, 0, 0]);
+
+  const lookup = new Int16Array(32768).fill(-1);
+  const nearest = (r, g, b) => {
+    const k = binKey(r, g, b);
+    if (lookup[k] >= 0) return lookup[k];
+    let best = 0, bestD = Infinity;
+    for (let i=0;i<palette.length;i++){
+      const dr = palette[i][0] - r, dg = palette[i][1] - g, db = palette[i][2] - b;
+      const dist = dr * dr * 3 + dg * dg * 4 + db * db * 2;
+      if (dist < bestD){ bestD = dist; best = i; }
+    }
+    lookup[k] = best;
+    return best;
+  };
+
+  const parts = [];
+  const screen = Buffer.alloc(13);
+  screen.write("GIF89a", 0, "latin1");
+  screen.writeUInt16LE(width, 6);
+  screen.writeUInt16LE(height, 8);
+  screen[10] = 0xF7; // global color table, 8 bits/color, 256 entries
+  parts.push(screen, Buffer.from(palette.flat()));
+  // NETSCAPE2.0: loop forever
+  parts.push(Buffer.from([0x21, 0xFF, 0x0B]), Buffer.from("NETSCAPE2.0", "latin1"), Buffer.from([0x03, 0x01, 0x00, 0x00, 0x00]));
+
+  const delays = gifDelays(frameBytes.length, fps);
+  frameBytes.forEach((bytes, i) => {
+    const rgba = fitFrame(decodePng(bytes, maxPixels), width, height);
+    const indices = new Uint8Array(width * height);
+    for (let p=0, o=0;p<indices.length;p++, o+=4){
+      const [r, g, b] = flattenPixel(rgba, o, bg);
+      indices[p] = nearest(r, g, b);
+    }
+    const gce = Buffer.from([0x21, 0xF9, 0x04, 0x04, 0, 0, 0, 0x00]); // disposal: do not dispose
+    gce.writeUInt16LE(delays[i], 4);
+    const desc = Buffer.alloc(10);
+    desc[0] = 0x2C;
+    desc.writeUInt16LE(width, 5);
+    desc.writeUInt16LE(height, 7);
+    parts.push(gce, desc, gifLzw(indices, 8));
+  });
+  parts.push(Buffer.from([0x3B]));
+  return Buffer.concat(parts);
 }
 
-function sendJson(res, code, obj){
-  res.writeHead(code, { "content-type":"application/json; charset=utf-8" });
-  res.end(JSON.stringify(obj));
+function encodeApng(frameBytes, fps, maxPixels){
+  const sizes = frameBytes.map(pngSize);
+  const width = Math.max(...sizes.map(s => s ? s.width : 1));
+  const height = Math.max(...sizes.map(s => s ? s.height : 1));
+
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8; ihdr[9] = 6; // 8-bit RGBA
+  const actl = Buffer.alloc(8);
+  actl.writeUInt32BE(frameBytes.length, 0);
+  actl.writeUInt32BE(0, 4); // loop forever
+  const parts = [PNG_SIGNATURE, pngChunk("IHDR", ihdr), pngChunk("acTL", actl)];
+
+  let seq = 0;
+  frameBytes.forEach((bytes, i) => {
+    const rgba = fitFrame(decodePng(bytes, maxPixels), width, height);
+    const fctl = Buffer.alloc(26);
+    fctl.writeUInt32BE(seq++, 0);
+    fctl.writeUInt32BE(width, 4);
+    fctl.writeUInt32BE(height, 8);
+    fctl.writeUInt16BE(1, 20); // delay = 1/fps s
+    fctl.writeUInt16BE(fps, 22);
+    parts.push(pngChunk("fcTL", fctl));
+
+    const rows = Buffer.alloc(height * (width * 4 + 1)); // filter 0 on every scanline
+    for (let y=0;y<height;y++) rgba.copy(rows, y * (width * 4 + 1) + 1, y * width * 4, (y + 1) * width * 4);
+    const z = zlib.deflateSync(rows);
+    if (i === 0){
+      parts.push(pngChunk("IDAT", z));
+    }else{
+      const s = Buffer.alloc(4);
+      s.writeUInt32BE(seq++, 0);
+      parts.push(pngChunk("fdAT", Buffer.concat([s, z])));
+    }
+  });
+  parts.push(pngChunk("IEND", Buffer.alloc(0)));
+  return Buffer.concat(parts);
 }
 
-// --- Step4: minimal rate limiting ---
-function checkRateLimit(ip, op){
-  const cfg = RATE_BY_OP[op] || RATE_DEFAULT;
-  const t = now();
-  const key = String(ip || "unknown") + "|" + String(op || "unknown");
-  let e = RATE_BUCKETS.get(key);
-  if (!e || !Number.isFinite(e.resetAt) || e.resetAt <= t){
-    e = { count: 0, resetAt: t + cfg.windowMs };
-  }
-  e.count += 1;
-  RATE_BUCKETS.set(key, e);
-  if (e.count > cfg.max){
-    return { ok:false, retryAfterMs: Math.max(0, e.resetAt - t) };
+// Render worker entry: workerData.anim5sRender = {format, frames, fps, bg, maxPixels} -> posts {ok, bytes} | {ok:false, message}
+function runRenderWorker(job){
+  try{
+    const frames = job.frames.map(f => Buffer.from(f.buffer, f.byteOffset, f.byteLength));
+    const out = (job.format === "gif") ? encodeGif(frames, job.fps, job.bg, job.maxPixels) : encodeApng(frames, job.fps, job.maxPixels);
+    parentPort.postMessage({ ok:true, bytes: out });
+  }catch(e){
+    parentPort.postMessage({ ok:false, message: String(e && e.message || e) });
   }
-  return { ok:true, retryAfterMs: 0 };
 }
 
-setInterval(() => {
-  const t = now();
-  for (const [k,e] of RATE_BUCKETS.entries()){
-    if (!e || !Number.isFinite(e.resetAt) || e.resetAt <= t) RATE_BUCKETS.delete(k);
-  }
-}, 30_000);
+/**
+ * Build a server instance. Creating it opens the store and loads the index; nothing listens and
+ * no timers run until start().
+ * opts:
+ *  - dataDir: storage root for the fs backend (default: config.DATA_DIR, then ./data)
+ *  - clock: {now(), setInterval?, clearInterval?} (default: Date.now and the global timers)
+ *  - config: settings keyed by their env var names (RESERVATION_MS, FRAME_COUNT, RATE_LIMITS, ROOM_TEMPLATES, ...);
+ *    nothing is read from process.env here, the CLI passes it in
+ *  - logToStderr: print log lines on stderr (CLI commands keep stdout for their report)
+ *  - log: function(entry) that receives each log entry instead of printing it
+ *  - store: reopen the data of an earlier instance (its `store`) instead of STORAGE_BACKEND; lets tests
+ *    "restart" on the memory backend
+ * -> {start(port?, host?) -> Promise<{port}>, stop() -> Promise, shutdown(reason?) -> Promise, server, wss, store, now, backup, restore, migrate, fsck}
+ */
+function createAnim5sServer(opts){
+  const env = Object.assign({}, opts?.config);
+  const clock = opts?.clock || { now: () => Date.now() };
+  // Periodic jobs are registered here and only scheduled by start(), so stop() can clear them all
+  const timers = []; // [{fn, ms, handle}]
+  function every(fn, ms){ timers.push({ fn, ms, handle: null }); }
+
+  const PORT = env.PORT || 3000;
+  const ADMIN_KEY = String(env.ADMIN_KEY || "");
+
+  // Persist/cache
+  // STORAGE_BACKEND=fs (default) keeps everything under DATA_DIR; "memory" keeps the same layout in process memory.
+  // The *_DIR / *_FILE names below are storage keys ("/"-separated, relative to the storage root), not OS paths.
+  const DATA_DIR = opts?.dataDir || env.DATA_DIR || path.join(__dirname, "data");
+  const STORAGE_BACKEND = String(env.STORAGE_BACKEND || "fs").trim().toLowerCase();
+  const ROOMS_DIR = "rooms";
+  const INDEX_FILE = "rooms_index.json";
+  // Index mutations are appended here (one JSON line each) and folded into INDEX_FILE on compaction
+  const INDEX_JOURNAL_FILE = "rooms_index.journal";
+  const INDEX_COMPACT_ENTRIES = Math.max(1, Number(env.INDEX_COMPACT_ENTRIES || 500));
+  const INDEX_COMPACT_INTERVAL_MS = Number(env.INDEX_COMPACT_INTERVAL_MS || 60 * 1000);
+  // Frame images live in a content-addressed blob store (blobs/<2 hex>/<sha256>.<ext>); room files keep only the refs
+  const BLOBS_DIR = "blobs";
+
+  // Backups (incremental snapshots)
+  const BACKUP_DIR = "backups";
+  const BACKUP_INTERVAL_MS = Number(env.BACKUP_INTERVAL_MS || 30 * 60 * 1000); // 30 min
+  const BACKUP_KEEP = Number(env.BACKUP_KEEP || 24);
+  // Periodic full snapshots (all rooms), kept outside the BACKUP_KEEP rotation
+  const BACKUP_FULL_INTERVAL_MS = Number(env.BACKUP_FULL_INTERVAL_MS || 24 * 60 * 60 * 1000); // 24h
+  const BACKUP_FULL_KEEP = Math.max(1, Number(env.BACKUP_FULL_KEEP || 2));
+
+  // Track changed rooms for incremental backups
+  const dirtyRoomIds = new Set();
+  let lastBackupAt = 0;
+  let lastFullBackupAt = 0; // set from existing manifests once listBackups() is available
+  // Outcome of the backup runs, for /admin/backups and /metrics
+  const backupState = {
+    lastAttemptAt: 0,
+    lastSuccessAt: 0,   // last run where every room was copied
+    lastFailureAt: 0,
+    lastError: "",
+    lastFailedRooms: [],
+    consecutiveFailures: 0,
+  };
 
-function loadIndex(){
-  const obj = safeReadJson(INDEX_FILE);
-  return (obj && typeof obj === "object") ? obj : {};
-}
-let index = loadIndex();
-
-function normalizeIndexMeta(meta){
-  const m = (meta && typeof meta === "object") ? meta : {};
-  const roomId = normalizeRoomId(m.roomId);
-  if (!roomId) return null;
-  const createdAt = Number(m.createdAt || 0) || 0;
-  const updatedAt = Number(m.updatedAt || 0) || 0;
-  const filledCount = Math.max(0, Math.min(FRAME_COUNT, Number(m.filledCount || 0) || 0));
-  const completed = Boolean(m.completed);
-  const gifSaves = Math.max(0, Number(m.gifSaves || 0) || 0);
-  // completedAt may be missing in older data; fall back to updatedAt.
-  const completedAt = completed ? (Number(m.completedAt || 0) || updatedAt || 0) : (Number(m.completedAt || 0) || 0);
-  return {
-    roomId,
-    theme: (m.theme && String(m.theme).trim()) ? String(m.theme).trim() : "",
-    createdAt,
-    updatedAt,
-    filledCount,
-    completed,
-    gifSaves,
-    completedAt,
+  const ROOM_CACHE_MAX = Number(env.ROOM_CACHE_MAX || 80);
+  const ROOM_CACHE_IDLE_MS = Number(env.ROOM_CACHE_IDLE_MS || 5 * 60 * 1000); // 5 min
+
+  // Reservation
+  const RESERVATION_MS = Number(env.RESERVATION_MS || 3 * 60 * 1000);
+  // Extension: each extend_reservation pushes expiresAt to now()+RESERVATION_EXTEND_MS, up to RESERVATION_MAX_EXTENSIONS times
+  const RESERVATION_EXTEND_MS = Number(env.RESERVATION_EXTEND_MS || RESERVATION_MS);
+  const RESERVATION_MAX_EXTENSIONS = Math.max(0, Number(env.RESERVATION_MAX_EXTENSIONS ?? 3) || 0);
+
+  // --- Animation constants (V51 / spec change) ---
+  // 5 seconds animation: 6 fps => 30 frames
+  // (defaults of the "standard" template; every room stores its own frameCount / fps since V52)
+  const FRAME_COUNT = Math.max(1, Number(env.FRAME_COUNT || 30));
+  const FPS = Math.max(1, Number(env.FPS || 6));
+  const ROOM_FRAME_COUNT_MAX = 120;
+  const ROOM_FPS_MAX = 60;
+
+  // Room templates, picked at create_public_and_submit {template}. width/height: exact canvas size (0 = CANVAS_WIDTH/CANVAS_HEIGHT).
+  // Changing a template only affects rooms created afterwards.
+  const ROOM_TEMPLATES = {
+    short: { frameCount: 12, fps: 3, width: 0, height: 0 },
+    standard: { frameCount: FRAME_COUNT, fps: FPS, width: 0, height: 0 },
+    long: { frameCount: 60, fps: 12, width: 0, height: 0 },
   };
-}
+  const DEFAULT_ROOM_TEMPLATE = "standard";
+  const DEFAULT_ROOM_BACKGROUND = "#ffffff";
+
+  // Invite-only rooms (create_public_and_submit {visibility:"invite", passphrase})
+  const PASSPHRASE_MIN_LENGTH = 4;
+  const PASSPHRASE_MAX_LENGTH = 64;
+
+  // Contributor attribution: clients keep a random secret (hello / submit {contributorSecret}) and rooms
+  // store only the ID derived from it, so one person's frames link up without storing the secret or any IP.
+  // CONTRIBUTOR_ID_SALT keeps IDs from being comparable across deployments; changing it changes every ID.
+  const CONTRIBUTOR_ID_SALT = String(env.CONTRIBUTOR_ID_SALT || "");
+  const CONTRIBUTOR_SECRET_RE = /^[A-Za-z0-9_-]{16,128}$/;
+  const CONTRIBUTOR_ID_RE = /^u_[0-9a-f]{16}$/;
+  const NICKNAME_MAX_LENGTH = 24;
+  // config ROOM_TEMPLATES: {name: {frameCount, fps, width?, height?}} overrides / additions (a JSON string when it comes from the environment)
+  try{
+    const over = (typeof env.ROOM_TEMPLATES === "string") ? JSON.parse(env.ROOM_TEMPLATES) : env.ROOM_TEMPLATES;
+    for (const [name, cfg] of Object.entries(over || {})){
+      const frameCount = Number(cfg?.frameCount), fps = Number(cfg?.fps);
+      const width = Number(cfg?.width || 0), height = Number(cfg?.height || 0);
+      if (!/^[a-z0-9_-]{1,32}$/.test(name)) continue;
+      if (!Number.isInteger(frameCount) || frameCount < 1 || frameCount > ROOM_FRAME_COUNT_MAX) continue;
+      if (!Number.isInteger(fps) || fps < 1 || fps > ROOM_FPS_MAX) continue;
+      if (!Number.isInteger(width) || !Number.isInteger(height) || width < 0 || height < 0) continue;
+      ROOM_TEMPLATES[name] = { frameCount, fps, width, height };
+    }
+  }catch(e){}
+
+  // --- Step4: minimal ops tooling ---
+  // Quarantine list (rooms treated as "not found")
+  const QUARANTINE_FILE = "quarantine.json";
+  // Originals of anything a migration would drop (e.g. frames past FRAME_COUNT) are kept here
+  const ARCHIVE_DIR = "archive";
+  let quarantineSet = new Set();
+
+  // Minimal rate limiting (per IP + message type)
+  const RATE_BUCKETS = new Map(); // key -> {count, resetAt}
+  const RATE_DEFAULT = { windowMs: 10_000, max: 50 };
+  const RATE_BY_OP = {
+    hello: { windowMs: 10_000, max: 120 },
+    get_frame: { windowMs: 10_000, max: 90 },
+    join_room: { windowMs: 10_000, max: 40 },
+    resync: { windowMs: 10_000, max: 30 },
+    join_random: { windowMs: 10_000, max: 18 },
+    join_by_id: { windowMs: 10_000, max: 18 },
+    create_public_and_submit: { windowMs: 60_000, max: 12 },
+    submit_frame: { windowMs: 60_000, max: 10 },
+    // V50: public completed list + GIF save count
+    list_public_completed: { windowMs: 10_000, max: 20 },
+    gif_saved: { windowMs: 10_000, max: 30 },
+    // read-only REST API (/api/*), per IP
+    http_api: { windowMs: 10_000, max: 120 },
+    // reservation lifecycle
+    extend_reservation: { windowMs: 10_000, max: 20 },
+    cancel_reservation: { windowMs: 10_000, max: 20 },
+    reservation_status: { windowMs: 10_000, max: 40 },
+    list_free_frames: { windowMs: 10_000, max: 30 },
+    // invite-only rooms: wrong passphrases only (per IP)
+    wrong_passphrase: { windowMs: 10 * 60_000, max: 10 },
+    publish_room: { windowMs: 10_000, max: 10 },
+    owner_update_room: { windowMs: 10_000, max: 10 },
+    owner_delete_room: { windowMs: 60_000, max: 5 },
+    get_frames: { windowMs: 10_000, max: 30 },
+  };
+  // config RATE_LIMITS: {op: {windowMs, max}} overrides (a JSON string when it comes from the environment)
+  try{
+    const over = (typeof env.RATE_LIMITS === "string") ? JSON.parse(env.RATE_LIMITS) : env.RATE_LIMITS;
+    for (const [op, cfg] of Object.entries(over || {})){
+      const windowMs = Number(cfg?.windowMs), max = Number(cfg?.max);
+      if (windowMs > 0 && max >= 0) RATE_BY_OP[op] = { windowMs, max };
+    }
+  }catch(e){}
+
+  // Session resume: sessions outlive their socket for SESSION_TTL_MS; each room keeps its recent events for replay
+  const SESSION_TTL_MS = Number(env.SESSION_TTL_MS || 30 * 60 * 1000); // 30 min
+  const EVENT_BUFFER_MAX = Number(env.EVENT_BUFFER_MAX || 100);
+  const EVENT_BUFFER_MS = Number(env.EVENT_BUFFER_MS || 10 * 60 * 1000); // 10 min
+
+  // Keepalive: ping every WS_PING_INTERVAL_MS; a socket that hasn't answered within WS_PONG_TIMEOUT_MS is terminated
+  const WS_PING_INTERVAL_MS = Number(env.WS_PING_INTERVAL_MS || 30_000);
+  const WS_PONG_TIMEOUT_MS = Number(env.WS_PONG_TIMEOUT_MS || 10_000);
+  // Backpressure: frame payloads are refused while a socket already has this much unsent data queued
+  const WS_MAX_BUFFERED_BYTES = Number(env.WS_MAX_BUFFERED_BYTES || 8_000_000);
+
+  // Graceful shutdown (SIGTERM/SIGINT): clients are told to reconnect after ~SHUTDOWN_RECONNECT_MS (+ jitter so
+  // they don't all come back at once); the whole sequence is cut off after SHUTDOWN_DEADLINE_MS
+  const SHUTDOWN_DEADLINE_MS = Number(env.SHUTDOWN_DEADLINE_MS || 10_000);
+  const SHUTDOWN_RECONNECT_MS = Number(env.SHUTDOWN_RECONNECT_MS || 3_000);
+  const SHUTDOWN_RECONNECT_JITTER_MS = Number(env.SHUTDOWN_RECONNECT_JITTER_MS || 2_000);
+  const WS_CLOSE_SERVICE_RESTART = 1012;
+  let shuttingDown = false;
+  const handlingMessages = new Set(); // per-socket message chains still running (a handler may await)
+
+  // get_frames: cap on dataUrl bytes per reply; the rest is listed as `pending` for a follow-up request
+  const GET_FRAMES_MAX_BYTES = Number(env.GET_FRAMES_MAX_BYTES || 8_000_000);
+
+  const THEME_POOL = [
+    "走る犬","くるま","宇宙人","おにぎり","雨の日","ジャンプ","落下","変身","ねこパンチ",
+    "通勤時間","料理","かくれんぼ","風船","雪だるま","電車","魔法","釣り","ダンス"
+  ];
+
+
+  // --- Step3: basic monitoring (metrics + structured logs) ---
+  const STARTED_AT = now();
+  const METRICS = {
+    counters: Object.create(null),
+    ms: Object.create(null), // op -> {count,sum,max}
+  };
+  let LAST_ERROR = { ts: 0, code: "", message: "" };
+
+  function metricKey(s){
+    return String(s || "unknown").replace(/[^a-zA-Z0-9_]/g, "_");
+  }
+  function inc(name, n=1){
+    const k = metricKey(name);
+    METRICS.counters[k] = (METRICS.counters[k] || 0) + (Number(n) || 0);
+  }
+  function observeMs(op, ms){
+    const k = metricKey(op);
+    let o = METRICS.ms[k];
+    if (!o) o = METRICS.ms[k] = { count: 0, sum: 0, max: 0 };
+    o.count += 1;
+    o.sum += ms;
+    if (ms > o.max) o.max = ms;
+  }
+  function uptimeSec(){
+    return Math.max(0, Math.floor((now() - STARTED_AT) / 1000));
+  }
+  // CLI commands print their report on stdout, so their logs go to stderr
+  const logToStderr = Boolean(opts?.logToStderr);
+  function logLine(level, event, data){
+    const print = logToStderr ? console.error : console.log;
+    try{
+      const out = Object.assign({ ts: new Date(now()).toISOString(), level, event }, data || {});
+      if (opts?.log) opts.log(out);
+      else print(JSON.stringify(out));
+    }catch(e){
+      print(level, event);
+    }
+  }
 
-// sanitize loaded index (older versions may miss fields)
-try{
-  const out = {};
-  for (const rid in index){
-    const nm = normalizeIndexMeta(index[rid]);
-    if (nm) out[nm.roomId] = nm;
+  function now(){ return clock.now(); }
+  function randTheme(){ return THEME_POOL[Math.floor(Math.random()*THEME_POOL.length)]; }
+  function id7(){ return Math.random().toString(36).slice(2,9).toUpperCase(); }
+  function token(){ return Math.random().toString(36).slice(2) + "-" + Math.random().toString(36).slice(2); }
+  // Owner tokens are derived from a per-process key, the creator's idempotency scope and the room, so a
+  // retried create can hand the token back to its creator without the replay cache ever holding it.
+  const OWNER_TOKEN_KEY = crypto.randomBytes(32);
+  function ownerToken(scope, roomId){
+    return crypto.createHmac("sha256", OWNER_TOKEN_KEY).update(scope + "|" + roomId).digest("base64url");
   }
-  index = out;
-}catch(_e){}
 
-function rebuildIndexFromDisk(){
-  const out = {};
-  let files = [];
-  try{ files = fs.readdirSync(ROOMS_DIR); }catch(e){ return out; }
+  // Secrets are stored hashed: invite passphrases as "scrypt:<salt hex>:<hash hex>",
+  // owner tokens (unguessable, so no salt needed) as a sha256 hex digest.
+  // scrypt runs on the libuv thread pool, so a passphrase check never stalls the other sockets.
+  const scrypt = promisify(crypto.scrypt);
+  async function hashPassphrase(pass){
+    const salt = crypto.randomBytes(16);
+    return "scrypt:" + salt.toString("hex") + ":" + (await scrypt(String(pass), salt, 32)).toString("hex");
+  }
 
-  for (const f of files){
-    if (!f.endsWith(".json")) continue;
-    const fp = path.join(ROOMS_DIR, f);
-    const obj = safeReadJson(fp);
-    if (!obj) continue;
+  async function verifyPassphrase(pass, stored){
+    const [kind, saltHex, hashHex] = String(stored || "").split(":");
+    if (kind !== "scrypt" || !saltHex || !hashHex) return false;
+    const want = Buffer.from(hashHex, "hex");
+    const got = await scrypt(String(pass), Buffer.from(saltHex, "hex"), want.length);
+    return got.length === want.length && crypto.timingSafeEqual(got, want);
+  }
 
-    const rid = normalizeRoomId(obj.roomId || f.slice(0, -5));
-    if (!rid) continue;
+  function hashOwnerToken(tok){ return crypto.createHash("sha256").update(String(tok)).digest("hex"); }
 
-    const theme = (obj.theme && String(obj.theme).trim()) ? String(obj.theme).trim() : "";
-    const createdAt = Number(obj.createdAt || 0) || 0;
-    const updatedAt = Number(obj.updatedAt || 0) || 0;
+  // "" = no secret given, null = given but malformed
+  function contributorIdFromSecret(x){
+    if (x === undefined || x === null || x === "") return "";
+    const secret = String(x);
+    if (!CONTRIBUTOR_SECRET_RE.test(secret)) return null;
+    return "u_" + crypto.createHash("sha256").update(CONTRIBUTOR_ID_SALT + ":" + secret).digest("hex").slice(0, 16);
+  }
 
-    // V51: index is based on the first 30 frames only
-    const committedArr = (Array.isArray(obj.committed) ? obj.committed : (Array.isArray(obj.filled) ? obj.filled : []))
-      .slice(0, FRAME_COUNT)
-      .map(Boolean);
-    const filledCount = committedArr.reduce((a,b)=>a+(b?1:0), 0);
-    const completed = (String(obj.phase || "") === "PLAYBACK") || filledCount >= FRAME_COUNT;
-    const gifSaves = Math.max(0, Number(obj.gifSaves || 0) || 0);
-    const completedAt = completed ? (Number(obj.completedAt || 0) || updatedAt || 0) : (Number(obj.completedAt || 0) || 0);
+  function normalizeNickname(x){
+    return String(x ?? "").replace(/[\u0000-\u001f\u007f]/g, "").trim().slice(0, NICKNAME_MAX_LENGTH);
+  }
 
-    out[rid] = { roomId: rid, theme, createdAt, updatedAt, filledCount, completed, gifSaves, completedAt };
+  // Who is committing a frame: fields on the message itself win over what hello set.
+  // -> {contributorId, nickname} (null = anonymous / none) | {error}
+  function resolveContributor(ws, d){
+    const id = (d.contributorSecret !== undefined) ? contributorIdFromSecret(d.contributorSecret) : (ws._contributorId || "");
+    if (id === null) return { error: "INVALID_CONTRIBUTOR_SECRET" };
+    const nickname = (d.nickname !== undefined) ? normalizeNickname(d.nickname) : (ws._nickname || "");
+    return { contributorId: id || null, nickname: nickname || null };
   }
-  return out;
-}
 
-function saveIndex(){
-  try{
-    atomicWriteFile(INDEX_FILE, JSON.stringify(index));
-  }catch(e){}
-}
+  function verifyOwnerToken(room, tok){
+    if (!room.ownerTokenHash || !tok) return false;
+    const a = Buffer.from(hashOwnerToken(tok), "hex");
+    const b = Buffer.from(room.ownerTokenHash, "hex");
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
 
-// If index is missing/corrupted but rooms exist on disk, rebuild lazily on start.
-if (!Object.keys(index).length){
-  const rebuilt = rebuildIndexFromDisk();
-  if (Object.keys(rebuilt).length){
-    index = rebuilt;
-    try{ atomicWriteFile(INDEX_FILE, JSON.stringify(index)); }catch(e){}
+  const ROOM_ID_RE = /^[A-Z0-9]{6,12}$/;
+  function normalizeRoomId(x){
+    const id = String(x || "").trim().toUpperCase();
+    if (!ROOM_ID_RE.test(id)) return "";
+    return id;
   }
-}
 
-function roomFile(roomId){
-  const id = normalizeRoomId(roomId);
-  if (!id) throw new Error("invalid roomId");
-  return path.join(ROOMS_DIR, id + ".json");
-}
+  // --- Image validation ---
+  // Submitted frames are decoded far enough to know what they are: magic bytes (PNG/WebP only),
+  // dimensions against the configured canvas, no animation / interlacing, intact PNG chunks and
+  // image data, a strict WebP chunk layout with well-formed VP8/VP8L headers. Ancillary metadata
+  // (tEXt, EXIF, ICCP, ...) is stripped before storing when enabled.
+  const IMAGE_MAX_DATAURL_LENGTH = 1_500_000;
+  const IMAGE_MAX_BYTES = Number(env.IMAGE_MAX_BYTES || 1_100_000);
+  // CANVAS_WIDTH/CANVAS_HEIGHT: exact size every frame must have (0 = any size within CANVAS_MAX_*)
+  const CANVAS_WIDTH = Number(env.CANVAS_WIDTH || 0);
+  const CANVAS_HEIGHT = Number(env.CANVAS_HEIGHT || 0);
+  const CANVAS_MAX_WIDTH = Number(env.CANVAS_MAX_WIDTH || 1024);
+  const CANVAS_MAX_HEIGHT = Number(env.CANVAS_MAX_HEIGHT || 1024);
+  const IMAGE_STRIP_METADATA = String(env.IMAGE_STRIP_METADATA ?? "1") !== "0";
+  const IMAGE_MIME_ALLOW = ["image/png", "image/webp"];
+  // PNG chunks kept when stripping (everything else is ancillary metadata)
+  const PNG_KEEP_CHUNKS = new Set(["IHDR", "PLTE", "tRNS", "IDAT", "IEND", "gAMA", "sRGB"]);
+  const WEBP_META_CHUNKS = { "ICCP": 0x20, "EXIF": 0x08, "XMP ": 0x04 }; // chunk -> VP8X flag bit
+  // every chunk a still WebP may carry (ANIM/ANMF are refused as animation, anything else as corrupt)
+  const WEBP_KNOWN_CHUNKS = new Set(["VP8X", "VP8 ", "VP8L", "ALPH", "ICCP", "EXIF", "XMP "]);
+
+  function sniffImageMime(bytes){
+    if (bytes.length >= 8 && bytes.subarray(0, 8).equals(PNG_SIGNATURE)) return "image/png";
+    if (bytes.length >= 12 && bytes.toString("latin1", 0, 4) === "RIFF" && bytes.toString("latin1", 8, 12) === "WEBP") return "image/webp";
+    return "";
+  }
 
-function cleanupReservations(room){
-  const t = now();
-  for (const [tok, r] of room.reservations.entries()){
-    const fi = (r && Number.isFinite(r.frameIndex)) ? r.frameIndex : -1;
-    const ex = r ? (Number(r.expiresAt) || 0) : 0;
-    const expired = (!r) || (ex <= t);
-    const invalid = !(fi >= 0 && fi < FRAME_COUNT);
-    const committed = (!invalid) ? Boolean(room.committed[fi]) : false;
-    if (expired || committed || invalid){
-      room.reservations.delete(tok);
-      if (!invalid){
-        const curTok = room.reservedByFrame.get(fi);
-        if (curTok === tok) room.reservedByFrame.delete(fi);
-      }
+  // canvas: the room's {width, height} (0 = any size within CANVAS_MAX_*)
+  function checkCanvasSize(width, height, canvas){
+    if (!width || !height) return "IMAGE_CORRUPT";
+    if (canvas?.width && canvas?.height){
+      if (width !== canvas.width || height !== canvas.height) return "IMAGE_BAD_DIMENSIONS";
+    }else if (width > CANVAS_MAX_WIDTH || height > CANVAS_MAX_HEIGHT){
+      return "IMAGE_BAD_DIMENSIONS";
     }
+    return "";
   }
-}
 
-// Normalize to "room stays editable until truly completed"
-function normalizePhase(room){
-  const done = room.committed.every(Boolean);
-  if (done){
-    // When a room becomes fully completed, remember the completion timestamp.
-    // (Older rooms may lack completedAt; in that case, fall back later.)
-    if (room.phase !== "PLAYBACK"){
-      room.phase = "PLAYBACK";
-      if (!room.completedAt) room.completedAt = now();
-    }else{
-      room.phase = "PLAYBACK";
-      if (!room.completedAt) room.completedAt = (Number(room.updatedAt || 0) || now());
+  // -> {ok:true, bytes, width, height} | {ok:false, code}
+  function inspectPng(bytes, canvas){
+    const chunks = readPngChunks(bytes);
+    if (!chunks || !chunks.length || chunks[0].type !== "IHDR" || chunks[0].data.length !== 13) return { ok:false, code:"IMAGE_CORRUPT" };
+    if (chunks[chunks.length - 1].type !== "IEND" || chunks.some(c => !c.crcOk)) return { ok:false, code:"IMAGE_CORRUPT" };
+    const ihdr = chunks[0].data;
+    const width = ihdr.readUInt32BE(0);
+    const height = ihdr.readUInt32BE(4);
+    const depth = ihdr[8];
+    const colorType = ihdr[9];
+    const channels = { 0:1, 2:3, 3:1, 4:2, 6:4 }[colorType];
+    const depthOk = { 0:[1,2,4,8,16], 2:[8,16], 3:[1,2,4,8], 4:[8,16], 6:[8,16] }[colorType];
+    if (!channels || !depthOk.includes(depth) || ihdr[10] !== 0 || ihdr[11] !== 0) return { ok:false, code:"IMAGE_CORRUPT" };
+    if (ihdr[12] !== 0) return { ok:false, code:"IMAGE_INTERLACED" };
+    if (chunks.some(c => c.type === "acTL" || c.type === "fcTL" || c.type === "fdAT")) return { ok:false, code:"IMAGE_ANIMATED" };
+    const dimErr = checkCanvasSize(width, height, canvas);
+    if (dimErr) return { ok:false, code: dimErr };
+    if (colorType === 3 && !chunks.some(c => c.type === "PLTE")) return { ok:false, code:"IMAGE_CORRUPT" };
+
+    // the compressed data must inflate to exactly the expected scanlines (bounded, so no zip bombs)
+    const expected = height * (Math.ceil(width * channels * depth / 8) + 1);
+    try{
+      const raw = zlib.inflateSync(Buffer.concat(chunks.filter(c => c.type === "IDAT").map(c => c.data)), { maxOutputLength: expected + 1 });
+      if (raw.length !== expected) return { ok:false, code:"IMAGE_CORRUPT" };
+    }catch(e){
+      return { ok:false, code:"IMAGE_CORRUPT" };
     }
-  }else{
-    room.phase = "DRAWING";
+
+    let out = bytes;
+    if (IMAGE_STRIP_METADATA && chunks.some(c => !PNG_KEEP_CHUNKS.has(c.type))){
+      out = Buffer.concat([PNG_SIGNATURE].concat(chunks.filter(c => PNG_KEEP_CHUNKS.has(c.type)).map(c => pngChunk(c.type, c.data))));
+    }
+    return { ok:true, bytes: out, width, height };
   }
-}
 
-function deserializeRoom(obj){
-  const roomId = normalizeRoomId(obj?.roomId);
-  if (!roomId) return null;
-  // V51: globally switch to 30 frames (6fps). Older data (60 frames) is truncated.
-  const frames = Array.isArray(obj?.frames) ? obj.frames.slice(0, FRAME_COUNT) : [];
-  const committed = Array.isArray(obj?.committed) ? obj.committed.slice(0, FRAME_COUNT).map(Boolean) : [];
-  while (frames.length < FRAME_COUNT) frames.push(null);
-  while (committed.length < FRAME_COUNT) committed.push(false);
-
-  const room = {
-    roomId,
-    theme: ((obj?.theme && String(obj.theme).trim()) ? String(obj.theme).trim() : randTheme()),
-    frames,
-    committed,
-    createdAt: Number(obj?.createdAt || 0) || now(),
-    updatedAt: Number(obj?.updatedAt || 0) || now(),
-    gifSaves: Math.max(0, Number(obj?.gifSaves || 0) || 0),
-    completedAt: Number(obj?.completedAt || 0) || 0,
-    phase: String(obj?.phase || "DRAWING"),
-    reservations: new Map(),
-    reservedByFrame: new Map(),
-  };
+  // -> {ok:true, bytes, width, height} | {ok:false, code}
+  // The bitstream itself is not decoded, so the container is held to the exact layout the spec allows:
+  // the RIFF size covers the whole file, only known chunks, one image chunk with a keyframe (VP8) or
+  // version-0 (VP8L) header whose size agrees with VP8X. Nothing can ride along after the image.
+  function inspectWebp(bytes, canvas){
+    if (bytes.length < 20 || bytes.readUInt32LE(4) + 8 !== bytes.length) return { ok:false, code:"IMAGE_CORRUPT" };
+    const chunks = [];
+    let off = 12;
+    while (off < bytes.length){
+      if (off + 8 > bytes.length) return { ok:false, code:"IMAGE_CORRUPT" };
+      const type = bytes.toString("latin1", off, off + 4);
+      const len = bytes.readUInt32LE(off + 4);
+      const next = off + 8 + len + (len & 1);
+      if (next > bytes.length) return { ok:false, code:"IMAGE_CORRUPT" };
+      chunks.push({ type, data: bytes.subarray(off + 8, off + 8 + len), raw: bytes.subarray(off, next) });
+      off = next;
+    }
+    if (chunks.some(c => c.type === "ANIM" || c.type === "ANMF")) return { ok:false, code:"IMAGE_ANIMATED" };
+    if (chunks.some(c => !WEBP_KNOWN_CHUNKS.has(c.type))) return { ok:false, code:"IMAGE_CORRUPT" };
+    if (new Set(chunks.map(c => c.type)).size !== chunks.length) return { ok:false, code:"IMAGE_CORRUPT" };
+
+    const images = chunks.filter(c => c.type === "VP8 " || c.type === "VP8L");
+    if (images.length !== 1) return { ok:false, code:"IMAGE_CORRUPT" };
+    const image = images[0];
+    const vp8x = (chunks[0].type === "VP8X") ? chunks[0] : null;
+    // without VP8X the file is the image chunk alone; ALPH only goes with lossy VP8
+    if (!vp8x && chunks.length !== 1) return { ok:false, code:"IMAGE_CORRUPT" };
+    if (chunks.some((c, i) => c.type === "VP8X" && i !== 0)) return { ok:false, code:"IMAGE_CORRUPT" };
+    if (chunks.some(c => c.type === "ALPH") && image.type !== "VP8 ") return { ok:false, code:"IMAGE_CORRUPT" };
+
+    let width = 0, height = 0;
+    const d = image.data;
+    if (image.type === "VP8 "){
+      // frame tag: keyframe bit clear, version 0-3, shown, first partition inside the chunk
+      if (d.length < 10 || d[3] !== 0x9d || d[4] !== 0x01 || d[5] !== 0x2a) return { ok:false, code:"IMAGE_CORRUPT" };
+      const tag = d.readUIntLE(0, 3);
+      const firstPartition = tag >>> 5;
+      if ((tag & 0x01) || ((tag >>> 1) & 0x07) > 3 || !((tag >>> 4) & 0x01)) return { ok:false, code:"IMAGE_CORRUPT" };
+      if (!firstPartition || 10 + firstPartition > d.length) return { ok:false, code:"IMAGE_CORRUPT" };
+      width = d.readUInt16LE(6) & 0x3fff;
+      height = d.readUInt16LE(8) & 0x3fff;
+    }else{
+      if (d.length < 5 || d[0] !== 0x2f) return { ok:false, code:"IMAGE_CORRUPT" };
+      const bits = d.readUInt32LE(1);
+      if (bits >>> 29) return { ok:false, code:"IMAGE_CORRUPT" };
+      width = 1 + (bits & 0x3fff);
+      height = 1 + ((bits >>> 14) & 0x3fff);
+    }
+    if (vp8x){
+      const x = vp8x.data;
+      if (x.length !== 10) return { ok:false, code:"IMAGE_CORRUPT" };
+      if (x[0] & 0x02) return { ok:false, code:"IMAGE_ANIMATED" };
+      if (1 + x.readUIntLE(4, 3) !== width || 1 + x.readUIntLE(7, 3) !== height) return { ok:false, code:"IMAGE_CORRUPT" };
+    }
+    const dimErr = checkCanvasSize(width, height, canvas);
+    if (dimErr) return { ok:false, code: dimErr };
+
+    let out = bytes;
+    if (IMAGE_STRIP_METADATA && chunks.some(c => WEBP_META_CHUNKS[c.type])){
+      const kept = [];
+      for (const c of chunks){
+        if (WEBP_META_CHUNKS[c.type]) continue;
+        if (c.type === "VP8X"){
+          const x = Buffer.from(c.raw);
+          x[8] &= ~(WEBP_META_CHUNKS.ICCP | WEBP_META_CHUNKS.EXIF | WEBP_META_CHUNKS["XMP "]);
+          kept.push(x);
+        }else{
+          kept.push(c.raw);
+        }
+      }
+      const body = Buffer.concat(kept);
+      const head = Buffer.from("RIFF\0\0\0\0WEBP", "latin1");
+      head.writeUInt32LE(body.length + 4, 4);
+      out = Buffer.concat([head, body]);
+    }
+    return { ok:true, bytes: out, width, height };
+  }
 
-  // reservations: [[tok, {frameIndex, expiresAt}], ...]
-  if (Array.isArray(obj?.reservations)){
-    for (const pair of obj.reservations){
-      if (!Array.isArray(pair) || pair.length < 2) continue;
-      const tok = String(pair[0] || "");
-      const r = pair[1] || {};
-      const fi = Number(r.frameIndex);
-      const ex = Number(r.expiresAt);
-      if (!tok) continue;
-      if (!Number.isFinite(fi) || fi < 0 || fi >= FRAME_COUNT) continue;
-      if (!Number.isFinite(ex) || ex <= 0) continue;
-      room.reservations.set(tok, { frameIndex: fi, expiresAt: ex });
+  // Validate a submitted frame against the room's canvas. -> {ok:true, dataUrl, mime, width, height} | {ok:false, code}
+  // The returned dataUrl is what gets stored (re-encoded when metadata was stripped).
+  function validateFrameImage(s, canvas){
+    if (typeof s !== "string" || !s.startsWith("data:image/")) return { ok:false, code:"INVALID_IMAGE" };
+    if (s.length > IMAGE_MAX_DATAURL_LENGTH) return { ok:false, code:"IMAGE_TOO_LARGE" };
+    const img = dataUrlToBytes(s);
+    if (!img || !img.bytes.length) return { ok:false, code:"INVALID_IMAGE" };
+    if (img.bytes.length > IMAGE_MAX_BYTES) return { ok:false, code:"IMAGE_TOO_LARGE" };
+    const mime = sniffImageMime(img.bytes);
+    if (!mime || !IMAGE_MIME_ALLOW.includes(mime)) return { ok:false, code:"IMAGE_UNSUPPORTED_FORMAT" };
+    if (mime !== img.mime) return { ok:false, code:"IMAGE_MIME_MISMATCH" };
+    const r = (mime === "image/png") ? inspectPng(img.bytes, canvas) : inspectWebp(img.bytes, canvas);
+    if (!r.ok){
+      inc('image_rejected_' + metricKey(r.code));
+      return r;
     }
+    if (r.bytes !== img.bytes) inc('image_metadata_stripped_total');
+    const dataUrl = (r.bytes === img.bytes) ? s : bytesToDataUrl(mime, r.bytes);
+    return { ok:true, dataUrl, mime, width: r.width, height: r.height };
   }
 
-  // rebuild reservedByFrame
-  for (const [tok, r] of room.reservations.entries()){
-    if (room.committed[r.frameIndex]) continue;
-    room.reservedByFrame.set(r.frameIndex, tok);
+  // --- Binary frame transport ---
+  // Layout: [uint32 BE headerLen][headerLen bytes of JSON envelope][image bytes].
+  // The image travels as raw bytes; inside the server frames are still kept as dataUrls.
+  const BINARY_OPS = new Set(["submit_frame", "create_public_and_submit"]);
+  const BINARY_HEADER_MAX = 16 * 1024;
+  const IMAGE_MIME_RE = /^image\/[a-z0-9.+-]+$/;
+
+  function dataUrlToBytes(dataUrl){
+    const s = String(dataUrl || "");
+    const m = /^data:(image\/[a-z0-9.+-]+);base64,/i.exec(s);
+    if (!m) return null;
+    return { mime: m[1].toLowerCase(), bytes: Buffer.from(s.slice(m[0].length), "base64") };
   }
 
-  cleanupReservations(room);
-  normalizePhase(room);
-  return room;
-}
+  function bytesToDataUrl(mime, bytes){
+    return "data:" + mime + ";base64," + Buffer.from(bytes).toString("base64");
+  }
 
-function serializeRoom(room){
-  cleanupReservations(room);
-  normalizePhase(room);
-  return {
-    roomId: room.roomId,
-    theme: room.theme,
-    frames: room.frames,
-    committed: room.committed,
-    createdAt: room.createdAt,
-    updatedAt: room.updatedAt,
-    gifSaves: Math.max(0, Number(room.gifSaves || 0) || 0),
-    completedAt: Number(room.completedAt || 0) || 0,
-    phase: room.phase,
-    reservations: Array.from(room.reservations.entries()),
-  };
-}
+  // returns {msg} (msg.data.dataUrl filled from the body) or null when malformed
+  function parseBinaryMessage(buf){
+    const b = Buffer.isBuffer(buf) ? buf : Buffer.concat(Array.isArray(buf) ? buf : [Buffer.from(buf)]);
+    if (b.length < 4) return null;
+    const headerLen = b.readUInt32BE(0);
+    if (headerLen <= 0 || headerLen > BINARY_HEADER_MAX || 4 + headerLen > b.length) return null;
+    let msg = null;
+    try{ msg = JSON.parse(b.subarray(4, 4 + headerLen).toString("utf8")); }catch(e){ return null; }
+    if (!msg || typeof msg !== "object") return null;
+    const d = (msg.data && typeof msg.data === "object") ? msg.data : {};
+    const mime = String(d.mime || "image/png").toLowerCase();
+    const body = b.subarray(4 + headerLen);
+    d.dataUrl = (IMAGE_MIME_RE.test(mime) && body.length) ? bytesToDataUrl(mime, body) : null;
+    delete d.mime;
+    msg.data = d;
+    return { msg };
+  }
 
-function updateIndexFromRoom(room){
-  const filledCount = room.committed.reduce((a,b)=>a+(b?1:0),0);
-  index[room.roomId] = {
-    roomId: room.roomId,
-    theme: room.theme,
-    createdAt: room.createdAt,
-    updatedAt: room.updatedAt,
-    filledCount,
-    completed: room.phase === "PLAYBACK",
-    gifSaves: Math.max(0, Number(room.gifSaves || 0) || 0),
-    completedAt: (room.phase === "PLAYBACK") ? (Number(room.completedAt || 0) || room.updatedAt || 0) : (Number(room.completedAt || 0) || 0),
-  };
-}
+  function encodeBinaryMessage(obj, bytes){
+    const header = Buffer.from(JSON.stringify(obj), "utf8");
+    const len = Buffer.alloc(4);
+    len.writeUInt32BE(header.length, 0);
+    return Buffer.concat([len, header, bytes]);
+  }
 
-const cache = new Map(); // roomId -> {room, lastAccess}
-function touch(roomId){
-  const e = cache.get(roomId);
-  if (e) e.lastAccess = now();
-}
+  // --- Storage backends ---
+  // All persistence goes through `store`. A backend only has to provide file-like primitives over
+  // "/"-separated keys relative to its root:
+  //   read(key) -> Buffer|null, write(key, data) (atomic), append(key, data), exists(key),
+  //   remove(key) (a key prefix removes everything below it), rename(from, to), copy(from, to),
+  //   list(prefix) -> direct child names, listDeep(prefix) -> every key below, mtime(key) -> ms (0 if missing)
+  // The room/index/blob/backup operations are built on top of those in storageOps(), so every backend
+  // behaves the same way. "fs" maps keys onto DATA_DIR; "memory" is a throwaway store for tests.
+  function storeKey(...parts){
+    return parts.filter(p => p !== "" && p !== undefined && p !== null).join("/");
+  }
 
-function getRoom(roomId){
-  const id = normalizeRoomId(roomId);
-  if (!id) return null;
+  function createFsBackend(root){
+    const abs = (key) => path.join(root, ...String(key).split("/"));
+    for (const d of [ROOMS_DIR, BLOBS_DIR, BACKUP_DIR]) fs.mkdirSync(abs(d), { recursive: true });
+    return {
+      kind: "fs",
+      root,
+      read(key){
+        try{ return fs.readFileSync(abs(key)); }catch(e){ return null; }
+      },
+      write(key, data){
+        const fp = abs(key);
+        try{ fs.mkdirSync(path.dirname(fp), { recursive: true }); }catch(e){}
+        const tmp = fp + ".tmp_" + process.pid + "_" + Date.now();
+        fs.writeFileSync(tmp, data);
+        fs.renameSync(tmp, fp);
+      },
+      append(key, data){
+        fs.appendFileSync(abs(key), data);
+      },
+      exists(key){ return fs.existsSync(abs(key)); },
+      remove(key){ fs.rmSync(abs(key), { recursive:true, force:true }); },
+      rename(from, to){
+        fs.mkdirSync(path.dirname(abs(to)), { recursive: true });
+        fs.renameSync(abs(from), abs(to));
+      },
+      copy(from, to){
+        fs.mkdirSync(path.dirname(abs(to)), { recursive: true });
+        fs.copyFileSync(abs(from), abs(to));
+      },
+      list(prefix){
+        try{ return fs.readdirSync(abs(prefix)); }catch(e){ return []; }
+      },
+      listDeep(prefix){
+        const out = [];
+        const walk = (key) => {
+          let ents = [];
+          try{ ents = fs.readdirSync(abs(key), { withFileTypes:true }); }catch(e){ return; }
+          for (const ent of ents){
+            const k = storeKey(key, ent.name);
+            if (ent.isDirectory()) walk(k);
+            else if (ent.isFile()) out.push(k);
+          }
+        };
+        walk(prefix || "");
+        return out;
+      },
+      mtime(key){
+        try{ return fs.statSync(abs(key)).mtimeMs; }catch(e){ return 0; }
+      },
+    };
+  }
 
-  const e = cache.get(id);
-  if (e){
-    e.lastAccess = now();
-    return e.room;
+  function createMemoryBackend(){
+    const files = new Map(); // key -> {data: Buffer, mtime}
+    const under = (prefix) => prefix ? prefix + "/" : "";
+    return {
+      kind: "memory",
+      root: "(memory)",
+      read(key){
+        const f = files.get(key);
+        return f ? Buffer.from(f.data) : null;
+      },
+      write(key, data){
+        files.set(key, { data: Buffer.from(data), mtime: now() });
+      },
+      append(key, data){
+        const f = files.get(key);
+        files.set(key, { data: Buffer.concat([f ? f.data : Buffer.alloc(0), Buffer.from(data)]), mtime: now() });
+      },
+      exists(key){
+        if (files.has(key)) return true;
+        const p = under(key);
+        for (const k of files.keys()) if (k.startsWith(p)) return true;
+        return false;
+      },
+      remove(key){
+        files.delete(key);
+        const p = under(key);
+        for (const k of Array.from(files.keys())) if (k.startsWith(p)) files.delete(k);
+      },
+      rename(from, to){
+        const f = files.get(from);
+        if (!f) throw new Error("ENOENT: " + from);
+        files.delete(from);
+        files.set(to, f);
+      },
+      copy(from, to){
+        const f = files.get(from);
+        if (!f) throw new Error("ENOENT: " + from);
+        files.set(to, { data: Buffer.from(f.data), mtime: now() });
+      },
+      list(prefix){
+        const p = under(prefix);
+        const out = new Set();
+        for (const k of files.keys()) if (k.startsWith(p)) out.add(k.slice(p.length).split("/")[0]);
+        return Array.from(out);
+      },
+      listDeep(prefix){
+        const p = under(prefix);
+        return Array.from(files.keys()).filter(k => k.startsWith(p));
+      },
+      mtime(key){
+        const f = files.get(key);
+        if (f) return f.mtime;
+        // a "directory": its newest entry
+        let t = 0;
+        const p = under(key);
+        for (const [k, v] of files.entries()) if (k.startsWith(p) && v.mtime > t) t = v.mtime;
+        return t;
+      },
+    };
   }
 
-  const fp = roomFile(id);
-  if (!fs.existsSync(fp)) return null;
+  // named operations shared by all backends
+  function storageOps(b){
+    return Object.assign(b, {
+      readJson(key){
+        const buf = b.read(key);
+        if (!buf) return null;
+        try{ return JSON.parse(buf.toString("utf8")); }catch(e){ return null; }
+      },
+      getRoom(roomId){ return b.readJson(roomFile(roomId)); },
+      putRoom(roomId, doc){ b.write(roomFile(roomId), JSON.stringify(doc)); },
+      hasRoom(roomId){ return b.exists(roomFile(roomId)); },
+      listRoomIds(){
+        return b.list(ROOMS_DIR).filter(f => f.endsWith(".json")).map(f => normalizeRoomId(f.slice(0, -5))).filter(Boolean);
+      },
+      listIndex(){ return b.readJson(INDEX_FILE); },
+      putIndex(text){ b.write(INDEX_FILE, text); },
+      putBlob(ref, bytes){ b.write(blobFile(ref), bytes); },
+      getBlob(ref){ return b.read(blobFile(ref)); },
+      hasBlob(ref){ return b.exists(blobFile(ref)); },
+      // copy a stored key into backups/<stamp>/<rel>
+      backup(stamp, rel, fromKey){ b.copy(fromKey, storeKey(BACKUP_DIR, stamp, rel)); },
+    });
+  }
 
-  try{
-    const raw = fs.readFileSync(fp, "utf8");
-    const obj = JSON.parse(raw);
-    const room = deserializeRoom(obj);
-    if (!room) return null;
-    cache.set(id, { room, lastAccess: now() });
-    return room;
-  }catch(e2){
-    return null;
+  function createStore(kind){
+    if (kind === "memory") return storageOps(createMemoryBackend());
+    if (kind !== "fs") throw new Error("unknown STORAGE_BACKEND: " + kind);
+    return storageOps(createFsBackend(DATA_DIR));
   }
-}
 
-function saveRoom(room){
-  try{
-    normalizePhase(room);
-    cleanupReservations(room);
-    updateIndexFromRoom(room);
-    atomicWriteFile(roomFile(room.roomId), JSON.stringify(serializeRoom(room)));
-    dirtyRoomIds.add(room.roomId);
-    saveIndex();
-  }catch(e){}
-}
+  const store = opts?.store || createStore(STORAGE_BACKEND);
 
-function evictCache(){
-  const t = now();
+  // --- Frame blob store ---
+  const BLOB_EXT_BY_MIME = { "image/png": "png", "image/webp": "webp" };
+  const BLOB_MIME_BY_EXT = { png: "image/png", webp: "image/webp" };
+  const BLOB_REF_RE = /^[0-9a-f]{64}\.(png|webp)$/;
 
-  // idle eviction
-  for (const [id, e] of cache.entries()){
-    if ((t - e.lastAccess) > ROOM_CACHE_IDLE_MS){
-      cache.delete(id);
-    }
+  function isBlobRef(x){ return typeof x === "string" && BLOB_REF_RE.test(x); }
+
+  function blobFile(ref){
+    if (!isBlobRef(ref)) throw new Error("invalid blob ref");
+    return storeKey(BLOBS_DIR, ref.slice(0, 2), ref);
   }
 
-  // size eviction (oldest first)
-  if (cache.size > ROOM_CACHE_MAX){
-    const arr = Array.from(cache.entries()).sort((a,b)=>a[1].lastAccess - b[1].lastAccess);
-    const over = cache.size - ROOM_CACHE_MAX;
-    for (let i=0;i<over;i++){
-      cache.delete(arr[i][0]);
+  // store a frame dataUrl; identical images share one file. -> ref ("<sha256>.<ext>")
+  function putFrameBlob(dataUrl){
+    const img = dataUrlToBytes(dataUrl);
+    const ext = img ? BLOB_EXT_BY_MIME[img.mime] : "";
+    if (!ext) throw new Error("unsupported frame image");
+    const ref = crypto.createHash("sha256").update(img.bytes).digest("hex") + "." + ext;
+    if (store.hasBlob(ref)){
+      inc('blob_dedup_total');
+    }else{
+      store.putBlob(ref, img.bytes);
+      inc('blob_write_total');
     }
+    return ref;
   }
-}
-setInterval(evictCache, 15_000);
 
-function pruneBackups(){
-  try{
-    const dirs = fs.readdirSync(BACKUP_DIR).filter(n=>!n.startsWith("."));
-    dirs.sort();
-    const over = dirs.length - BACKUP_KEEP;
-    for (let i=0;i<over;i++){
-      fs.rmSync(path.join(BACKUP_DIR, dirs[i]), { recursive:true, force:true });
+  // -> {mime, bytes} or null when the ref is missing/unreadable
+  function readFrameBlob(ref){
+    try{
+      const bytes = store.getBlob(ref);
+      return bytes ? { mime: BLOB_MIME_BY_EXT[ref.split(".")[1]], bytes } : null;
+    }catch(e){
+      return null;
     }
-  }catch(e){}
-}
-
-function doBackup(){
-  const t = now();
-  if ((t - lastBackupAt) < BACKUP_INTERVAL_MS) return;
-  if (dirtyRoomIds.size === 0) return;
-
-  const stamp = new Date(t).toISOString().replace(/[:.]/g, "-");
-  const dir = path.join(BACKUP_DIR, stamp);
-  try{
-    fs.mkdirSync(dir, { recursive:true });
-    atomicWriteFile(path.join(dir, "rooms_index.json"), JSON.stringify(index));
-    atomicWriteFile(path.join(dir, "manifest.json"), JSON.stringify({ ts: t, rooms: Array.from(dirtyRoomIds) }));
-    for (const rid of dirtyRoomIds){
-      try{
-        const src = roomFile(rid);
-        const dst = path.join(dir, rid + ".json");
-        if (fs.existsSync(src)) fs.copyFileSync(src, dst);
-      }catch(e){}
-    }
-    dirtyRoomIds.clear();
-    lastBackupAt = t;
-    pruneBackups();
-  }catch(e){}
-}
+  }
 
-// Run backup checks periodically (backs up only when there were changes)
-setInterval(doBackup, 30_000);
-
-function makeRoom(theme){
-  const roomId = id7();
-  const room = {
-    roomId,
-    theme: ((theme && String(theme).trim()) ? String(theme).trim() : randTheme()),
-    frames: Array.from({length:FRAME_COUNT}, ()=>null),
-    committed: Array.from({length:FRAME_COUNT}, ()=>false),
-    createdAt: now(),
-    updatedAt: now(),
-    gifSaves: 0,
-    completedAt: 0,
-    phase: "DRAWING",
-    reservations: new Map(),
-    reservedByFrame: new Map(),
+  // --- Data schema versions & migrations ---
+  // Every persisted document records the schemaVersion that wrote it (missing = 0). On load, the
+  // steps above that version run in order; `node server.cjs migrate` / /admin/migrate run them in bulk.
+  // A step mutates the document in place and returns a list of human-readable changes ([] = no-op).
+  // Steps must not lose data: anything they drop is copied to ARCHIVE_DIR first (ctx.archive()).
+  const MIGRATIONS = {
+    room: [
+      { to: 1, name: "frames_30", up: migrateRoomFrames30 },
+      { to: 2, name: "frame_blobs", up: migrateRoomFrameBlobs },
+      { to: 3, name: "room_shape", up: migrateRoomShape },
+    ],
+    index: [
+      { to: 1, name: "rooms_wrapper", up: migrateIndexWrapper },
+    ],
+    quarantine: [
+      { to: 1, name: "object_form", up: migrateQuarantineObject },
+    ],
   };
-  cache.set(roomId, { room, lastAccess: now() });
-  updateIndexFromRoom(room);
-  saveRoom(room);
-  return room;
-}
-
-function roomState(room){
-  cleanupReservations(room);
-  normalizePhase(room);
-  return {
-    roomId: room.roomId,
-    theme: room.theme,
-    frameCount: FRAME_COUNT,
-    fps: FPS,
-    phase: room.phase,
-    createdAt: room.createdAt,
-    updatedAt: room.updatedAt,
-    gifSaves: Math.max(0, Number(room.gifSaves || 0) || 0),
-    completedAt: Number(room.completedAt || 0) || 0,
-    filled: room.committed.slice(0, FRAME_COUNT),
-    completed: room.phase === "PLAYBACK",
+  const SCHEMA_VERSION = {
+    room: MIGRATIONS.room.length,
+    index: MIGRATIONS.index.length,
+    quarantine: MIGRATIONS.quarantine.length,
   };
-}
 
-function firstYoungestEmpty(room){
-  cleanupReservations(room);
-  for (let i=0;i<FRAME_COUNT;i++){
-    if (room.committed[i]) continue;
-    if (room.reservedByFrame.has(i)) continue;
-    return i;
+  // V51 switched rooms from 60 frames (12fps) to 30 (6fps). Frames past FRAME_COUNT used to be
+  // truncated on load; now the original document is archived before they are dropped.
+  function migrateRoomFrames30(obj, ctx){
+    const changes = [];
+    let dropped = 0;
+    for (const key of ["frameBlobs", "committed", "frames"]){
+      const arr = obj[key];
+      if (!Array.isArray(arr) || arr.length <= FRAME_COUNT) continue;
+      dropped = Math.max(dropped, arr.slice(FRAME_COUNT).filter(Boolean).length);
+    }
+    if (dropped) changes.push(`archived ${dropped} frame(s) past ${FRAME_COUNT}`);
+    if (dropped) ctx.archive();
+    for (const key of ["frameBlobs", "committed", "frames"]){
+      if (Array.isArray(obj[key]) && obj[key].length > FRAME_COUNT){
+        obj[key] = obj[key].slice(0, FRAME_COUNT);
+        if (!dropped) changes.push(`trimmed empty ${key} past ${FRAME_COUNT}`);
+      }
+    }
+    return changes;
   }
-  return -1;
-}
 
-// Random join: pick any open (unfinished) room
-function findRandomOpenRoomId(){
-  const candidates = [];
-  for (const rid in index){
-    const meta = index[rid];
-    if (!meta) continue;
-    if (quarantineSet.has(rid)) continue;
-    if (meta.completed) continue;
-    if ((meta.filledCount || 0) >= FRAME_COUNT) continue;
-    candidates.push(rid);
-  }
-  if (!candidates.length) return null;
-  return candidates[Math.floor(Math.random()*candidates.length)];
-}
+  // V52: frame count / fps / canvas moved from global constants onto the room. Older rooms were
+  // all made with the global values, so those are recorded as-is.
+  function migrateRoomShape(obj){
+    if (obj.frameCount && obj.fps && obj.canvas) return [];
+    obj.template = obj.template || DEFAULT_ROOM_TEMPLATE;
+    obj.frameCount = obj.frameCount || FRAME_COUNT;
+    obj.fps = obj.fps || FPS;
+    obj.canvas = obj.canvas || { width: CANVAS_WIDTH, height: CANVAS_HEIGHT, background: DEFAULT_ROOM_BACKGROUND };
+    return [`recorded frameCount ${obj.frameCount} / fps ${obj.fps}`];
+  }
 
-function send(ws, obj){
-  try{
-    if (obj && obj.t){
-      const t = metricKey(obj.t);
-      inc('ws_send_total');
-      inc('ws_send_type_' + t);
-      if (t === 'error'){
-        inc('errors_total');
-        const code = (obj.data && obj.data.code) ? String(obj.data.code) : '';
-        const message = (obj.data && obj.data.message) ? String(obj.data.message) : '';
-        LAST_ERROR = { ts: now(), code, message };
-        // keep logs small (do not include payload)
-        logLine('warn', 'ws_error_send', { roomId: ws?._roomId || '', code, message });
+  // Older room files embed the dataUrls themselves: move them into the blob store.
+  // A frame that can't be stored (unsupported format) stays in the archived original.
+  function migrateRoomFrameBlobs(obj, ctx){
+    if (!Array.isArray(obj.frames)) return [];
+    const frameBlobs = Array.isArray(obj.frameBlobs) ? obj.frameBlobs.slice() : [];
+    let moved = 0;
+    let failed = 0;
+    for (let i=0;i<obj.frames.length;i++){
+      const du = obj.frames[i];
+      if (isBlobRef(frameBlobs[i]) || typeof du !== "string" || !du.startsWith("data:image/")) continue;
+      if (ctx.dryRun){ moved++; continue; }
+      try{
+        frameBlobs[i] = putFrameBlob(du);
+        moved++;
+      }catch(e){
+        failed++;
       }
     }
-    ws.send(JSON.stringify(obj));
-  }catch(e){}
-}
-function broadcast(roomId, obj){
-  const text = JSON.stringify(obj);
-  for (const ws of wss.clients){
-    if (ws._roomId === roomId){
-      try{ ws.send(text); }catch(e){}
+    if (failed) ctx.archive();
+    obj.frameBlobs = frameBlobs;
+    delete obj.frames;
+    const changes = [moved ? `moved ${moved} embedded frame(s) to the blob store` : "removed empty legacy frames field"];
+    if (failed) changes.push(`archived ${failed} frame(s) that could not be stored`);
+    return changes;
+  }
+
+  // the index file used to be the bare roomId -> meta map
+  function migrateIndexWrapper(obj){
+    const src = (obj.rooms && typeof obj.rooms === "object") ? obj.rooms : obj;
+    const rooms = {};
+    let patched = 0;
+    let dropped = 0;
+    for (const k of Object.keys(src)){
+      if (k === "schemaVersion") continue;
+      const nm = normalizeIndexMeta(src[k]);
+      if (!nm){ dropped++; continue; }
+      if (JSON.stringify(nm) !== JSON.stringify(src[k])) patched++;
+      rooms[nm.roomId] = nm;
     }
+    for (const k of Object.keys(obj)) delete obj[k];
+    obj.rooms = rooms;
+    const changes = ["wrapped rooms map"];
+    if (patched) changes.push(`filled missing fields of ${patched} entr(ies)`);
+    if (dropped) changes.push(`dropped ${dropped} invalid entr(ies)`);
+    return changes;
   }
-}
 
-const server = http.createServer((req, res) => {
-  let u = null;
-  let pathname = "/";
-  try{
-    u = new URL(req.url || "/", "http://localhost");
-    pathname = u.pathname || "/";
-  }catch(e){
-    u = new URL("/", "http://localhost");
-    pathname = String(req.url || "/").split("?")[0] || "/";
+  // quarantine.json used to be a bare array of roomIds
+  function migrateQuarantineObject(obj){
+    if (!Array.isArray(obj.list)) return [];
+    obj.roomIds = obj.list;
+    delete obj.list;
+    return ["converted array to {roomIds}"];
   }
 
-  const accept = String(req.headers["accept"] || "");
+  // -> {obj, from, to, steps:[name], changes:[string], archived}; `obj` is a migrated copy.
+  // opts: {dryRun, archiveName} (archiveName: file under ARCHIVE_DIR for the untouched original)
+  function migrateDoc(kind, doc, opts){
+    const steps = MIGRATIONS[kind];
+    // bare arrays (old quarantine.json) are wrapped so every step works on an object
+    const original = doc;
+    let obj = Array.isArray(doc) ? { list: doc.slice() } : JSON.parse(JSON.stringify(doc || {}));
+    const from = Math.max(0, Number(obj.schemaVersion || 0) || 0);
+    const out = { obj, from, to: Math.max(from, steps.length), steps: [], changes: [], archived: "" };
+    if (from > steps.length) return out; // written by a newer server: leave as is
+    const ctx = {
+      dryRun: Boolean(opts?.dryRun),
+      archive(){
+        if (out.archived || !opts?.archiveName) return;
+        out.archived = opts.archiveName;
+        if (ctx.dryRun) return;
+        const key = storeKey(ARCHIVE_DIR, opts.archiveName);
+        if (!store.exists(key)) store.write(key, JSON.stringify(original));
+      },
+    };
+    for (const step of steps){
+      if (step.to <= from) continue;
+      const changes = step.up(obj, ctx);
+      if (changes.length){
+        out.steps.push(step.name);
+        for (const c of changes) out.changes.push(step.name + ": " + c);
+      }
+    }
+    obj.schemaVersion = steps.length;
+    return out;
+  }
 
-  function healthSnapshot(){
-    let roomsOnDisk = 0;
-    let backups = 0;
-    try{ roomsOnDisk = fs.readdirSync(ROOMS_DIR).filter(f=>f.endsWith(".json")).length; }catch(e){}
-    try{ backups = fs.readdirSync(BACKUP_DIR).filter(n=>!n.startsWith(".")).length; }catch(e){}
+  function roomArchiveName(roomId, from){
+    return storeKey("rooms", `${roomId}.schema${from}.json`);
+  }
 
-    const mu = process.memoryUsage();
-    return {
-      ok: true,
-      ts: now(),
-      uptimeSec: uptimeSec(),
-      wsClients: wss?.clients ? wss.clients.size : 0,
-      roomsInIndex: Object.keys(index).length,
-      roomsOnDisk,
-      cachedRooms: cache.size,
-      backups,
-      quarantineCount: quarantineSet.size,
-      dirtyRooms: dirtyRoomIds.size,
-      dataDir: DATA_DIR,
-      counters: METRICS.counters,
-      lastError: LAST_ERROR,
-      memory: {
-        rss: mu.rss,
-        heapTotal: mu.heapTotal,
-        heapUsed: mu.heapUsed,
-        external: mu.external,
-      }
-    };
+  // --- Step4: quarantine persistence ---
+  function loadQuarantineSet(){
+    const raw = store.readJson(QUARANTINE_FILE);
+    const obj = raw ? migrateDoc("quarantine", raw).obj : null;
+    const ids = Array.isArray(obj?.roomIds) ? obj.roomIds : [];
+    const set = new Set();
+    for (const x of ids){
+      const rid = normalizeRoomId(x);
+      if (rid) set.add(rid);
+    }
+    return set;
   }
 
-  function esc(s){
-    return String(s ?? "").replace(/[&<>\"']/g, (c)=>({"&":"&amp;","<":"&lt;",">":"&gt;","\"":"&quot;","'":"&#39;"}[c]));
-  }
-
-  function fmtBytes(n){
-    const x = Number(n) || 0;
-    const units = ["B","KB","MB","GB","TB"]; 
-    let v = x;
-    let i = 0;
-    while (v >= 1024 && i < units.length-1){ v /= 1024; i++; }
-    return (i === 0) ? (v.toFixed(0) + " " + units[i]) : (v.toFixed(1) + " " + units[i]);
-  }
-
-  function fmtIso(ms){
-    const t = Number(ms) || 0;
-    if (!t) return "なし";
-    try{ return new Date(t).toISOString(); }catch(e){ return String(t); }
-  }
-
-  function renderHealthHtmlJa(s){
-    const le = s.lastError || { ts: 0, code: "", message: "" };
-    const rows = [
-      ["状態", s.ok ? "OK" : "NG"],
-      ["時刻(UTC)", fmtIso(s.ts)],
-      ["稼働時間(秒)", String(s.uptimeSec)],
-      ["WebSocket接続数", String(s.wsClients)],
-      ["部屋数(index)", String(s.roomsInIndex)],
-      ["部屋数(ディスク)", String(s.roomsOnDisk)],
-      ["キャッシュ中の部屋数", String(s.cachedRooms)],
-      ["バックアップ数", String(s.backups)],
-      ["隔離数", String(s.quarantineCount || 0)],
-      ["dirty数", String(s.dirtyRooms || 0)],
-      ["保存先(DATA_DIR)", String(s.dataDir)],
-      ["直近エラー時刻", fmtIso(le.ts)],
-      ["直近エラーコード", le.code ? String(le.code) : "なし"],
-      ["直近エラーメッセージ", le.message ? String(le.message) : "なし"],
-      ["メモリ(rss)", fmtBytes(s.memory?.rss)],
-      ["メモリ(heapUsed)", fmtBytes(s.memory?.heapUsed)],
-      ["メモリ(heapTotal)", fmtBytes(s.memory?.heapTotal)],
-    ];
+  function saveQuarantineSet(){
+    try{
+      const payload = { schemaVersion: SCHEMA_VERSION.quarantine, updatedAt: now(), roomIds: Array.from(quarantineSet) };
+      store.write(QUARANTINE_FILE, JSON.stringify(payload));
+    }catch(e){}
+  }
 
-    const counters = Object.entries(s.counters || {}).sort((a,b)=>a[0].localeCompare(b[0]));
-    const counterHtml = counters.length
-      ? counters.map(([k,v])=>`<tr><td class="k">${esc(k)}</td><td class="v">${esc(v)}</td></tr>`).join("\n")
-      : `<tr><td class="k">(なし)</td><td class="v">0</td></tr>`;
-
-    const jsonUrl = "/health?format=json";
-    const htmlUrl = "/health?format=html";
-    const metricsUrl = "/metrics";
-
-    return `<!doctype html>
-<html lang="ja">
-<head>
-  <meta charset="utf-8" />
-  <meta name="viewport" content="width=device-width, initial-scale=1" />
-  <title>anim5s ヘルスチェック</title>
-  <style>
-    :root{ color-scheme: dark; --bg:#0b0d10; --panel:#141722; --line:rgba(255,255,255,.10); --text:#e6e6eb; --muted:rgba(230,230,235,.75); }
-    body{ margin:0; background:var(--bg); color:var(--text); font-family:system-ui,-apple-system,Segoe UI,Roboto,Helvetica,Arial; }
-    .wrap{ max-width: 880px; margin: 0 auto; padding: 16px; }
-    .card{ background:var(--panel); border:1px solid var(--line); border-radius:16px; padding:16px; }
-    h1{ margin:0 0 10px 0; font-size:18px; opacity:.92; }
-    .links{ margin: 6px 0 12px; font-size: 13px; color: var(--muted); }
-    a{ color:#7aa7ff; text-decoration:none; }
-    a:hover{ text-decoration:underline; }
-    table{ width:100%; border-collapse:collapse; font-size:14px; }
-    td{ padding:10px 8px; border-top:1px solid var(--line); vertical-align:top; }
-    td.k{ width: 38%; color: var(--muted); }
-    .sub{ margin-top: 14px; color: var(--muted); font-size: 12px; }
-    .grid{ display:grid; grid-template-columns: 1fr; gap: 12px; }
-    @media(min-width:860px){ .grid{ grid-template-columns: 1fr 1fr; } }
-  </style>
-</head>
-<body>
-  <div class="wrap">
-    <div class="grid">
-      <div class="card">
-        <h1>ヘルス概要（人間向け・日本語）</h1>
-        <div class="links">表示: <a href="${htmlUrl}">HTML</a> / <a href="${jsonUrl}">JSON</a> / <a href="${metricsUrl}">Metrics</a></div>
-        <table>
-          ${rows.map(([k,v])=>`<tr><td class="k">${esc(k)}</td><td class="v">${esc(v)}</td></tr>`).join("\n")}
-        </table>
-        <div class="sub">※ 外形監視ツールには <code>/health?format=json</code> を使うと安全。</div>
-      </div>
-      <div class="card">
-        <h1>カウンタ（簡易メトリクス）</h1>
-        <table>
-          ${counterHtml}
-        </table>
-        <div class="sub">※ 詳細な時系列が欲しくなったら Prometheus/Grafana へ。</div>
-      </div>
-    </div>
-  </div>
-</body>
-</html>`;
+  quarantineSet = loadQuarantineSet();
+
+  function isLocalAddress(addr){
+    const a = String(addr || "");
+    return a === "127.0.0.1" || a === "::1" || a === "::ffff:127.0.0.1";
   }
 
-  // --- Step4: minimal admin endpoints ---
-  if (pathname === "/admin/status"){
-    if (!isAdminAuthorized(req, u)){
-      res.writeHead(404); res.end("not found");
-      return;
+  function isAdminAuthorized(req, urlObj){
+    if (ADMIN_KEY){
+      const qk = String(urlObj?.searchParams?.get("key") || "");
+      const hk = String(req.headers["x-admin-key"] || "");
+      return (qk && qk === ADMIN_KEY) || (hk && hk === ADMIN_KEY);
     }
-    const snap = healthSnapshot();
-    // add a little more operational info than /health
-    const out = {
-      ok: true,
-      ts: snap.ts,
-      uptimeSec: snap.uptimeSec,
-      wsClients: snap.wsClients,
-      roomsInIndex: snap.roomsInIndex,
-      roomsOnDisk: snap.roomsOnDisk,
-      cachedRooms: snap.cachedRooms,
-      backups: snap.backups,
-      dirtyRooms: snap.dirtyRooms,
-      quarantineCount: snap.quarantineCount,
-      dataDir: snap.dataDir,
-      lastError: snap.lastError,
-      memory: process.memoryUsage(),
-      env: {
-        ROOM_CACHE_MAX,
-        ROOM_CACHE_IDLE_MS,
-        BACKUP_INTERVAL_MS,
-        BACKUP_KEEP,
-      }
-    };
-    sendJson(res, 200, out);
-    return;
+    return isLocalAddress(req.socket.remoteAddress);
   }
 
-  if (pathname === "/admin/quarantine"){
-    if (!isAdminAuthorized(req, u)){
-      res.writeHead(404); res.end("not found");
-      return;
+  function sendJson(res, code, obj){
+    res.writeHead(code, { "content-type":"application/json; charset=utf-8" });
+    res.end(JSON.stringify(obj));
+  }
+
+  // --- Read-only REST API helpers ---
+  // Conditional GET: ETag/Last-Modified come from the room's updatedAt (or a frame version),
+  // so CDNs and browsers can revalidate cheaply. Completed rooms never change -> long max-age.
+  function isNotModified(req, etag, lastModifiedMs){
+    const inm = String(req.headers["if-none-match"] || "");
+    if (inm){
+      return inm.split(",").map(x=>x.trim().replace(/^W\//, "")).some(x => x === etag || x === "*");
     }
-    const roomId = normalizeRoomId(u.searchParams.get("roomId"));
-    const mode = String(u.searchParams.get("mode") || "toggle").toLowerCase();
-    if (!roomId){
-      sendJson(res, 400, { ok:false, code:"INVALID_ROOM_ID", message:"roomId が不正です" });
-      return;
+    const ims = Date.parse(String(req.headers["if-modified-since"] || ""));
+    if (Number.isFinite(ims) && lastModifiedMs){
+      // HTTP dates have 1s resolution
+      return Math.floor(lastModifiedMs / 1000) <= Math.floor(ims / 1000);
     }
-    let quarantined = quarantineSet.has(roomId);
-    if (mode === "on") quarantined = true;
-    else if (mode === "off") quarantined = false;
-    else quarantined = !quarantined; // toggle / unknown -> toggle
-    if (quarantined) quarantineSet.add(roomId);
-    else quarantineSet.delete(roomId);
-    saveQuarantineSet();
-    logLine('info','admin_quarantine', { roomId, quarantined, remote: req.socket.remoteAddress || "" });
-    sendJson(res, 200, { ok:true, roomId, quarantined, quarantineCount: quarantineSet.size });
-    return;
-  }
-
-  if (pathname === "/health" || pathname === "/healthz" || pathname === "/health-ja" || pathname === "/health_ja"){
-    const format = String(u.searchParams.get("format") || u.searchParams.get("view") || "").toLowerCase();
-    const wantsJson = (format === "json");
-    const wantsHtml = (format === "html") || (!wantsJson && accept.includes("text/html")) || (pathname === "/health-ja" || pathname === "/health_ja");
-
-    const snap = healthSnapshot();
-    if (wantsHtml){
-      res.writeHead(200, { "content-type":"text/html; charset=utf-8" });
-      res.end(renderHealthHtmlJa(snap));
+    return false;
+  }
+
+  function sendCacheable(req, res, { contentType, body, etag, lastModifiedMs, maxAgeSec }){
+    const headers = {
+      "content-type": contentType,
+      "etag": etag,
+      "cache-control": "public, max-age=" + Math.max(0, Math.floor(maxAgeSec || 0)),
+      "access-control-allow-origin": "*",
+      "x-content-type-options": "nosniff",
+    };
+    if (lastModifiedMs) headers["last-modified"] = new Date(lastModifiedMs).toUTCString();
+    if (isNotModified(req, etag, lastModifiedMs)){
+      res.writeHead(304, headers);
+      res.end();
       return;
     }
+    headers["content-length"] = Buffer.byteLength(body);
+    res.writeHead(200, headers);
+    res.end(req.method === "HEAD" ? undefined : body);
+  }
 
-    res.writeHead(200, { "content-type":"application/json; charset=utf-8" });
-    res.end(JSON.stringify(snap));
-    return;
+  function sendApiError(res, code, errCode){
+    res.writeHead(code, { "content-type":"application/json; charset=utf-8", "access-control-allow-origin": "*", "cache-control": "no-store" });
+    res.end(JSON.stringify({ ok:false, code: errCode, message: errorMessage(errCode, DEFAULT_LOCALE) }));
   }
 
-  if (pathname === "/metrics"){
-    res.writeHead(200, { "content-type":"text/plain; charset=utf-8" });
-    const mu = process.memoryUsage();
-    const lines = [];
-    lines.push('# HELP anim5s_uptime_seconds Process uptime in seconds');
-    lines.push('# TYPE anim5s_uptime_seconds gauge');
-    lines.push('anim5s_uptime_seconds ' + uptimeSec());
+  // --- Step4: minimal rate limiting ---
+  function checkRateLimit(ip, op){
+    const cfg = RATE_BY_OP[op] || RATE_DEFAULT;
+    const t = now();
+    const key = String(ip || "unknown") + "|" + String(op || "unknown");
+    let e = RATE_BUCKETS.get(key);
+    if (!e || !Number.isFinite(e.resetAt) || e.resetAt <= t){
+      e = { count: 0, resetAt: t + cfg.windowMs };
+    }
+    e.count += 1;
+    RATE_BUCKETS.set(key, e);
+    if (e.count > cfg.max){
+      return { ok:false, retryAfterMs: Math.max(0, e.resetAt - t) };
+    }
+    return { ok:true, retryAfterMs: 0 };
+  }
 
-    lines.push('# HELP anim5s_ws_clients Current websocket clients');
-    lines.push('# TYPE anim5s_ws_clients gauge');
-    lines.push('anim5s_ws_clients ' + (wss?.clients ? wss.clients.size : 0));
+  // like checkRateLimit, but without counting a hit (for buckets that only count failures)
+  function peekRateLimit(ip, op){
+    const cfg = RATE_BY_OP[op] || RATE_DEFAULT;
+    const t = now();
+    const e = RATE_BUCKETS.get(String(ip || "unknown") + "|" + String(op || "unknown"));
+    if (!e || !Number.isFinite(e.resetAt) || e.resetAt <= t || e.count < cfg.max) return { ok:true, retryAfterMs: 0 };
+    return { ok:false, retryAfterMs: Math.max(0, e.resetAt - t) };
+  }
 
-    lines.push('# HELP anim5s_rooms_in_index Rooms in index');
-    lines.push('# TYPE anim5s_rooms_in_index gauge');
-    lines.push('anim5s_rooms_in_index ' + Object.keys(index).length);
+  every(() => {
+    const t = now();
+    for (const [k,e] of RATE_BUCKETS.entries()){
+      if (!e || !Number.isFinite(e.resetAt) || e.resetAt <= t) RATE_BUCKETS.delete(k);
+    }
+  }, 30_000);
+
+  // --- Idempotent submits ---
+  // Clients retry submit_frame / create_public_and_submit on timeout. A retry carrying the same
+  // idempotencyKey gets the original reply instead of "already committed" or a second room.
+  // Keys are scoped to the caller (its session, which survives reconnects, else the socket), so a
+  // key someone else picked never returns their result; a reused key with a different payload is a conflict.
+  const IDEMPOTENCY_TTL_MS = Number(env.IDEMPOTENCY_TTL_MS || 10 * 60 * 1000); // 10 min
+  const IDEMPOTENCY_MAX = Number(env.IDEMPOTENCY_MAX || 5000);
+  const IDEMPOTENCY = new Map(); // op|scope|key -> {t, data, fingerprint, expiresAt}
+  const IDEMPOTENCY_KEY_RE = /^[A-Za-z0-9_.:-]{8,128}$/;
+
+  function normalizeReqId(x){
+    if (typeof x === "number" && Number.isFinite(x)) return x;
+    if (typeof x !== "string") return undefined;
+    const s = x.trim();
+    return (s && s.length <= 64) ? s : undefined;
+  }
 
-    lines.push('# HELP anim5s_quarantine_count Quarantined rooms count');
-    lines.push('# TYPE anim5s_quarantine_count gauge');
-    lines.push('anim5s_quarantine_count ' + quarantineSet.size);
+  // "" = no key given, null = key given but malformed
+  function normalizeIdempotencyKey(x){
+    if (x === undefined || x === null || x === "") return "";
+    const k = String(x).trim();
+    return IDEMPOTENCY_KEY_RE.test(k) ? k : null;
+  }
 
-    lines.push('# HELP anim5s_dirty_rooms Dirty rooms count (pending backup)');
-    lines.push('# TYPE anim5s_dirty_rooms gauge');
-    lines.push('anim5s_dirty_rooms ' + dirtyRoomIds.size);
+  function idempotencyScope(ws){
+    const holder = ws._session || ws;
+    if (!holder.idemScope) holder.idemScope = crypto.randomBytes(9).toString("base64url");
+    return holder.idemScope;
+  }
 
-    let roomsOnDisk = 0;
-    try{ roomsOnDisk = fs.readdirSync(ROOMS_DIR).filter(f=>f.endsWith(".json")).length; }catch(e){}
-    lines.push('# HELP anim5s_rooms_on_disk Rooms json files on disk');
-    lines.push('# TYPE anim5s_rooms_on_disk gauge');
-    lines.push('anim5s_rooms_on_disk ' + roomsOnDisk);
+  function getIdempotent(ws, op, key){
+    if (!key) return null;
+    const k = op + "|" + idempotencyScope(ws) + "|" + key;
+    const e = IDEMPOTENCY.get(k);
+    if (!e) return null;
+    if (e.expiresAt <= now()){
+      IDEMPOTENCY.delete(k);
+      return null;
+    }
+    return e;
+  }
 
-    lines.push('# HELP anim5s_cached_rooms Cached rooms in memory');
-    lines.push('# TYPE anim5s_cached_rooms gauge');
-    lines.push('anim5s_cached_rooms ' + cache.size);
+  function rememberIdempotent(ws, op, key, t, data, fingerprint){
+    if (!key) return;
+    IDEMPOTENCY.set(op + "|" + idempotencyScope(ws) + "|" + key, { t, data, fingerprint: String(fingerprint || ""), expiresAt: now() + IDEMPOTENCY_TTL_MS });
+    // Map keeps insertion order: drop the oldest entries first
+    while (IDEMPOTENCY.size > IDEMPOTENCY_MAX){
+      IDEMPOTENCY.delete(IDEMPOTENCY.keys().next().value);
+    }
+  }
 
-    let backups = 0;
-    try{ backups = fs.readdirSync(BACKUP_DIR).filter(n=>!n.startsWith(".")).length; }catch(e){}
-    lines.push('# HELP anim5s_backups Backups kept on disk');
-    lines.push('# TYPE anim5s_backups gauge');
-    lines.push('anim5s_backups ' + backups);
+  // create_public_and_submit: what the request asked for (the image by hash)
+  function createFingerprint(d){
+    const parts = [
+      String(d.theme ?? "").trim(),
+      String(d.visibility || "public"),
+      String(d.template || ""),
+      String(d.background || ""),
+      crypto.createHash("sha256").update(String(d.dataUrl || "")).digest("hex"),
+    ];
+    return crypto.createHash("sha256").update(JSON.stringify(parts)).digest("hex");
+  }
 
-    lines.push('# HELP anim5s_memory_rss_bytes Resident set size');
-    lines.push('# TYPE anim5s_memory_rss_bytes gauge');
-    lines.push('anim5s_memory_rss_bytes ' + mu.rss);
+  // submit_frame: the target frame and the image (by hash)
+  function submitFingerprint(roomId, d){
+    const image = crypto.createHash("sha256").update(String(d.dataUrl || "")).digest("hex");
+    return roomId + "#" + Number(d.frameIndex) + "#" + image;
+  }
 
-    lines.push('# HELP anim5s_counter_total Generic counters');
-    lines.push('# TYPE anim5s_counter_total counter');
-    for (const [k,v] of Object.entries(METRICS.counters)){
-      const name = String(k).replace(/[^a-zA-Z0-9_]/g,'_');
-      lines.push(`anim5s_counter_total{name="${name}"} ${Number(v) || 0}`);
+  every(() => {
+    const t = now();
+    for (const [k,e] of IDEMPOTENCY.entries()){
+      if (!e || e.expiresAt <= t) IDEMPOTENCY.delete(k);
     }
+  }, 60_000);
 
-    lines.push('# HELP anim5s_op_ms Operation duration in ms (sum/count/max)');
-    lines.push('# TYPE anim5s_op_ms_sum counter');
-    for (const [op,o] of Object.entries(METRICS.ms)){
-      const name = String(op).replace(/[^a-zA-Z0-9_]/g,'_');
-      lines.push(`anim5s_op_ms_sum{op="${name}"} ${Number(o.sum) || 0}`);
-      lines.push(`anim5s_op_ms_count{op="${name}"} ${Number(o.count) || 0}`);
-      lines.push(`anim5s_op_ms_max{op="${name}"} ${Number(o.max) || 0}`);
-    }
+  // file form: {schemaVersion, rooms: {roomId: meta}}; in memory `index` is the rooms map
+  function serializeIndex(){
+    return JSON.stringify({ schemaVersion: SCHEMA_VERSION.index, rooms: index });
+  }
 
-    // last error as info gauge
-    lines.push('# HELP anim5s_last_error_ts Last error timestamp (ms since epoch, 0 if none)');
-    lines.push('# TYPE anim5s_last_error_ts gauge');
-    lines.push('anim5s_last_error_ts ' + (LAST_ERROR.ts || 0));
+  function loadIndex(){
+    const obj = store.listIndex();
+    if (!obj || typeof obj !== "object") return {};
+    // migrated in memory only; the new form reaches disk on the next compaction (or `migrate`)
+    const m = migrateDoc("index", obj);
+    if (m.steps.length) logLine('info','index_migrated', { from: m.from, to: m.to, steps: m.steps });
+    return (m.obj.rooms && typeof m.obj.rooms === "object") ? m.obj.rooms : {};
+  }
 
-    res.end(lines.join('\n') + '\n');
-    return;
+  // frameCount / fps of a room document or index entry (missing or out of range = the global defaults)
+  function docFrameCount(obj){
+    const n = Number(obj?.frameCount);
+    return (Number.isInteger(n) && n >= 1 && n <= ROOM_FRAME_COUNT_MAX) ? n : FRAME_COUNT;
   }
 
-  res.writeHead(200, { "content-type":"text/plain; charset=utf-8" });
-  res.end("anim5s ok");
-});
+  function docFps(obj){
+    const n = Number(obj?.fps);
+    return (Number.isInteger(n) && n >= 1 && n <= ROOM_FPS_MAX) ? n : FPS;
+  }
 
-const wss = new WebSocket.Server({ noServer:true, maxPayload: 2_000_000 });
+  function normalizeCanvas(c){
+    const width = Math.max(0, Number(c?.width || 0) || 0);
+    const height = Math.max(0, Number(c?.height || 0) || 0);
+    const background = normalizeBackground(c?.background) || DEFAULT_ROOM_BACKGROUND;
+    return { width, height, background };
+  }
 
-server.on("upgrade", (req, socket, head) => {
-  if (req.url !== "/ws"){
-    socket.destroy();
-    return;
+  // "#rrggbb" (lowercased) or "" when not a color
+  function normalizeBackground(x){
+    const s = String(x || "").trim().toLowerCase();
+    return /^#[0-9a-f]{6}$/.test(s) ? s : "";
   }
-  wss.handleUpgrade(req, socket, head, (ws) => wss.emit("connection", ws, req));
-});
 
-wss.on("connection", (ws) => {
-  ws._roomId = "";
+  function normalizeIndexMeta(meta){
+    const m = (meta && typeof meta === "object") ? meta : {};
+    const roomId = normalizeRoomId(m.roomId);
+    if (!roomId) return null;
+    const createdAt = Number(m.createdAt || 0) || 0;
+    const updatedAt = Number(m.updatedAt || 0) || 0;
+    const frameCount = docFrameCount(m);
+    const fps = docFps(m);
+    const visibility = (m.visibility === "invite") ? "invite" : "public";
+    const filledCount = Math.max(0, Math.min(frameCount, Number(m.filledCount || 0) || 0));
+    const completed = Boolean(m.completed);
+    const gifSaves = Math.max(0, Number(m.gifSaves || 0) || 0);
+    // completedAt may be missing in older data; fall back to updatedAt.
+    const completedAt = completed ? (Number(m.completedAt || 0) || updatedAt || 0) : (Number(m.completedAt || 0) || 0);
+    return {
+      roomId,
+      theme: (m.theme && String(m.theme).trim()) ? String(m.theme).trim() : "",
+      createdAt,
+      updatedAt,
+      frameCount,
+      fps,
+      visibility,
+      filledCount,
+      completed,
+      gifSaves,
+      completedAt,
+    };
+  }
 
-  inc('ws_connections_total');
-  logLine('info','ws_open', { remote: (ws._socket && ws._socket.remoteAddress) ? ws._socket.remoteAddress : '' });
+  // (older versions may miss fields: filled in by the index migration)
+  let index = loadIndex();
 
-  ws.on('close', (code, reason) => {
-    inc('ws_disconnect_total');
-    logLine('info','ws_close', { code, reason: String(reason||'') });
-  });
+  // index meta as derived from a room file (null if it has no usable roomId)
+  function indexMetaFromRoomDoc(obj, fallbackId){
+    const rid = normalizeRoomId(obj?.roomId || fallbackId);
+    if (!rid) return null;
 
-  ws.on("message", (buf) => {
-  const msgStart = now();
-  let opName = 'unknown';
-  try{
-    let m = null;
-    try{ m = JSON.parse(String(buf)); }catch(e){ inc('ws_bad_json_total'); return; }
-    const t = String(m.t || "");
-    opName = metricKey(t || 'unknown');
-    inc('ws_messages_total');
-    inc('ws_msg_type_' + opName);
-    const d = m.data || {};
-
-    // Step4: minimal rate limiting
-    const ip = (ws._socket && ws._socket.remoteAddress) ? ws._socket.remoteAddress : "unknown";
-    const rl = checkRateLimit(ip, t || "unknown");
-    if (!rl.ok){
-      inc('rate_limited_total');
-      send(ws, { v:1, t:"error", ts: now(), data:{ code:"RATE_LIMIT", message:"操作が早すぎます。少し待ってね", retryAfterMs: rl.retryAfterMs } });
-      return;
-    }
+    const theme = (obj.theme && String(obj.theme).trim()) ? String(obj.theme).trim() : "";
+    const createdAt = Number(obj.createdAt || 0) || 0;
+    const updatedAt = Number(obj.updatedAt || 0) || 0;
+
+    // only the room's own frameCount counts (older files: the global one)
+    const frameCount = docFrameCount(obj);
+    const fps = docFps(obj);
+    const committedArr = (Array.isArray(obj.committed) ? obj.committed : (Array.isArray(obj.filled) ? obj.filled : []))
+      .slice(0, frameCount)
+      .map(Boolean);
+    const filledCount = committedArr.reduce((a,b)=>a+(b?1:0), 0);
+    const completed = (String(obj.phase || "") === "PLAYBACK") || filledCount >= frameCount;
+    const gifSaves = Math.max(0, Number(obj.gifSaves || 0) || 0);
+    const completedAt = completed ? (Number(obj.completedAt || 0) || updatedAt || 0) : (Number(obj.completedAt || 0) || 0);
 
+    const visibility = (obj.visibility === "invite") ? "invite" : "public";
+    return { roomId: rid, theme, createdAt, updatedAt, frameCount, fps, visibility, filledCount, completed, gifSaves, completedAt };
+  }
 
-    // Backward-compatible handshake (older clients send these)
-    if (t === "hello"){
-      send(ws, { v:1, t:"welcome", ts: now(), data:{ protocol:1, serverTime: now() } });
-      return;
+  function rebuildIndexFromDisk(){
+    const out = {};
+    for (const rid of store.listRoomIds()){
+      const obj = store.getRoom(rid);
+      if (!obj) continue;
+      const meta = indexMetaFromRoomDoc(obj, rid);
+      if (meta) out[meta.roomId] = meta;
     }
-    // Backward-compatible resync: keep lightweight (clients should request frames via get_frame)
-    if (t === "resync"){
-      const roomId = normalizeRoomId(d.roomId || ws._roomId);
-      if (!roomId){ send(ws, { v:1, t:"error", ts: now(), data:{ message:"roomId が不正です" } }); return; }
-      if (quarantineSet.has(roomId)){
-        send(ws, { v:1, t:"error", ts: now(), data:{ message:"部屋が見つからない" } });
-        return;
-      }
-      const room = getRoom(roomId);
-      if (!room){
-        send(ws, { v:1, t:"error", ts: now(), data:{ message:"部屋が見つからない" } });
-        return;
-      }
-      ws._roomId = room.roomId;
-      send(ws, { v:1, t:"room_state", ts: now(), data: roomState(room) });
-      return;
+    return out;
+  }
+
+  // --- Index journal ---
+  // saveRoom used to rewrite the whole index on every change. Now each change appends one line
+  // {op, roomId, ts, meta} (op: created / committed / completed / gifSaves / updated / deleted) and the
+  // index file is rewritten only on compaction. Entries carry the full meta, so replaying is idempotent:
+  // a crash between "index written" and "journal truncated" just replays entries already applied.
+  let journalEntries = 0;
+  let journalFailed = false;
+
+  function appendIndexJournal(op, roomId, meta){
+    try{
+      store.append(INDEX_JOURNAL_FILE, JSON.stringify({ op, roomId, ts: now(), meta: meta || null }) + "\n");
+      journalEntries++;
+      inc('index_journal_append_total');
+    }catch(e){
+      // journal unusable: fall back to a full rewrite on the next compaction tick
+      journalFailed = true;
     }
+    if (journalEntries >= INDEX_COMPACT_ENTRIES || journalFailed) saveIndex();
+  }
 
-    // V50: list completed public rooms for "みんなの作品"
-    if (t === "list_public_completed"){
-      const sort = (String(d.sort || "new") === "rank") ? "rank" : "new";
-      let limit = Number(d.limit || 60);
-      if (!Number.isFinite(limit)) limit = 60;
-      limit = Math.max(1, Math.min(200, Math.floor(limit)));
-
-      const items = [];
-      for (const rid in index){
-        const meta = normalizeIndexMeta(index[rid]);
-        if (!meta) continue;
-        if (quarantineSet.has(meta.roomId)) continue;
-        if (!meta.completed) continue;
-        items.push({
-          roomId: meta.roomId,
-          theme: meta.theme,
-          createdAt: meta.createdAt,
-          updatedAt: meta.updatedAt,
-          completedAt: meta.completedAt,
-          gifSaves: meta.gifSaves,
-        });
-      }
-
-      if (sort === "rank"){
-        items.sort((a,b) => {
-          const ds = (b.gifSaves||0) - (a.gifSaves||0);
-          if (ds) return ds;
-          const bt = (b.completedAt||b.updatedAt||0) - (a.completedAt||a.updatedAt||0);
-          if (bt) return bt;
-          return String(a.roomId).localeCompare(String(b.roomId));
-        });
+  // -> number of entries applied; a torn last line (crash mid-append) is skipped
+  function replayIndexJournal(){
+    const buf = store.read(INDEX_JOURNAL_FILE);
+    if (!buf) return 0;
+    const raw = buf.toString("utf8");
+    let applied = 0;
+    for (const line of raw.split("\n")){
+      if (!line.trim()) continue;
+      let ent = null;
+      try{ ent = JSON.parse(line); }catch(e){ continue; }
+      const rid = normalizeRoomId(ent?.roomId);
+      if (!rid) continue;
+      if (ent.op === "deleted"){
+        delete index[rid];
       }else{
-        items.sort((a,b) => {
-          const bt = (b.completedAt||b.updatedAt||0) - (a.completedAt||a.updatedAt||0);
-          if (bt) return bt;
-          return String(a.roomId).localeCompare(String(b.roomId));
-        });
+        const nm = normalizeIndexMeta(ent.meta);
+        if (!nm || nm.roomId !== rid) continue;
+        index[rid] = nm;
       }
+      applied++;
+    }
+    return applied;
+  }
 
-      send(ws, { v:1, t:"public_completed_list", ts: now(), data:{ sort, items: items.slice(0, limit) } });
-      return;
+  // compaction: write the whole index, then drop the journal
+  function saveIndex(){
+    try{
+      store.putIndex(serializeIndex());
+      store.remove(INDEX_JOURNAL_FILE);
+      journalEntries = 0;
+      journalFailed = false;
+      inc('index_compactions_total');
+    }catch(e){}
+  }
+
+  function removeFromIndex(roomId){
+    if (!index[roomId]) return;
+    delete index[roomId];
+    appendIndexJournal("deleted", roomId, null);
+  }
+
+  // Crash recovery: the journal only holds changes since the last compaction, so it needs the index
+  // file as its base. When that file is missing or doesn't parse, rebuild the base from the room files
+  // first (last resort), then replay the journal on top of whichever base we have.
+  const indexProblem = !store.exists(INDEX_FILE) ? "missing_index" : (store.listIndex() ? "" : "corrupt_index");
+  // (missing index and no journal: a fresh data dir or the pre-journal layout, handled below)
+  const rebuildBase = indexProblem === "corrupt_index" || (indexProblem === "missing_index" && store.exists(INDEX_JOURNAL_FILE));
+  if (rebuildBase){
+    index = rebuildIndexFromDisk();
+    logLine('warn','index_rebuilt', { reason: indexProblem, rooms: Object.keys(index).length });
+  }
+  const replayed = replayIndexJournal();
+  if (replayed) logLine('info','index_journal_replayed', { entries: replayed });
+  if (rebuildBase || replayed) saveIndex();
+
+  every(() => {
+    if (journalEntries > 0) saveIndex();
+  }, INDEX_COMPACT_INTERVAL_MS);
+
+  // If index is missing/corrupted but rooms exist on disk, rebuild lazily on start.
+  if (!Object.keys(index).length){
+    const rebuilt = rebuildIndexFromDisk();
+    if (Object.keys(rebuilt).length){
+      index = rebuilt;
+      try{ store.putIndex(serializeIndex()); }catch(e){}
     }
+  }
 
-    // V50: count "GIFで保存" for ranking
-    if (t === "gif_saved"){
-      const roomId = normalizeRoomId(d.roomId || ws._roomId);
-      if (!roomId){ send(ws, { v:1, t:"error", ts: now(), data:{ message:"roomId が不正です" } }); return; }
-      if (quarantineSet.has(roomId)){
-        send(ws, { v:1, t:"error", ts: now(), data:{ message:"部屋が見つからない" } });
-        return;
+  function roomFile(roomId){
+    const id = normalizeRoomId(roomId);
+    if (!id) throw new Error("invalid roomId");
+    return storeKey(ROOMS_DIR, id + ".json");
+  }
+
+  function cleanupReservations(room){
+    const t = now();
+    const released = [];
+    for (const [tok, r] of room.reservations.entries()){
+      const fi = (r && Number.isFinite(r.frameIndex)) ? r.frameIndex : -1;
+      const ex = r ? (Number(r.expiresAt) || 0) : 0;
+      const expired = (!r) || (ex <= t);
+      const invalid = !(fi >= 0 && fi < room.frameCount);
+      const committed = (!invalid) ? Boolean(room.committed[fi]) : false;
+      if (expired || committed || invalid){
+        room.reservations.delete(tok);
+        if (!invalid){
+          const curTok = room.reservedByFrame.get(fi);
+          if (curTok === tok){
+            room.reservedByFrame.delete(fi);
+            if (!committed) released.push(fi);
+          }
+        }
+      }
+    }
+    // expired reservations free their frame for everyone else
+    for (const fi of released) broadcastFrameReleased(room.roomId, fi, "expired");
+  }
+
+  function reservationInfo(room, r){
+    const extensions = Math.max(0, Number(r?.extensions || 0) || 0);
+    return {
+      roomId: room.roomId,
+      frameIndex: r.frameIndex,
+      reservationExpiresAt: r.expiresAt,
+      extensionsUsed: extensions,
+      extensionsLeft: Math.max(0, RESERVATION_MAX_EXTENSIONS - extensions),
+    };
+  }
+
+  // Normalize to "room stays editable until truly completed"
+  function normalizePhase(room){
+    const done = room.committed.every(Boolean);
+    if (done){
+      // When a room becomes fully completed, remember the completion timestamp.
+      // (Older rooms may lack completedAt; in that case, fall back later.)
+      if (room.phase !== "PLAYBACK"){
+        room.phase = "PLAYBACK";
+        if (!room.completedAt) room.completedAt = now();
+      }else{
+        room.phase = "PLAYBACK";
+        if (!room.completedAt) room.completedAt = (Number(room.updatedAt || 0) || now());
+      }
+    }else{
+      room.phase = "DRAWING";
+    }
+  }
+
+  function normalizeFrameMeta(m){
+    if (!m || typeof m !== "object") return null;
+    return {
+      contributorId: CONTRIBUTOR_ID_RE.test(String(m.contributorId || "")) ? String(m.contributorId) : null,
+      nickname: normalizeNickname(m.nickname) || null,
+      committedAt: Number(m.committedAt || 0) || null,
+    };
+  }
+
+  function deserializeRoom(raw){
+    const roomId = normalizeRoomId(raw?.roomId);
+    if (!roomId) return null;
+    // older schema versions are migrated first (the caller rewrites the room file when `migrated` is set)
+    const m = migrateDoc("room", raw, { archiveName: roomArchiveName(roomId, Number(raw?.schemaVersion || 0) || 0) });
+    const obj = m.obj;
+    const frameCount = docFrameCount(obj);
+    const frameBlobs = Array.isArray(obj?.frameBlobs) ? obj.frameBlobs.slice(0, frameCount).map(x => isBlobRef(x) ? x : null) : [];
+    const committed = Array.isArray(obj?.committed) ? obj.committed.slice(0, frameCount).map(Boolean) : [];
+    while (frameBlobs.length < frameCount) frameBlobs.push(null);
+    while (committed.length < frameCount) committed.push(false);
+    // per frame {contributorId, nickname, committedAt}; frames committed before V54 have none
+    const frameMeta = (Array.isArray(obj?.frameMeta) ? obj.frameMeta.slice(0, frameCount) : []).map(normalizeFrameMeta);
+    while (frameMeta.length < frameCount) frameMeta.push(null);
+
+    const room = {
+      roomId,
+      theme: ((obj?.theme && String(obj.theme).trim()) ? String(obj.theme).trim() : randTheme()),
+      template: String(obj?.template || DEFAULT_ROOM_TEMPLATE),
+      frameCount,
+      fps: docFps(obj),
+      canvas: normalizeCanvas(obj?.canvas),
+      visibility: (obj?.visibility === "invite") ? "invite" : "public",
+      passphraseHash: String(obj?.passphraseHash || ""),
+      ownerTokenHash: String(obj?.ownerTokenHash || ""),
+      frameBlobs,
+      committed,
+      frameMeta,
+      createdAt: Number(obj?.createdAt || 0) || now(),
+      updatedAt: Number(obj?.updatedAt || 0) || now(),
+      gifSaves: Math.max(0, Number(obj?.gifSaves || 0) || 0),
+      completedAt: Number(obj?.completedAt || 0) || 0,
+      phase: String(obj?.phase || "DRAWING"),
+      reservations: new Map(),
+      reservedByFrame: new Map(),
+    };
+
+    // reservations: [[tok, {frameIndex, expiresAt, extensions}], ...]
+    if (Array.isArray(obj?.reservations)){
+      for (const pair of obj.reservations){
+        if (!Array.isArray(pair) || pair.length < 2) continue;
+        const tok = String(pair[0] || "");
+        const r = pair[1] || {};
+        const fi = Number(r.frameIndex);
+        const ex = Number(r.expiresAt);
+        const extensions = Math.max(0, Number(r.extensions || 0) || 0);
+        if (!tok) continue;
+        if (!Number.isFinite(fi) || fi < 0 || fi >= frameCount) continue;
+        if (!Number.isFinite(ex) || ex <= 0) continue;
+        room.reservations.set(tok, { frameIndex: fi, expiresAt: ex, extensions });
+      }
+    }
+
+    // rebuild reservedByFrame
+    for (const [tok, r] of room.reservations.entries()){
+      if (room.committed[r.frameIndex]) continue;
+      room.reservedByFrame.set(r.frameIndex, tok);
+    }
+
+    cleanupReservations(room);
+    normalizePhase(room);
+    if (m.steps.length) room.migrated = { from: m.from, to: m.to, steps: m.steps, archived: m.archived };
+    return room;
+  }
+
+  function serializeRoom(room){
+    cleanupReservations(room);
+    normalizePhase(room);
+    return {
+      schemaVersion: SCHEMA_VERSION.room,
+      roomId: room.roomId,
+      theme: room.theme,
+      template: room.template,
+      frameCount: room.frameCount,
+      fps: room.fps,
+      canvas: room.canvas,
+      visibility: room.visibility,
+      passphraseHash: room.passphraseHash,
+      ownerTokenHash: room.ownerTokenHash,
+      frameBlobs: room.frameBlobs,
+      committed: room.committed,
+      frameMeta: room.frameMeta,
+      createdAt: room.createdAt,
+      updatedAt: room.updatedAt,
+      gifSaves: Math.max(0, Number(room.gifSaves || 0) || 0),
+      completedAt: Number(room.completedAt || 0) || 0,
+      phase: room.phase,
+      reservations: Array.from(room.reservations.entries()),
+    };
+  }
+
+  // updates the in-memory index and journals the change (nothing is written when the meta is unchanged)
+  function updateIndexFromRoom(room){
+    const prev = index[room.roomId];
+    const filledCount = room.committed.reduce((a,b)=>a+(b?1:0),0);
+    const meta = {
+      roomId: room.roomId,
+      theme: room.theme,
+      createdAt: room.createdAt,
+      updatedAt: room.updatedAt,
+      frameCount: room.frameCount,
+      fps: room.fps,
+      visibility: room.visibility,
+      filledCount,
+      completed: room.phase === "PLAYBACK",
+      gifSaves: Math.max(0, Number(room.gifSaves || 0) || 0),
+      completedAt: (room.phase === "PLAYBACK") ? (Number(room.completedAt || 0) || room.updatedAt || 0) : (Number(room.completedAt || 0) || 0),
+    };
+    index[room.roomId] = meta;
+    let op = "updated";
+    if (!prev) op = "created";
+    else if (meta.completed && !prev.completed) op = "completed";
+    else if (meta.filledCount !== prev.filledCount) op = "committed";
+    else if (meta.gifSaves !== prev.gifSaves) op = "gifSaves";
+    else if (JSON.stringify(meta) === JSON.stringify(prev)) return;
+    appendIndexJournal(op, room.roomId, meta);
+  }
+
+  const cache = new Map(); // roomId -> {room, lastAccess}
+  function touch(roomId){
+    const e = cache.get(roomId);
+    if (e) e.lastAccess = now();
+  }
+
+  function getRoom(roomId){
+    const id = normalizeRoomId(roomId);
+    if (!id) return null;
+
+    const e = cache.get(id);
+    if (e){
+      e.lastAccess = now();
+      return e.room;
+    }
+
+    if (!store.hasRoom(id)) return null;
+
+    try{
+      const room = deserializeRoom(store.getRoom(id));
+      if (!room) return null;
+      cache.set(id, { room, lastAccess: now() });
+      if (room.migrated){
+        const mig = room.migrated;
+        delete room.migrated;
+        saveRoom(room);
+        inc('room_migrated_total');
+        logLine('info','room_migrated', Object.assign({ roomId: id }, mig));
+      }
+      return room;
+    }catch(e2){
+      return null;
+    }
+  }
+
+  // The room file goes first: the index and its journal must never describe data that was not written.
+  // -> false when the room could not be stored (logged; the in-memory room keeps the change)
+  function saveRoom(room){
+    normalizePhase(room);
+    cleanupReservations(room);
+    try{
+      store.putRoom(room.roomId, serializeRoom(room));
+    }catch(e){
+      inc('room_save_failed_total');
+      logLine('error','room_save_failed', { roomId: room.roomId, message: String(e?.message || e) });
+      return false;
+    }
+    dirtyRoomIds.add(room.roomId);
+    try{
+      updateIndexFromRoom(room);
+    }catch(e){
+      logLine('error','index_update_failed', { roomId: room.roomId, message: String(e?.message || e) });
+    }
+    return true;
+  }
+
+  function evictCache(){
+    const t = now();
+
+    // idle eviction
+    for (const [id, e] of cache.entries()){
+      if ((t - e.lastAccess) > ROOM_CACHE_IDLE_MS){
+        cache.delete(id);
+      }
+    }
+
+    // size eviction (oldest first)
+    if (cache.size > ROOM_CACHE_MAX){
+      const arr = Array.from(cache.entries()).sort((a,b)=>a[1].lastAccess - b[1].lastAccess);
+      const over = cache.size - ROOM_CACHE_MAX;
+      for (let i=0;i<over;i++){
+        cache.delete(arr[i][0]);
+      }
+    }
+  }
+  every(evictCache, 15_000);
+
+  // Expire reservations of cached rooms proactively so frame_released reaches viewers on time
+  function sweepReservations(){
+    for (const e of cache.values()){
+      try{ cleanupReservations(e.room); }catch(err){}
+    }
+  }
+  every(sweepReservations, 5_000);
+
+  // Backup dirs newest first: [{name, dir, ts, full, rooms, files, failed}] (dir: storage key; files: relPath -> sha256, null for old manifests)
+  function listBackups(){
+    const out = [];
+    const names = store.list(BACKUP_DIR).filter(n=>!n.startsWith("."));
+    for (const name of names){
+      const dir = storeKey(BACKUP_DIR, name);
+      const manifest = store.readJson(storeKey(dir, "manifest.json"));
+      if (!manifest) continue;
+      const ts = Number(manifest.ts || 0) || 0;
+      const rooms = (Array.isArray(manifest.rooms) ? manifest.rooms : []).map(normalizeRoomId).filter(Boolean);
+      const files = (manifest.files && typeof manifest.files === "object") ? manifest.files : null;
+      const failed = (Array.isArray(manifest.failed) ? manifest.failed : []).map(normalizeRoomId).filter(Boolean);
+      out.push({ name, dir, ts, full: Boolean(manifest.full), rooms, files, failed });
+    }
+    out.sort((a,b) => (b.ts - a.ts) || b.name.localeCompare(a.name));
+    return out;
+  }
+
+  function pruneBackups(){
+    try{
+      const dirs = store.list(BACKUP_DIR).filter(n=>!n.startsWith("."));
+      dirs.sort();
+      // The newest BACKUP_FULL_KEEP full snapshots survive rotation: without them a room that
+      // hasn't changed for BACKUP_KEEP intervals would have no copy left at all.
+      const keepFull = new Set(listBackups().filter(b => b.full).slice(0, BACKUP_FULL_KEEP).map(b => b.name));
+      const over = dirs.length - BACKUP_KEEP;
+      for (let i=0;i<over;i++){
+        if (keepFull.has(dirs[i])) continue;
+        store.remove(storeKey(BACKUP_DIR, dirs[i]));
+      }
+    }catch(e){}
+  }
+
+  function sha256File(key){
+    const buf = store.read(key);
+    if (!buf) throw new Error("missing: " + key);
+    return crypto.createHash("sha256").update(buf).digest("hex");
+  }
+
+  // copy src -> backups/<stamp>/<rel> and record its checksum; the copy is re-read so a short/garbled write is caught here
+  function backupCopy(src, stamp, rel, files){
+    store.backup(stamp, rel, src);
+    const sum = sha256File(src);
+    if (sha256File(storeKey(BACKUP_DIR, stamp, rel)) !== sum) throw new Error("checksum mismatch after copy: " + rel);
+    files[rel] = sum;
+  }
+
+  // opts.force: ignore BACKUP_INTERVAL_MS (final backup on shutdown)
+  function doBackup(opts){
+    const t = now();
+    const full = (t - lastFullBackupAt) >= BACKUP_FULL_INTERVAL_MS;
+    if (!opts?.force && (t - lastBackupAt) < BACKUP_INTERVAL_MS) return;
+    if (!full && dirtyRoomIds.size === 0) return;
+
+    // full snapshot: every room on disk, not only the ones changed since the last backup
+    let roomIds = Array.from(dirtyRoomIds);
+    if (full){
+      try{ roomIds = store.listRoomIds(); }catch(e){}
+    }
+
+    const stamp = new Date(t).toISOString().replace(/[:.]/g, "-");
+    const dir = storeKey(BACKUP_DIR, stamp);
+    backupState.lastAttemptAt = t;
+    try{
+      const files = Object.create(null);
+      store.write(storeKey(dir, "rooms_index.json"), serializeIndex());
+      files["rooms_index.json"] = sha256File(storeKey(dir, "rooms_index.json"));
+      const saved = [];
+      const failed = [];
+      for (const rid of roomIds){
+        const before = new Set(Object.keys(files));
+        try{
+          const src = roomFile(rid);
+          if (!store.exists(src)){ saved.push(rid); continue; } // deleted since it was marked dirty
+          backupCopy(src, stamp, rid + ".json", files);
+          // frame images referenced by the room go along, so a backup dir restores on its own
+          const obj = store.readJson(src);
+          for (const ref of (Array.isArray(obj?.frameBlobs) ? obj.frameBlobs : [])){
+            if (!isBlobRef(ref)) continue;
+            const rel = "blobs/" + ref;
+            if (files[rel]) continue;
+            backupCopy(blobFile(ref), stamp, rel, files);
+          }
+          saved.push(rid);
+        }catch(e){
+          // drop this room's partial copies so the manifest only vouches for complete rooms
+          for (const rel of Object.keys(files)){
+            if (before.has(rel)) continue;
+            delete files[rel];
+            try{ store.remove(storeKey(dir, rel)); }catch(e2){}
+          }
+          try{ store.remove(storeKey(dir, rid + ".json")); }catch(e2){}
+          failed.push(rid);
+          logLine('error','backup_room_failed', { stamp, roomId: rid, message: String(e?.message || e) });
+        }
+      }
+      // manifest last: a dir without one is an interrupted run and is ignored by listBackups()
+      store.write(storeKey(dir, "manifest.json"), JSON.stringify({ ts: t, full, rooms: saved, failed, files }));
+      // failed rooms stay dirty and are retried on the next run
+      for (const rid of saved) dirtyRoomIds.delete(rid);
+      for (const rid of failed) dirtyRoomIds.add(rid);
+      lastBackupAt = t;
+      if (full) lastFullBackupAt = t;
+      if (failed.length){
+        noteBackupFailure(t, failed.length + " room(s) failed", failed);
+      }else{
+        backupState.lastSuccessAt = t;
+        backupState.lastFailedRooms = [];
+        backupState.consecutiveFailures = 0;
+      }
+      logLine(failed.length ? 'warn' : 'info','backup_done', { stamp, full, rooms: saved.length, failed: failed.length });
+      pruneBackups();
+    }catch(e){
+      noteBackupFailure(t, String(e?.message || e), roomIds);
+      logLine('error','backup_failed', { stamp, message: String(e?.message || e) });
+    }
+  }
+
+  function noteBackupFailure(t, message, roomIds){
+    backupState.lastFailureAt = t;
+    backupState.lastError = message;
+    backupState.lastFailedRooms = roomIds.slice(0, 100);
+    backupState.consecutiveFailures += 1;
+    inc('backup_failed_total');
+  }
+
+  // Re-hash every file listed in a backup's manifest.
+  // -> {name, ts, full, ok, verified, checked, missing:[], mismatched:[]}; verified=false for manifests without checksums
+  function verifyBackup(b){
+    const out = { name: b.name, ts: b.ts, full: b.full, ok: true, verified: Boolean(b.files), checked: 0, missing: [], mismatched: [] };
+    if (!b.files){
+      // old manifest: only existence can be checked
+      for (const rid of b.rooms){
+        out.checked++;
+        if (!store.exists(storeKey(b.dir, rid + ".json"))) out.missing.push(rid + ".json");
+      }
+    }else{
+      for (const [rel, sum] of Object.entries(b.files)){
+        if (String(rel).split("/").includes("..")) continue;
+        const key = storeKey(b.dir, rel);
+        out.checked++;
+        if (!store.exists(key)){ out.missing.push(rel); continue; }
+        try{
+          if (sha256File(key) !== sum) out.mismatched.push(rel);
+        }catch(e){
+          out.missing.push(rel);
+        }
+      }
+    }
+    out.ok = out.missing.length === 0 && out.mismatched.length === 0;
+    return out;
+  }
+
+  function backupStatus(){
+    return {
+      lastAttemptAt: backupState.lastAttemptAt,
+      lastSuccessAt: backupState.lastSuccessAt,
+      lastFullAt: lastFullBackupAt,
+      lastFailureAt: backupState.lastFailureAt,
+      lastError: backupState.lastError,
+      lastFailedRooms: backupState.lastFailedRooms,
+      consecutiveFailures: backupState.consecutiveFailures,
+      dirtyRooms: dirtyRoomIds.size,
+      intervalMs: BACKUP_INTERVAL_MS,
+      fullIntervalMs: BACKUP_FULL_INTERVAL_MS,
+    };
+  }
+
+  // Run backup checks periodically (backs up only when there were changes, or a full snapshot is due)
+  lastFullBackupAt = (listBackups().find(b => b.full) || { ts: 0 }).ts;
+  backupState.lastSuccessAt = (listBackups().find(b => b.failed.length === 0) || { ts: 0 }).ts;
+  every(() => doBackup(), 30_000);
+
+  // --- Restore from backups ---
+  // State as of `at`: for each room, the newest backup copy taken at or before `at`.
+  // Incremental dirs only hold rooms that changed, so dirs are walked newest-first per room.
+  function parseRestoreAt(x){
+    if (x === undefined || x === null || x === "") return now();
+    const n = Number(x);
+    if (Number.isFinite(n) && n > 0) return n;
+    const d = Date.parse(String(x));
+    return Number.isFinite(d) ? d : NaN;
+  }
+
+  function findBackupBlob(ref, backups){
+    for (const b of backups){
+      const key = storeKey(b.dir, "blobs", ref);
+      if (store.exists(key)) return key;
+    }
+    return "";
+  }
+
+  function roomSummary(obj){
+    if (!obj) return null;
+    const committed = Array.isArray(obj.committed) ? obj.committed.slice(0, docFrameCount(obj)).map(Boolean) : [];
+    return {
+      createdAt: Number(obj.createdAt || 0) || 0,
+      updatedAt: Number(obj.updatedAt || 0) || 0,
+      filledCount: committed.reduce((a,b)=>a+(b?1:0), 0),
+      phase: String(obj.phase || ""),
+      gifSaves: Math.max(0, Number(obj.gifSaves || 0) || 0),
+    };
+  }
+
+  // What a restore does with rooms that exist now but are in no backup taken at or before `at`
+  // (restore option newerRooms). Rooms created after `at` are "newer"; older ones are only reported.
+  const RESTORE_NEWER_ROOMS = ["keep", "quarantine", "remove"];
+
+  // -> {ok, at, dryRun, items:[{roomId, action, backup, current, restored, missingBlobs}], summary}
+  function restoreFromBackups(opts){
+    const at = parseRestoreAt(opts?.at);
+    if (!Number.isFinite(at)) return { ok:false, code:"INVALID_TIMESTAMP" };
+    const onlyRoomId = opts?.roomId ? normalizeRoomId(opts.roomId) : "";
+    if (opts?.roomId && !onlyRoomId) return { ok:false, code:"INVALID_ROOM_ID" };
+    const newerRooms = String(opts?.newerRooms || "keep");
+    if (!RESTORE_NEWER_ROOMS.includes(newerRooms)) return { ok:false, code:"INVALID_NEWER_ROOMS" };
+    const dryRun = Boolean(opts?.dryRun);
+
+    const backups = listBackups().filter(b => b.ts <= at);
+    const chosen = new Map(); // roomId -> backup
+    for (const b of backups){
+      for (const rid of b.rooms){
+        if (onlyRoomId && rid !== onlyRoomId) continue;
+        if (chosen.has(rid)) continue;
+        if (store.exists(storeKey(b.dir, rid + ".json"))) chosen.set(rid, b);
+      }
+    }
+
+    const items = [];
+    for (const [rid, b] of chosen.entries()){
+      const src = storeKey(b.dir, rid + ".json");
+      const raw = store.read(src) || Buffer.alloc(0);
+      const sum = b.files ? b.files[rid + ".json"] : "";
+      const obj = (sum && crypto.createHash("sha256").update(raw).digest("hex") !== sum) ? null : store.readJson(src);
+      if (!obj){
+        items.push({ roomId: rid, action: "skip_corrupt", backup: b.name });
+        continue;
+      }
+      const dst = roomFile(rid);
+      const curRaw = store.read(dst);
+      const action = !curRaw ? "add" : (curRaw.equals(raw) ? "unchanged" : "replace");
+      const refs = (Array.isArray(obj.frameBlobs) ? obj.frameBlobs : []).filter(isBlobRef);
+      const missingBlobs = refs.filter(ref => !store.hasBlob(ref) && !findBackupBlob(ref, backups));
+      const item = {
+        roomId: rid,
+        action,
+        backup: b.name,
+        backupTs: b.ts,
+        current: roomSummary(curRaw ? store.readJson(dst) : null),
+        restored: roomSummary(obj),
+        missingBlobs,
+      };
+      items.push(item);
+
+      if (dryRun || action === "unchanged") continue;
+      for (const ref of refs){
+        if (store.hasBlob(ref)) continue;
+        const bsrc = findBackupBlob(ref, backups);
+        if (bsrc) store.copy(bsrc, blobFile(ref));
       }
-      const room = getRoom(roomId);
-      if (!room){
-        send(ws, { v:1, t:"error", ts: now(), data:{ message:"部屋が見つからない" } });
+      store.write(dst, raw);
+      cache.delete(rid);
+      dirtyRoomIds.add(rid);
+    }
+
+    // rooms the chosen backups know nothing about: kept as they are unless newerRooms says otherwise
+    let quarantined = false;
+    for (const rid of store.listRoomIds()){
+      if (chosen.has(rid) || (onlyRoomId && rid !== onlyRoomId)) continue;
+      const current = roomSummary(store.getRoom(rid));
+      if (!current) continue;
+      const newer = current.createdAt > at;
+      const action = !newer ? "keep_not_in_backup" : (newerRooms + "_newer");
+      items.push({ roomId: rid, action, current });
+      if (dryRun || !newer) continue;
+      if (newerRooms === "quarantine" && !quarantineSet.has(rid)){
+        quarantineSet.add(rid);
+        quarantined = true;
+      }else if (newerRooms === "remove"){
+        removeRoom(rid);
+      }
+    }
+    if (quarantined) saveQuarantineSet();
+    items.sort((a,b) => a.roomId.localeCompare(b.roomId));
+
+    const summary = { add: 0, replace: 0, unchanged: 0, skip_corrupt: 0, missingBlobs: 0,
+      keep_newer: 0, quarantine_newer: 0, remove_newer: 0, keep_not_in_backup: 0 };
+    for (const it of items){
+      summary[it.action] = (summary[it.action] || 0) + 1;
+      summary.missingBlobs += (it.missingBlobs || []).length;
+    }
+
+    if (!dryRun && (summary.add || summary.replace || summary.quarantine_newer || summary.remove_newer)){
+      // fresh index from what is on disk now
+      index = rebuildIndexFromDisk();
+      saveIndex();
+      logLine('info','backup_restored', { at, roomId: onlyRoomId, add: summary.add, replace: summary.replace,
+        quarantineNewer: summary.quarantine_newer, removeNewer: summary.remove_newer });
+    }
+    return { ok:true, at, atIso: new Date(at).toISOString(), dryRun, roomId: onlyRoomId || null, newerRooms, backupsConsidered: backups.length, summary, items };
+  }
+
+  // --- Bulk migration ---
+  // Runs the schema migrations over every room file, the index and quarantine.json.
+  // -> {ok, dryRun, schemaVersion, index, quarantine, summary, items:[{roomId, from, to, steps, changes, archived}], errors}
+  function migrateAll(opts){
+    const dryRun = Boolean(opts?.dryRun);
+    const docReport = (m) => m ? { from: m.from, to: m.to, steps: m.steps, changes: m.changes } : null;
+
+    const rawIndex = store.listIndex();
+    const mIndex = rawIndex ? migrateDoc("index", rawIndex, { dryRun }) : null;
+    const rawQ = store.readJson(QUARANTINE_FILE);
+    const mQ = rawQ ? migrateDoc("quarantine", rawQ, { dryRun }) : null;
+
+    const summary = { scanned: 0, migrated: 0, stamped: 0, upToDate: 0, newer: 0, failed: 0 };
+    const items = [];
+    const errors = [];
+    for (const rid of store.listRoomIds()){
+      summary.scanned++;
+      try{
+        const raw = store.getRoom(rid);
+        if (!raw) throw new Error("unreadable room file");
+        const from = Number(raw.schemaVersion || 0) || 0;
+        if (from === SCHEMA_VERSION.room){ summary.upToDate++; continue; }
+        if (from > SCHEMA_VERSION.room){ summary.newer++; continue; }
+        const m = migrateDoc("room", raw, { dryRun, archiveName: roomArchiveName(rid, from) });
+        if (m.steps.length){
+          summary.migrated++;
+          items.push({ roomId: rid, from: m.from, to: m.to, steps: m.steps, changes: m.changes, archived: m.archived || null });
+        }else{
+          summary.stamped++; // nothing to convert, only the version is recorded
+        }
+        if (dryRun) continue;
+        store.putRoom(rid, m.obj);
+        cache.delete(rid);
+        dirtyRoomIds.add(rid);
+      }catch(e){
+        summary.failed++;
+        errors.push({ roomId: rid, error: String(e?.message || e) });
+      }
+    }
+
+    if (!dryRun){
+      if (mIndex && mIndex.from < SCHEMA_VERSION.index) saveIndex();
+      if (mQ && mQ.from < SCHEMA_VERSION.quarantine) saveQuarantineSet();
+      logLine('info','schema_migrated', Object.assign({}, summary));
+    }
+    return {
+      ok: summary.failed === 0,
+      dryRun,
+      schemaVersion: SCHEMA_VERSION,
+      index: docReport(mIndex),
+      quarantine: docReport(mQ),
+      summary,
+      items,
+      errors,
+    };
+  }
+
+  // --- fsck: data directory consistency check ---
+  // Scans room files, the index, quarantine, blobs and backups. Nothing is changed unless
+  // opts.repair is set; even then unreadable files are moved to archive/corrupt/, never deleted.
+  // Files younger than FSCK_GRACE_MS are left alone (they may belong to a write in progress).
+  const FSCK_GRACE_MS = Number(env.FSCK_GRACE_MS || 10 * 60 * 1000);
+  const FSCK_MAX_ISSUES = 1000;
+  const TMP_FILE_RE = /\.tmp_\d+_\d+$/;
+
+  function fileAgeMs(key){
+    const mt = store.mtime(key);
+    return mt ? now() - mt : 0;
+  }
+
+  function archiveCorruptFile(key){
+    const dst = storeKey(ARCHIVE_DIR, "corrupt", key.replace(/\//g, "__") + "." + now());
+    store.rename(key, dst);
+    return dst;
+  }
+
+  // -> {ok, repair, ts, summary:{kind: count}, issues:[{kind, target, detail?, repaired}], truncated}
+  // kinds: stale_tmp, unparsable_json, room_id_mismatch, phase_mismatch, reservation_on_committed,
+  //        missing_blob, orphan_blob, orphan_anim, index_orphan, index_missing, index_drift,
+  //        quarantine_orphan, backup_incomplete, backup_corrupt
+  function runFsck(opts){
+    const repair = Boolean(opts?.repair);
+    const t = now();
+    const issues = [];
+    const summary = {};
+    let unrepaired = 0;
+    let indexChanged = false;
+    const backups = listBackups();
+    function report(kind, target, detail, fix){
+      let repaired = false;
+      if (repair && fix){
+        try{ fix(); repaired = true; }catch(e){ detail = (detail ? detail + "; " : "") + "repair failed: " + String(e?.message || e); }
+      }
+      if (!repaired) unrepaired++;
+      summary[kind] = (summary[kind] || 0) + 1;
+      if (issues.length < FSCK_MAX_ISSUES) issues.push(detail ? { kind, target, detail, repaired } : { kind, target, repaired });
+    }
+
+    // stale tmp files left by the fs backend's atomic write after a crash
+    for (const key of store.listDeep("")){
+      if (!TMP_FILE_RE.test(key) || fileAgeMs(key) < FSCK_GRACE_MS) continue;
+      report("stale_tmp", key, "", () => store.remove(key));
+    }
+
+    // room files
+    const onDisk = new Map(); // roomId -> parsed doc
+    const referenced = new Set();
+    const roomFiles = store.list(ROOMS_DIR);
+    for (const f of roomFiles){
+      const fp = storeKey(ROOMS_DIR, f);
+      if (f.endsWith(".json")){
+        const fid = normalizeRoomId(f.slice(0, -5));
+        const obj = store.readJson(fp);
+        if (!obj || typeof obj !== "object"){
+          report("unparsable_json", "rooms/" + f, "", () => {
+            archiveCorruptFile(fp);
+            if (fid && index[fid]){ delete index[fid]; indexChanged = true; }
+          });
+          continue;
+        }
+        if (!fid) continue;
+        if (normalizeRoomId(obj.roomId) !== fid){
+          report("room_id_mismatch", "rooms/" + f, "roomId in file: " + String(obj.roomId || ""));
+          continue;
+        }
+        onDisk.set(fid, obj);
+
+        const frameCount = docFrameCount(obj);
+        const committed = Array.isArray(obj.committed) ? obj.committed.slice(0, frameCount).map(Boolean) : [];
+        const done = committed.length >= frameCount && committed.every(Boolean);
+        const phase = String(obj.phase || "DRAWING");
+        // load + save goes through normalizePhase / cleanupReservations, which fix both of these
+        const resave = () => {
+          const room = getRoom(fid);
+          if (!room) throw new Error("room not loadable");
+          saveRoom(room);
+          onDisk.set(fid, store.readJson(fp) || obj);
+        };
+        if ((phase === "PLAYBACK") !== done){
+          report("phase_mismatch", fid, `phase=${phase}, committed ${committed.filter(Boolean).length}/${frameCount}`, resave);
+        }
+        const badRes = (Array.isArray(obj.reservations) ? obj.reservations : [])
+          .filter(pair => Array.isArray(pair) && committed[Number(pair[1]?.frameIndex)]);
+        if (badRes.length){
+          report("reservation_on_committed", fid, "frames " + badRes.map(p => Number(p[1].frameIndex)).join(","), resave);
+        }
+
+        const refs = Array.isArray(obj.frameBlobs) ? obj.frameBlobs : [];
+        for (let i=0;i<committed.length;i++){
+          const ref = refs[i];
+          if (isBlobRef(ref)) referenced.add(ref);
+          if (!committed[i]) continue;
+          if (isBlobRef(ref) && store.hasBlob(ref)) continue;
+          // legacy rooms still embed dataUrls (migrated on load)
+          if (!isBlobRef(ref) && Array.isArray(obj.frames) && typeof obj.frames[i] === "string") continue;
+          const bsrc = isBlobRef(ref) ? findBackupBlob(ref, backups) : "";
+          report("missing_blob", fid, `frame ${i}` + (bsrc ? " (copy in backups)" : ""), bsrc ? () => store.copy(bsrc, blobFile(ref)) : null);
+        }
+      }
+    }
+    for (const f of roomFiles){
+      const m = /^(.+)\.anim\.(gif|apng)$/.exec(f);
+      if (!m || onDisk.has(normalizeRoomId(m[1]))) continue;
+      report("orphan_anim", storeKey(ROOMS_DIR, f), "", () => store.remove(storeKey(ROOMS_DIR, f)));
+    }
+
+    // blobs no room refers to
+    for (const key of store.listDeep(BLOBS_DIR)){
+      const ref = key.split("/").pop();
+      if (!isBlobRef(ref) || referenced.has(ref) || fileAgeMs(key) < FSCK_GRACE_MS) continue;
+      report("orphan_blob", key, "", () => store.remove(key));
+    }
+
+    // index vs room files
+    for (const rid of Object.keys(index)){
+      if (onDisk.has(rid)) continue;
+      if (store.hasRoom(rid)) continue; // unparsable / mismatched: reported above
+      report("index_orphan", rid, "no room file", () => { delete index[rid]; indexChanged = true; });
+    }
+    for (const [rid, obj] of onDisk.entries()){
+      const meta = indexMetaFromRoomDoc(obj, rid);
+      const cur = index[rid];
+      if (!cur){
+        report("index_missing", rid, "", () => { index[rid] = meta; indexChanged = true; });
+        continue;
+      }
+      const diff = Object.keys(meta).filter(k => JSON.stringify(meta[k]) !== JSON.stringify(cur[k]));
+      if (diff.length){
+        report("index_drift", rid, diff.map(k => `${k}: ${JSON.stringify(cur[k])} -> ${JSON.stringify(meta[k])}`).join(", "), () => { index[rid] = meta; indexChanged = true; });
+      }
+    }
+
+    // quarantine entries for rooms that no longer exist
+    let qChanged = false;
+    if (store.exists(QUARANTINE_FILE) && !store.readJson(QUARANTINE_FILE)){
+      report("unparsable_json", "quarantine.json", "", () => { archiveCorruptFile(QUARANTINE_FILE); qChanged = true; });
+    }
+    for (const rid of Array.from(quarantineSet)){
+      if (store.hasRoom(rid)) continue;
+      report("quarantine_orphan", rid, "", () => { quarantineSet.delete(rid); qChanged = true; });
+    }
+
+    // backups: dirs without a readable manifest are interrupted runs; the rest are checksum-verified
+    const backupDirs = store.list(BACKUP_DIR).filter(n => !n.startsWith("."));
+    const listed = new Map(backups.map(b => [b.name, b]));
+    for (const name of backupDirs){
+      const b = listed.get(name);
+      if (!b){
+        const dir = storeKey(BACKUP_DIR, name);
+        if (fileAgeMs(dir) < FSCK_GRACE_MS) continue;
+        report("backup_incomplete", dir, "no readable manifest.json", () => store.remove(dir));
+        continue;
+      }
+      const v = verifyBackup(b);
+      if (!v.ok) report("backup_corrupt", "backups/" + name, [...v.missing.map(x => "missing " + x), ...v.mismatched.map(x => "mismatch " + x)].slice(0, 20).join(", "));
+    }
+
+    if (indexChanged) saveIndex();
+    if (qChanged) saveQuarantineSet();
+    if (repair) logLine('info','fsck_repaired', { issues: Object.values(summary).reduce((a,b)=>a+b, 0), unrepaired });
+    inc('fsck_runs_total');
+    return {
+      ok: unrepaired === 0,
+      repair,
+      ts: t,
+      summary,
+      issues,
+      truncated: issues.length < Object.values(summary).reduce((a,b)=>a+b, 0),
+    };
+  }
+
+  // template name + optional background color -> {template, frameCount, fps, canvas} | {error}
+  function resolveRoomShape(templateIn, backgroundIn){
+    const template = (templateIn === undefined || templateIn === null || templateIn === "") ? DEFAULT_ROOM_TEMPLATE : String(templateIn);
+    const tpl = Object.prototype.hasOwnProperty.call(ROOM_TEMPLATES, template) ? ROOM_TEMPLATES[template] : null;
+    if (!tpl) return { error: "INVALID_TEMPLATE" };
+    let background = DEFAULT_ROOM_BACKGROUND;
+    if (backgroundIn !== undefined && backgroundIn !== null && backgroundIn !== ""){
+      background = normalizeBackground(backgroundIn);
+      if (!background) return { error: "INVALID_BACKGROUND" };
+    }
+    const width = tpl.width || CANVAS_WIDTH;
+    const height = tpl.height || CANVAS_HEIGHT;
+    return { template, frameCount: tpl.frameCount, fps: tpl.fps, canvas: { width, height, background } };
+  }
+
+  function makeRoom(theme, shape){
+    const roomId = id7();
+    const sh = shape || resolveRoomShape();
+    const room = {
+      roomId,
+      theme: ((theme && String(theme).trim()) ? String(theme).trim() : randTheme()),
+      template: sh.template,
+      frameCount: sh.frameCount,
+      fps: sh.fps,
+      canvas: sh.canvas,
+      visibility: "public",
+      passphraseHash: "",
+      ownerTokenHash: "",
+      frameBlobs: Array.from({length:sh.frameCount}, ()=>null),
+      committed: Array.from({length:sh.frameCount}, ()=>false),
+      frameMeta: Array.from({length:sh.frameCount}, ()=>null),
+      createdAt: now(),
+      updatedAt: now(),
+      gifSaves: 0,
+      completedAt: 0,
+      phase: "DRAWING",
+      reservations: new Map(),
+      reservedByFrame: new Map(),
+    };
+    cache.set(roomId, { room, lastAccess: now() });
+    updateIndexFromRoom(room);
+    saveRoom(room);
+    return room;
+  }
+
+  function roomState(room){
+    cleanupReservations(room);
+    normalizePhase(room);
+    return {
+      roomId: room.roomId,
+      theme: room.theme,
+      template: room.template,
+      frameCount: room.frameCount,
+      fps: room.fps,
+      canvas: room.canvas,
+      visibility: room.visibility,
+      phase: room.phase,
+      createdAt: room.createdAt,
+      updatedAt: room.updatedAt,
+      gifSaves: Math.max(0, Number(room.gifSaves || 0) || 0),
+      completedAt: Number(room.completedAt || 0) || 0,
+      filled: room.committed.slice(0, room.frameCount),
+      committedAt: room.committed.slice(0, room.frameCount).map((c, i) => (c && room.frameMeta[i]?.committedAt) || null),
+      credits: roomCredits(room),
+      completed: room.phase === "PLAYBACK",
+    };
+  }
+
+  // One entry per contributor in order of their first frame: {contributorId, nickname, frames, firstCommittedAt}.
+  // Anonymous frames (no secret given, or committed before attribution existed) share one entry with contributorId null.
+  function roomCredits(room){
+    const byId = new Map();
+    for (let i=0;i<room.frameCount;i++){
+      if (!room.committed[i]) continue;
+      const m = room.frameMeta[i] || {};
+      const key = m.contributorId || "";
+      let c = byId.get(key);
+      if (!c){
+        c = { contributorId: m.contributorId || null, nickname: null, frames: [], firstCommittedAt: null, lastAt: 0 };
+        byId.set(key, c);
+      }
+      c.frames.push(i);
+      if (m.committedAt && (!c.firstCommittedAt || m.committedAt < c.firstCommittedAt)) c.firstCommittedAt = m.committedAt;
+      // the most recently used nickname wins
+      if (m.nickname && (m.committedAt || 0) >= c.lastAt){
+        c.nickname = m.nickname;
+        c.lastAt = m.committedAt || 0;
+      }
+    }
+    return Array.from(byId.values())
+      .sort((a,b) => ((a.firstCommittedAt || Infinity) - (b.firstCommittedAt || Infinity)) || (a.frames[0] - b.frames[0]))
+      .map(({ contributorId, nickname, frames, firstCommittedAt }) => ({ contributorId, nickname, frames, firstCommittedAt }));
+  }
+
+  // Per-frame version: prefix of the frame's content hash (its blob ref)
+  function frameVersion(room, i){
+    const ref = room.frameBlobs[i];
+    if (!room.committed[i] || !ref) return "";
+    return ref.slice(0, 16);
+  }
+
+  function hasFrame(room, i){
+    return Boolean(room.committed[i] && room.frameBlobs[i]);
+  }
+
+  // Frame images are read from the blob store only when someone asks for them
+  function frameImage(room, i){
+    return hasFrame(room, i) ? readFrameBlob(room.frameBlobs[i]) : null;
+  }
+
+  function frameDataUrl(room, i){
+    const img = frameImage(room, i);
+    return img ? bytesToDataUrl(img.mime, img.bytes) : null;
+  }
+
+  // frameIndices: [..] or an inclusive from/to range (defaults to every frame of the room)
+  function parseFrameSelection(d, frameCount){
+    const out = [];
+    const seen = new Set();
+    const add = (x) => {
+      const i = Number(x);
+      if (!Number.isInteger(i) || i < 0 || i >= frameCount || seen.has(i)) return false;
+      seen.add(i);
+      out.push(i);
+      return true;
+    };
+    if (Array.isArray(d.frameIndices)){
+      for (const x of d.frameIndices.slice(0, frameCount)){
+        if (!add(x)) return null;
+      }
+      return out;
+    }
+    const from = (d.from === undefined) ? 0 : Number(d.from);
+    const to = (d.to === undefined) ? frameCount - 1 : Number(d.to);
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < 0 || to >= frameCount || from > to) return null;
+    for (let i=from;i<=to;i++) add(i);
+    return out;
+  }
+
+  // have: {"3":"ab12..."} or [{frameIndex, version}, ...]
+  function parseHaveVersions(have, frameCount){
+    const m = new Map();
+    if (Array.isArray(have)){
+      for (const h of have.slice(0, frameCount)){
+        if (h && Number.isInteger(Number(h.frameIndex)) && h.version) m.set(Number(h.frameIndex), String(h.version));
+      }
+    }else if (have && typeof have === "object"){
+      for (const k of Object.keys(have).slice(0, frameCount)){
+        if (Number.isInteger(Number(k)) && have[k]) m.set(Number(k), String(have[k]));
+      }
+    }
+    return m;
+  }
+
+  // V50: completed public rooms for "みんなの作品" (shared by WS list_public_completed and GET /api/public/completed)
+  function listPublicCompleted(sortIn, limitIn){
+    const sort = (String(sortIn || "new") === "rank") ? "rank" : "new";
+    let limit = Number(limitIn || 60);
+    if (!Number.isFinite(limit)) limit = 60;
+    limit = Math.max(1, Math.min(200, Math.floor(limit)));
+
+    const items = [];
+    for (const rid in index){
+      const meta = normalizeIndexMeta(index[rid]);
+      if (!meta) continue;
+      if (quarantineSet.has(meta.roomId)) continue;
+      if (meta.visibility !== "public") continue;
+      if (!meta.completed) continue;
+      items.push({
+        roomId: meta.roomId,
+        theme: meta.theme,
+        createdAt: meta.createdAt,
+        updatedAt: meta.updatedAt,
+        completedAt: meta.completedAt,
+        gifSaves: meta.gifSaves,
+        frameCount: meta.frameCount,
+        fps: meta.fps,
+      });
+    }
+
+    if (sort === "rank"){
+      items.sort((a,b) => {
+        const ds = (b.gifSaves||0) - (a.gifSaves||0);
+        if (ds) return ds;
+        const bt = (b.completedAt||b.updatedAt||0) - (a.completedAt||a.updatedAt||0);
+        if (bt) return bt;
+        return String(a.roomId).localeCompare(String(b.roomId));
+      });
+    }else{
+      items.sort((a,b) => {
+        const bt = (b.completedAt||b.updatedAt||0) - (a.completedAt||a.updatedAt||0);
+        if (bt) return bt;
+        return String(a.roomId).localeCompare(String(b.roomId));
+      });
+    }
+
+    return { sort, items: items.slice(0, limit) };
+  }
+
+  // --- Frame assignment ---
+  // Which free frame join_random / join_by_id hands out (config ASSIGNMENT_STRATEGY, default lowest;
+  // adjacent / even are opt-in).
+  // A strategy gets the room and its free (uncommitted, unreserved) indices in ascending order
+  // and returns one of them.
+  const ASSIGNMENT_STRATEGIES = {
+    // lowest empty index (the default, and the only behavior before V53)
+    lowest: (room, free) => free[0],
+    // right after a committed frame, so there is something to animate from; else right before one
+    adjacent: (room, free) => free.find(i => room.committed[i - 1]) ?? free.find(i => room.committed[i + 1]) ?? free[0],
+    // the free frame farthest from any committed/reserved one, so the sequence fills in evenly
+    even: (room, free) => {
+      const taken = [];
+      for (let i=0;i<room.frameCount;i++){
+        if (room.committed[i] || room.reservedByFrame.has(i)) taken.push(i);
+      }
+      if (!taken.length) return free[0];
+      let best = free[0], bestDist = -1;
+      for (const i of free){
+        const dist = Math.min(...taken.map(j => Math.abs(i - j)));
+        if (dist > bestDist){ best = i; bestDist = dist; }
+      }
+      return best;
+    },
+  };
+  const ASSIGNMENT_STRATEGY = Object.prototype.hasOwnProperty.call(ASSIGNMENT_STRATEGIES, String(env.ASSIGNMENT_STRATEGY || ""))
+    ? String(env.ASSIGNMENT_STRATEGY)
+    : "lowest";
+
+  // -> frame index to reserve, or -1 when every frame is committed or reserved
+  function pickFreeFrame(room){
+    cleanupReservations(room);
+    const free = [];
+    for (let i=0;i<room.frameCount;i++){
+      if (room.committed[i]) continue;
+      if (room.reservedByFrame.has(i)) continue;
+      free.push(i);
+    }
+    return free.length ? ASSIGNMENT_STRATEGIES[ASSIGNMENT_STRATEGY](room, free) : -1;
+  }
+
+  // Onion skin for the editor: the nearest committed frames before/after `idx`,
+  // each {frameIndex, version, dataUrl} or null (saves the client two get_frame round trips).
+  // withImages=false leaves dataUrl out (binary clients get the images as frame_data instead).
+  function onionSkin(room, idx, withImages){
+    const nearest = (step) => {
+      for (let i = idx + step; i >= 0 && i < room.frameCount; i += step){
+        if (!hasFrame(room, i)) continue;
+        const dataUrl = frameDataUrl(room, i);
+        if (!dataUrl) return null;
+        return withImages ? { frameIndex: i, version: frameVersion(room, i), dataUrl } : { frameIndex: i, version: frameVersion(room, i) };
+      }
+      return null;
+    };
+    return { before: nearest(-1), after: nearest(1) };
+  }
+
+  // Per-frame state for list_free_frames / FRAME_NOT_FREE. Tokens never leave the server;
+  // `mine` marks the reservation this socket's session holds.
+  function frameStates(room, ws){
+    cleanupReservations(room);
+    const myTok = ws?._session?.roomId === room.roomId ? ws._session.reservationToken : "";
+    const out = [];
+    for (let i=0;i<room.frameCount;i++){
+      if (room.committed[i]){
+        out.push({ frameIndex: i, state: "committed" });
+        continue;
+      }
+      const tok = room.reservedByFrame.get(i);
+      const r = tok ? room.reservations.get(tok) : null;
+      if (r) out.push({ frameIndex: i, state: "reserved", reservedUntil: r.expiresAt, mine: Boolean(myTok) && tok === myTok });
+      else out.push({ frameIndex: i, state: "free" });
+    }
+    return out;
+  }
+
+  function freeFrameIndices(room){
+    return frameStates(room).filter(f => f.state === "free").map(f => f.frameIndex);
+  }
+
+  // --- Invite-only rooms ---
+  // Access is granted per session (so it survives a resume) once the passphrase was given; the creator gets it on create.
+  function grantRoomAccess(ws, roomId){
+    const holder = ws._session || ws;
+    if (!holder.invites) holder.invites = new Set();
+    holder.invites.add(roomId);
+  }
+
+  function canSeeRoom(ws, room){
+    if (room.visibility !== "invite") return true;
+    return Boolean((ws._session || ws).invites?.has(room.roomId));
+  }
+
+  // join_by_id / join_room on an invite-only room. Sends the error itself.
+  // -> the room to go on with, or null when refused. After a passphrase check the room is looked up
+  // again: it may have been deleted or quarantined while scrypt ran.
+  // Only wrong passphrases count against the per-IP wrong_passphrase bucket.
+  async function checkInvite(ws, room, passphrase, ip){
+    if (canSeeRoom(ws, room)) return room;
+    if (passphrase === undefined || passphrase === null || passphrase === ""){
+      sendError(ws, "PASSPHRASE_REQUIRED");
+      return null;
+    }
+    const rl = peekRateLimit(ip, "wrong_passphrase");
+    if (!rl.ok){
+      inc('rate_limited_total');
+      sendError(ws, "RATE_LIMIT", { retryAfterMs: rl.retryAfterMs });
+      return null;
+    }
+    if (!(await verifyPassphrase(String(passphrase).trim(), room.passphraseHash))){
+      checkRateLimit(ip, "wrong_passphrase");
+      inc('wrong_passphrase_total');
+      logLine('warn','wrong_passphrase', { roomId: room.roomId });
+      sendError(ws, "WRONG_PASSPHRASE");
+      return null;
+    }
+    const current = quarantineSet.has(room.roomId) ? null : getRoom(room.roomId);
+    if (!current){
+      sendError(ws, "ROOM_NOT_FOUND");
+      return null;
+    }
+    grantRoomAccess(ws, current.roomId);
+    return current;
+  }
+
+  // create_public_and_submit {visibility, passphrase} -> {visibility, passphrase} | {error}
+  function resolveVisibility(visibilityIn, passphraseIn){
+    const visibility = (visibilityIn === undefined || visibilityIn === null || visibilityIn === "") ? "public" : String(visibilityIn);
+    if (visibility === "public") return { visibility, passphrase: "" };
+    if (visibility !== "invite") return { error: "INVALID_VISIBILITY" };
+    const passphrase = String(passphraseIn ?? "").trim();
+    if (passphrase.length < PASSPHRASE_MIN_LENGTH || passphrase.length > PASSPHRASE_MAX_LENGTH) return { error: "INVALID_PASSPHRASE" };
+    return { visibility, passphrase };
+  }
+
+  // --- Owner deletion ---
+  // Removes the room everywhere: room file, rendered animations, index (journaled), backups and
+  // frame images. Blobs are content-addressed and may be shared, so one is only removed when no
+  // other room file in the same place (live store / that backup dir) still refers to it.
+  function unreferencedBlobs(refs, roomKeys){
+    const left = new Set(refs);
+    for (const key of roomKeys){
+      if (!left.size) break;
+      const obj = store.readJson(key);
+      for (const ref of (Array.isArray(obj?.frameBlobs) ? obj.frameBlobs : [])) left.delete(ref);
+    }
+    return Array.from(left);
+  }
+
+  function blobRefsOf(obj){
+    return (Array.isArray(obj?.frameBlobs) ? obj.frameBlobs : []).filter(isBlobRef);
+  }
+
+  // -> number of backup dirs that held the room. Manifests (rooms / files) and the backed-up index
+  // are rewritten so verify stays clean and a restore can't bring the room back.
+  function purgeRoomFromBackups(roomId){
+    let touched = 0;
+    for (const b of listBackups()){
+      const roomKey = storeKey(b.dir, roomId + ".json");
+      const inIndex = store.readJson(storeKey(b.dir, "rooms_index.json"));
+      const indexRooms = (inIndex && typeof inIndex.rooms === "object") ? inIndex.rooms : inIndex;
+      const hasIndexEntry = Boolean(indexRooms && typeof indexRooms === "object" && indexRooms[roomId]);
+      if (!store.exists(roomKey) && !b.rooms.includes(roomId) && !hasIndexEntry) continue;
+      touched++;
+      const manifest = store.readJson(storeKey(b.dir, "manifest.json")) || {};
+      const files = (manifest.files && typeof manifest.files === "object") ? manifest.files : null;
+
+      const refs = blobRefsOf(store.readJson(roomKey));
+      store.remove(roomKey);
+      if (files) delete files[roomId + ".json"];
+      const otherRooms = store.list(b.dir)
+        .filter(f => f.endsWith(".json") && f !== "manifest.json" && f !== "rooms_index.json")
+        .map(f => storeKey(b.dir, f));
+      for (const ref of unreferencedBlobs(refs, otherRooms)){
+        store.remove(storeKey(b.dir, "blobs", ref));
+        if (files) delete files["blobs/" + ref];
+      }
+      if (hasIndexEntry){
+        delete indexRooms[roomId];
+        store.write(storeKey(b.dir, "rooms_index.json"), JSON.stringify(inIndex));
+        if (files) files["rooms_index.json"] = sha256File(storeKey(b.dir, "rooms_index.json"));
+      }
+      manifest.rooms = b.rooms.filter(rid => rid !== roomId);
+      manifest.failed = b.failed.filter(rid => rid !== roomId);
+      store.write(storeKey(b.dir, "manifest.json"), JSON.stringify(manifest));
+    }
+    return touched;
+  }
+
+  // -> {blobsRemoved, backups}
+  function deleteRoomEverywhere(roomId){
+    const refs = blobRefsOf(store.getRoom(roomId));
+    store.remove(roomFile(roomId));
+    for (const format of Object.keys(ANIM_FORMATS)) store.remove(animCacheFile(roomId, format));
+    cache.delete(roomId);
+    dirtyRoomIds.delete(roomId);
+    removeFromIndex(roomId);
+    ROOM_EVENTS.delete(roomId);
+    for (const [k, e] of IDEMPOTENCY.entries()){
+      if (e?.data?.roomId === roomId) IDEMPOTENCY.delete(k);
+    }
+    for (const sess of SESSIONS.values()){
+      if (sess.roomId !== roomId) continue;
+      sess.roomId = "";
+      sess.reservationToken = "";
+    }
+    const unused = unreferencedBlobs(refs, store.listRoomIds().map(roomFile));
+    for (const ref of unused) store.remove(blobFile(ref));
+    return { blobsRemoved: unused.length, backups: purgeRoomFromBackups(roomId) };
+  }
+
+  // Delete a room for good: everyone still in it hears room_deleted and is moved out first
+  function removeRoom(roomId){
+    broadcast(roomId, { v:1, t:"room_deleted", ts: now(), data:{ roomId } });
+    for (const c of wss.clients){
+      if (c._roomId === roomId) enterRoom(c, "");
+    }
+    return deleteRoomEverywhere(roomId);
+  }
+
+  // join_by_id / join_room {preferredFrameIndex}: -> {idx} or {code, extra} when it can't be reserved
+  function checkPreferredFrame(room, x){
+    const idx = Number(x);
+    if (!Number.isInteger(idx) || idx < 0 || idx >= room.frameCount) return { code: "INVALID_FRAME_INDEX" };
+    cleanupReservations(room);
+    if (room.committed[idx] || room.reservedByFrame.has(idx)){
+      return { code: "FRAME_NOT_FREE", extra: { frameIndex: idx, state: room.committed[idx] ? "committed" : "reserved", freeFrames: freeFrameIndices(room) } };
+    }
+    return { idx };
+  }
+
+  // Reserve frame `idx` for this socket and reply room_joined
+  function reserveAndJoin(ws, room, idx){
+    const tok = token();
+    const expiresAt = now() + RESERVATION_MS;
+    room.reservations.set(tok, { frameIndex: idx, expiresAt, extensions: 0 });
+    room.reservedByFrame.set(idx, tok);
+    room.updatedAt = now();
+    saveRoom(room);
+
+    enterRoom(ws, room.roomId);
+    rememberSessionReservation(ws, room.roomId, tok);
+    const onion = onionSkin(room, idx, !ws._binary);
+    send(ws, { v:1, t:"room_joined", ts: now(), data:{
+      roomId: room.roomId,
+      theme: room.theme,
+      assignedFrame: idx,
+      reservationToken: tok,
+      reservationExpiresAt: expiresAt,
+      reservationMaxExtensions: RESERVATION_MAX_EXTENSIONS,
+      filled: roomState(room).filled,
+      onionSkin: onion
+    }});
+    // binary clients: the onion frames follow room_joined as binary frame_data, like get_frame / get_frames
+    if (!ws._binary) return;
+    for (const o of [onion.before, onion.after]){
+      if (o) sendFrameData(ws, { v:1, t:"frame_data", ts: now(), data:{ roomId: room.roomId, frameIndex: o.frameIndex, version: o.version, dataUrl: frameDataUrl(room, o.frameIndex) } });
+    }
+  }
+
+  // Random join: pick any open (unfinished) room
+  function findRandomOpenRoomId(){
+    const candidates = [];
+    for (const rid in index){
+      const meta = index[rid];
+      if (!meta) continue;
+      if (quarantineSet.has(rid)) continue;
+      if (meta.visibility === "invite") continue;
+      if (meta.completed) continue;
+      if ((meta.filledCount || 0) >= docFrameCount(meta)) continue;
+      candidates.push(rid);
+    }
+    if (!candidates.length) return null;
+    return candidates[Math.floor(Math.random()*candidates.length)];
+  }
+
+  // --- WS error catalog ---
+  // Every t:"error" carries a stable `code` (clients branch on this, not on the text),
+  // a `retryable` hint and a localized `message` (ja by default, en when hello asked for it).
+  // `variants` keep the context-specific wording some call sites used historically.
+  const ERRORS = {
+    RATE_LIMIT: { retryable:true, ja:"操作が早すぎます。少し待ってね", en:"Too many requests. Please wait a moment." },
+    INVALID_ROOM_ID: { retryable:false, ja:"roomId が不正です", en:"Invalid roomId." },
+    ROOM_NOT_FOUND: { retryable:false, ja:"部屋が見つからない", en:"Room not found." },
+    ROOM_UNAVAILABLE: { retryable:true, ja:"部屋が見つからない（再試行してね）", en:"Room is no longer available. Please try again.",
+      variants: { notDrawing: { ja:"参加できる部屋がありません（再試行してね）", en:"No joinable room right now. Please try again." } } },
+    NO_OPEN_ROOMS: { retryable:false, ja:"参加できる公開作品がありません（まず誰かが公開で1コマ目を提出してね）", en:"No public works to join yet. Someone has to submit a first frame publicly." },
+    NO_FREE_FRAME: { retryable:true, ja:"空きコマがありません", en:"No free frame left in this room.",
+      variants: { random: { ja:"空きコマがありません（再試行してね）", en:"No free frame left. Please try again." } } },
+    ROOM_COMPLETED: { retryable:false, ja:"この部屋は編集できません（完成済み）", en:"This room is completed and can no longer be edited.",
+      variants: {
+        // join_by_id: completed rooms are treated as "not found"
+        notFound: { ja:"部屋が見つからない", en:"Room not found." },
+        submit: { ja:"この部屋は提出を受け付けていません（完成済み）", en:"This room no longer accepts submissions (completed)." },
+        theme: { ja:"完成した作品のお題は変更できません", en:"The theme of a completed work can no longer be changed." },
+      } },
+    ROOM_NOT_COMPLETED: { retryable:false, ja:"完成済みの作品だけカウントできます", en:"Only completed works can be counted." },
+    INVALID_FRAME_INDEX: { retryable:false, ja:"frameIndex が不正", en:"Invalid frameIndex." },
+    INVALID_TEMPLATE: { retryable:false, ja:"template が不正です", en:"Unknown room template." },
+    INVALID_BACKGROUND: { retryable:false, ja:"background は #rrggbb 形式で指定してね", en:"background must be a #rrggbb color." },
+    RESERVATION_REQUIRED: { retryable:false, ja:"reservationToken が必要", en:"reservationToken is required." },
+    RESERVATION_EXPIRED: { retryable:false, ja:"予約が無効/期限切れです", en:"Reservation is invalid or expired.",
+      variants: { rejoin: { ja:"予約が無効/期限切れです。もう一度参加してね", en:"Reservation is invalid or expired. Please join again." } } },
+    RESERVATION_EXTENSION_LIMIT: { retryable:false, ja:"これ以上予約を延長できません", en:"The reservation cannot be extended any further." },
+    FRAME_MISMATCH: { retryable:false, ja:"担当コマが一致しません", en:"This frame is not the one assigned to you." },
+    INVALID_VISIBILITY: { retryable:false, ja:"visibility は public か invite を指定してね", en:"visibility must be public or invite." },
+    INVALID_PASSPHRASE: { retryable:false, ja:"合言葉は4〜64文字にしてね", en:"The passphrase must be 4 to 64 characters." },
+    PASSPHRASE_REQUIRED: { retryable:false, ja:"この部屋は招待制です（合言葉が必要）", en:"This room is invite-only. A passphrase is required." },
+    WRONG_PASSPHRASE: { retryable:false, ja:"合言葉が違う", en:"Wrong passphrase." },
+    INVALID_CONTRIBUTOR_SECRET: { retryable:false, ja:"contributorSecret が不正です（16〜128文字の英数字と _ -）", en:"Invalid contributorSecret (16-128 characters of A-Z a-z 0-9 _ -)." },
+    INVALID_THEME: { retryable:false, ja:"お題が空です", en:"The theme must not be empty." },
+    NOT_OWNER: { retryable:false, ja:"作成者だけが操作できます", en:"Only the creator can do this." },
+    FRAME_NOT_FREE: { retryable:false, ja:"そのコマは空いていません（freeFrames から選んでね）", en:"That frame is not free. Pick one from freeFrames." },
+    ALREADY_COMMITTED: { retryable:false, ja:"すでに提出済みです", en:"This frame has already been submitted." },
+    INVALID_IDEMPOTENCY_KEY: { retryable:false, ja:"idempotencyKey が不正です", en:"Invalid idempotencyKey." },
+    IDEMPOTENCY_CONFLICT: { retryable:false, ja:"同じ idempotencyKey が別の内容の送信に使われています", en:"This idempotencyKey was already used for a different request." },
+    BAD_BINARY_MESSAGE: { retryable:false, ja:"バイナリメッセージの形式が不正です", en:"Malformed binary message." },
+    BINARY_NOT_NEGOTIATED: { retryable:false, ja:"バイナリ送信は hello で binary:true を指定してから使ってね", en:"Send hello with binary:true before using binary messages." },
+    SERVER_RESTARTING: { retryable:true, ja:"サーバを再起動中です。少し待ってから再接続してね", en:"The server is restarting. Please reconnect in a moment." },
+    BACKPRESSURE: { retryable:true, ja:"送信待ちのデータが多すぎます。少し待ってね", en:"Too much data is still queued for this connection. Please wait a moment." },
+    NOT_FOUND: { retryable:false, ja:"見つからない", en:"Not found." },
+    ANIM_RENDER_FAILED: { retryable:false, ja:"アニメーションを生成できませんでした", en:"Could not render the animation." },
+    FRAME_NOT_FOUND: { retryable:false, ja:"コマが見つからない（未提出）", en:"Frame not found (not submitted yet)." },
+    INVALID_IMAGE: { retryable:false, ja:"dataUrl が不正/大きすぎる", en:"Image data is invalid or too large." },
+    IMAGE_TOO_LARGE: { retryable:false, ja:"画像が大きすぎる", en:"Image is too large." },
+    IMAGE_UNSUPPORTED_FORMAT: { retryable:false, ja:"対応していない画像形式です（PNG/WebPのみ）", en:"Unsupported image format (PNG or WebP only)." },
+    IMAGE_MIME_MISMATCH: { retryable:false, ja:"dataUrl の形式と中身が一致しません", en:"The dataUrl type does not match the image contents." },
+    IMAGE_CORRUPT: { retryable:false, ja:"画像データが壊れています", en:"Image data is corrupt." },
+    IMAGE_BAD_DIMENSIONS: { retryable:false, ja:"画像のサイズがキャンバスと合いません", en:"Image dimensions do not match the canvas." },
+    IMAGE_ANIMATED: { retryable:false, ja:"アニメーション画像は提出できません", en:"Animated images are not accepted." },
+    IMAGE_INTERLACED: { retryable:false, ja:"インターレース画像は提出できません", en:"Interlaced images are not accepted." },
+    UNKNOWN_TYPE: { retryable:false, ja:"unknown message type", en:"unknown message type" },
+  };
+  const LOCALES = ["ja", "en"];
+  const DEFAULT_LOCALE = "ja";
+
+  function normalizeLocale(x){
+    const l = String(x || "").trim().toLowerCase().split(/[-_]/)[0];
+    return LOCALES.includes(l) ? l : DEFAULT_LOCALE;
+  }
+
+  function errorMessage(code, locale, variant){
+    const e = ERRORS[code];
+    if (!e) return String(code || "error");
+    const v = (variant && e.variants && e.variants[variant]) ? e.variants[variant] : e;
+    return v[normalizeLocale(locale)] || v[DEFAULT_LOCALE];
+  }
+
+  function sendError(ws, code, extra, variant){
+    const e = ERRORS[code] || { retryable:false };
+    const data = Object.assign({
+      code,
+      message: errorMessage(code, ws?._locale, variant),
+      retryable: Boolean(e.retryable),
+    }, extra || {});
+    send(ws, { v:1, t:"error", ts: now(), data });
+  }
+
+  function send(ws, obj){
+    try{
+      if (obj && obj.t){
+        const t = metricKey(obj.t);
+        inc('ws_send_total');
+        inc('ws_send_type_' + t);
+        if (t === 'error'){
+          inc('errors_total');
+          const code = (obj.data && obj.data.code) ? String(obj.data.code) : '';
+          const message = (obj.data && obj.data.message) ? String(obj.data.message) : '';
+          LAST_ERROR = { ts: now(), code, message };
+          // keep logs small (do not include payload)
+          logLine('warn', 'ws_error_send', { roomId: ws?._roomId || '', code, message });
+        }
+      }
+      // echo the reqId of the message currently being handled (direct replies only, not broadcasts);
+      // on a copy, since callers may pass shared objects
+      const out = (obj && ws._reqId !== undefined && obj.reqId === undefined) ? Object.assign({}, obj, { reqId: ws._reqId }) : obj;
+      ws.send(JSON.stringify(out));
+    }catch(e){}
+  }
+  // frame payloads: raw bytes for binary-mode connections, dataUrl JSON otherwise
+  function isBackpressured(ws){
+    return (Number(ws?.bufferedAmount) || 0) >= WS_MAX_BUFFERED_BYTES;
+  }
+  function sendFrameData(ws, obj){
+    const data = obj.data || {};
+    if (isBackpressured(ws)){
+      inc('ws_backpressure_total');
+      sendError(ws, "BACKPRESSURE", { retryAfterMs: 1000, frameIndex: data.frameIndex });
+      return;
+    }
+    const img = ws._binary ? dataUrlToBytes(data.dataUrl) : null;
+    if (!img){
+      send(ws, obj);
+      return;
+    }
+    try{
+      inc('ws_send_total');
+      inc('ws_send_type_' + metricKey(obj.t));
+      inc('ws_send_binary_total');
+      const header = Object.assign({}, obj, { data: Object.assign({}, data, { mime: img.mime }) });
+      delete header.data.dataUrl;
+      if (ws._reqId !== undefined && header.reqId === undefined) header.reqId = ws._reqId;
+      ws.send(encodeBinaryMessage(header, img.bytes), { binary:true });
+    }catch(e){}
+  }
+  function broadcast(roomId, obj){
+    const text = JSON.stringify(obj);
+    for (const ws of wss.clients){
+      if (ws._roomId === roomId){
+        try{ ws.send(text); }catch(e){}
+        if (ws._session && Number.isFinite(obj.seq)) ws._session.lastSeq = obj.seq;
+      }
+    }
+  }
+  // a room event to one socket (resume replay): like broadcast, never tagged with a reqId
+  function sendEvent(ws, obj){
+    try{ ws.send(JSON.stringify(obj)); }catch(e){}
+  }
+  function broadcastFrameReleased(roomId, frameIndex, reason){
+    inc('frame_released_total');
+    inc('frame_released_' + metricKey(reason));
+    broadcastEvent(roomId, { v:1, t:"frame_released", ts: now(), data:{ roomId, frameIndex, reason } });
+  }
+
+  // --- Session resume ---
+  const SESSIONS = new Map(); // sessionToken -> {roomId, reservationToken, lastSeq, ws, expiresAt}
+  const ROOM_EVENTS = new Map(); // roomId -> {seq, events:[{seq, ts, msg}]}
+
+  function sessionToken(){ return crypto.randomBytes(18).toString("base64url"); }
+
+  // broadcast + remember in the room's short event buffer (stamped with a per-room seq)
+  function broadcastEvent(roomId, obj){
+    let b = ROOM_EVENTS.get(roomId);
+    if (!b){
+      b = { seq: 0, events: [] };
+      ROOM_EVENTS.set(roomId, b);
+    }
+    b.seq += 1;
+    obj.seq = b.seq;
+    b.events.push({ seq: b.seq, ts: now(), msg: obj });
+    while (b.events.length > EVENT_BUFFER_MAX) b.events.shift();
+    broadcast(roomId, obj);
+  }
+
+  function roomSeq(roomId){
+    const b = ROOM_EVENTS.get(roomId);
+    return b ? b.seq : 0;
+  }
+
+  // events after `afterSeq`; gap=true when some of them already fell out of the buffer
+  function eventsSince(roomId, afterSeq){
+    const b = ROOM_EVENTS.get(roomId);
+    if (!b) return { events: [], gap: false };
+    const events = b.events.filter(e => e.seq > afterSeq).map(e => e.msg);
+    const oldest = b.events.length ? b.events[0].seq : b.seq + 1;
+    return { events, gap: afterSeq + 1 < oldest && afterSeq < b.seq };
+  }
+
+  function bindSession(ws, tok, session){
+    if (session.ws && session.ws !== ws) session.ws._session = null; // newest socket wins
+    session.ws = ws;
+    session.expiresAt = 0;
+    if (ws.idemScope && !session.idemScope) session.idemScope = ws.idemScope; // keys used before hello stay valid
+    ws._session = session;
+    ws._sessionToken = tok;
+  }
+
+  // every change of ws._roomId goes through here so the session knows which room's seq it is following
+  function enterRoom(ws, roomId){
+    if (ws._roomId === roomId) return;
+    ws._roomId = roomId;
+    if (ws._session){
+      ws._session.roomId = roomId;
+      ws._session.lastSeq = roomSeq(roomId);
+    }
+  }
+
+  function rememberSessionReservation(ws, roomId, tok){
+    if (!ws._session) return;
+    ws._session.roomId = roomId;
+    ws._session.reservationToken = tok;
+  }
+
+  every(() => {
+    const t = now();
+    for (const [k,sess] of SESSIONS.entries()){
+      if (!sess.ws && sess.expiresAt <= t) SESSIONS.delete(k);
+    }
+    const inUse = new Set();
+    for (const sess of SESSIONS.values()) if (sess.roomId) inUse.add(sess.roomId);
+    for (const ws of wss.clients) if (ws._roomId) inUse.add(ws._roomId);
+    for (const [rid,b] of ROOM_EVENTS.entries()){
+      while (b.events.length && (t - b.events[0].ts) > EVENT_BUFFER_MS) b.events.shift();
+      // keep seq monotonic while anyone may still resume against it
+      if (!b.events.length && !inUse.has(rid)) ROOM_EVENTS.delete(rid);
+    }
+  }, 60_000);
+
+  const server = http.createServer((req, res) => {
+    let u = null;
+    let pathname = "/";
+    try{
+      u = new URL(req.url || "/", "http://localhost");
+      pathname = u.pathname || "/";
+    }catch(e){
+      u = new URL("/", "http://localhost");
+      pathname = String(req.url || "/").split("?")[0] || "/";
+    }
+
+    const accept = String(req.headers["accept"] || "");
+
+    function healthSnapshot(){
+      let roomsOnDisk = 0;
+      let backups = 0;
+      try{ roomsOnDisk = store.listRoomIds().length; }catch(e){}
+      try{ backups = store.list(BACKUP_DIR).filter(n=>!n.startsWith(".")).length; }catch(e){}
+
+      const mu = process.memoryUsage();
+      return {
+        ok: true,
+        ts: now(),
+        uptimeSec: uptimeSec(),
+        wsClients: wss?.clients ? wss.clients.size : 0,
+        roomsInIndex: Object.keys(index).length,
+        roomsOnDisk,
+        cachedRooms: cache.size,
+        backups,
+        quarantineCount: quarantineSet.size,
+        dirtyRooms: dirtyRoomIds.size,
+        dataDir: store.root,
+        storage: store.kind,
+        counters: METRICS.counters,
+        lastError: LAST_ERROR,
+        memory: {
+          rss: mu.rss,
+          heapTotal: mu.heapTotal,
+          heapUsed: mu.heapUsed,
+          external: mu.external,
+        }
+      };
+    }
+
+    function esc(s){
+      return String(s ?? "").replace(/[&<>\"']/g, (c)=>({"&":"&amp;","<":"&lt;",">":"&gt;","\"":"&quot;","'":"&#39;"}[c]));
+    }
+
+    function fmtBytes(n){
+      const x = Number(n) || 0;
+      const units = ["B","KB","MB","GB","TB"]; 
+      let v = x;
+      let i = 0;
+      while (v >= 1024 && i < units.length-1){ v /= 1024; i++; }
+      return (i === 0) ? (v.toFixed(0) + " " + units[i]) : (v.toFixed(1) + " " + units[i]);
+    }
+
+    function fmtIso(ms){
+      const t = Number(ms) || 0;
+      if (!t) return "なし";
+      try{ return new Date(t).toISOString(); }catch(e){ return String(t); }
+    }
+
+    function renderHealthHtmlJa(s){
+      const le = s.lastError || { ts: 0, code: "", message: "" };
+      const rows = [
+        ["状態", s.ok ? "OK" : "NG"],
+        ["時刻(UTC)", fmtIso(s.ts)],
+        ["稼働時間(秒)", String(s.uptimeSec)],
+        ["WebSocket接続数", String(s.wsClients)],
+        ["部屋数(index)", String(s.roomsInIndex)],
+        ["部屋数(ディスク)", String(s.roomsOnDisk)],
+        ["キャッシュ中の部屋数", String(s.cachedRooms)],
+        ["バックアップ数", String(s.backups)],
+        ["隔離数", String(s.quarantineCount || 0)],
+        ["dirty数", String(s.dirtyRooms || 0)],
+        ["保存先(DATA_DIR)", String(s.dataDir)],
+        ["直近エラー時刻", fmtIso(le.ts)],
+        ["直近エラーコード", le.code ? String(le.code) : "なし"],
+        ["直近エラーメッセージ", le.message ? String(le.message) : "なし"],
+        ["メモリ(rss)", fmtBytes(s.memory?.rss)],
+        ["メモリ(heapUsed)", fmtBytes(s.memory?.heapUsed)],
+        ["メモリ(heapTotal)", fmtBytes(s.memory?.heapTotal)],
+      ];
+
+      const counters = Object.entries(s.counters || {}).sort((a,b)=>a[0].localeCompare(b[0]));
+      const counterHtml = counters.length
+        ? counters.map(([k,v])=>`<tr><td class="k">${esc(k)}</td><td class="v">${esc(v)}</td></tr>`).join("\n")
+        : `<tr><td class="k">(なし)</td><td class="v">0</td></tr>`;
+
+      const jsonUrl = "/health?format=json";
+      const htmlUrl = "/health?format=html";
+      const metricsUrl = "/metrics";
+
+      return `<!doctype html>
+  <html lang="ja">
+  <head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <title>anim5s ヘルスチェック</title>
+    <style>
+      :root{ color-scheme: dark; --bg:#0b0d10; --panel:#141722; --line:rgba(255,255,255,.10); --text:#e6e6eb; --muted:rgba(230,230,235,.75); }
+      body{ margin:0; background:var(--bg); color:var(--text); font-family:system-ui,-apple-system,Segoe UI,Roboto,Helvetica,Arial; }
+      .wrap{ max-width: 880px; margin: 0 auto; padding: 16px; }
+      .card{ background:var(--panel); border:1px solid var(--line); border-radius:16px; padding:16px; }
+      h1{ margin:0 0 10px 0; font-size:18px; opacity:.92; }
+      .links{ margin: 6px 0 12px; font-size: 13px; color: var(--muted); }
+      a{ color:#7aa7ff; text-decoration:none; }
+      a:hover{ text-decoration:underline; }
+      table{ width:100%; border-collapse:collapse; font-size:14px; }
+      td{ padding:10px 8px; border-top:1px solid var(--line); vertical-align:top; }
+      td.k{ width: 38%; color: var(--muted); }
+      .sub{ margin-top: 14px; color: var(--muted); font-size: 12px; }
+      .grid{ display:grid; grid-template-columns: 1fr; gap: 12px; }
+      @media(min-width:860px){ .grid{ grid-template-columns: 1fr 1fr; } }
+    </style>
+  </head>
+  <body>
+    <div class="wrap">
+      <div class="grid">
+        <div class="card">
+          <h1>ヘルス概要（人間向け・日本語）</h1>
+          <div class="links">表示: <a href="${htmlUrl}">HTML</a> / <a href="${jsonUrl}">JSON</a> / <a href="${metricsUrl}">Metrics</a></div>
+          <table>
+            ${rows.map(([k,v])=>`<tr><td class="k">${esc(k)}</td><td class="v">${esc(v)}</td></tr>`).join("\n")}
+          </table>
+          <div class="sub">※ 外形監視ツールには <code>/health?format=json</code> を使うと安全。</div>
+        </div>
+        <div class="card">
+          <h1>カウンタ（簡易メトリクス）</h1>
+          <table>
+            ${counterHtml}
+          </table>
+          <div class="sub">※ 詳細な時系列が欲しくなったら Prometheus/Grafana へ。</div>
+        </div>
+      </div>
+    </div>
+  </body>
+  </html>`;
+    }
+
+    // --- Read-only REST API (public, cacheable) ---
+    if (pathname.startsWith("/api/")){
+      handleApi(req, res, u, pathname);
+      return;
+    }
+
+    // --- Step4: minimal admin endpoints ---
+    if (pathname === "/admin/status"){
+      if (!isAdminAuthorized(req, u)){
+        res.writeHead(404); res.end("not found");
         return;
       }
-      normalizePhase(room);
-      if (room.phase !== "PLAYBACK"){
-        send(ws, { v:1, t:"error", ts: now(), data:{ message:"完成済みの作品だけカウントできます" } });
+      const snap = healthSnapshot();
+      // add a little more operational info than /health
+      const out = {
+        ok: true,
+        ts: snap.ts,
+        uptimeSec: snap.uptimeSec,
+        wsClients: snap.wsClients,
+        roomsInIndex: snap.roomsInIndex,
+        roomsOnDisk: snap.roomsOnDisk,
+        cachedRooms: snap.cachedRooms,
+        backups: snap.backups,
+        dirtyRooms: snap.dirtyRooms,
+        backup: backupStatus(),
+        quarantineCount: snap.quarantineCount,
+        dataDir: snap.dataDir,
+        lastError: snap.lastError,
+        memory: process.memoryUsage(),
+        env: {
+          STORAGE_BACKEND: store.kind,
+          ROOM_CACHE_MAX,
+          ROOM_CACHE_IDLE_MS,
+          BACKUP_INTERVAL_MS,
+          BACKUP_KEEP,
+        }
+      };
+      sendJson(res, 200, out);
+      return;
+    }
+
+    if (pathname === "/admin/quarantine"){
+      if (!isAdminAuthorized(req, u)){
+        res.writeHead(404); res.end("not found");
+        return;
+      }
+      const roomId = normalizeRoomId(u.searchParams.get("roomId"));
+      const mode = String(u.searchParams.get("mode") || "toggle").toLowerCase();
+      if (!roomId){
+        sendJson(res, 400, { ok:false, code:"INVALID_ROOM_ID", message:"roomId が不正です" });
+        return;
+      }
+      let quarantined = quarantineSet.has(roomId);
+      if (mode === "on") quarantined = true;
+      else if (mode === "off") quarantined = false;
+      else quarantined = !quarantined; // toggle / unknown -> toggle
+      if (quarantined) quarantineSet.add(roomId);
+      else quarantineSet.delete(roomId);
+      saveQuarantineSet();
+      logLine('info','admin_quarantine', { roomId, quarantined, remote: req.socket.remoteAddress || "" });
+      sendJson(res, 200, { ok:true, roomId, quarantined, quarantineCount: quarantineSet.size });
+      return;
+    }
+
+    // backup list / checksum verification / last run status
+    if (pathname === "/admin/backups"){
+      if (!isAdminAuthorized(req, u)){
+        res.writeHead(404); res.end("not found");
+        return;
+      }
+      const mode = String(u.searchParams.get("mode") || "list").toLowerCase();
+      const backups = listBackups();
+      if (mode === "status"){
+        sendJson(res, 200, { ok:true, status: backupStatus(), backups: backups.length });
+        return;
+      }
+      if (mode === "verify"){
+        const name = String(u.searchParams.get("name") || "");
+        const targets = name ? backups.filter(b => b.name === name) : backups;
+        if (name && !targets.length){
+          sendJson(res, 404, { ok:false, code:"NOT_FOUND", message:"バックアップが見つかりません" });
+          return;
+        }
+        const results = targets.map(verifyBackup);
+        const bad = results.filter(r => !r.ok).length;
+        if (bad) inc('backup_verify_failed_total', bad);
+        logLine(bad ? 'warn' : 'info','admin_backup_verify', { name: name || "*", checked: results.length, bad, remote: req.socket.remoteAddress || "" });
+        sendJson(res, 200, { ok: bad === 0, checked: results.length, bad, results });
+        return;
+      }
+      sendJson(res, 200, {
+        ok: true,
+        status: backupStatus(),
+        items: backups.map(b => ({
+          name: b.name,
+          ts: b.ts,
+          full: b.full,
+          rooms: b.rooms.length,
+          failed: b.failed,
+          files: b.files ? Object.keys(b.files).length : null,
+        })),
+      });
+      return;
+    }
+
+    // restore from backups (dry-run unless dryRun=0)
+    if (pathname === "/admin/restore"){
+      if (!isAdminAuthorized(req, u)){
+        res.writeHead(404); res.end("not found");
+        return;
+      }
+      const dryRun = String(u.searchParams.get("dryRun") ?? "1") !== "0";
+      const report = restoreFromBackups({ at: u.searchParams.get("at"), roomId: u.searchParams.get("roomId"),
+        newerRooms: u.searchParams.get("newerRooms") || "keep", dryRun });
+      if (!report.ok){
+        sendJson(res, 400, report);
+        return;
+      }
+      logLine('info','admin_restore', { dryRun, at: report.at, roomId: report.roomId || "", remote: req.socket.remoteAddress || "" });
+      sendJson(res, 200, report);
+      return;
+    }
+
+    // schema migrations in bulk (dry-run unless dryRun=0)
+    if (pathname === "/admin/migrate"){
+      if (!isAdminAuthorized(req, u)){
+        res.writeHead(404); res.end("not found");
+        return;
+      }
+      const dryRun = String(u.searchParams.get("dryRun") ?? "1") !== "0";
+      const report = migrateAll({ dryRun });
+      logLine('info','admin_migrate', { dryRun, migrated: report.summary.migrated, failed: report.summary.failed, remote: req.socket.remoteAddress || "" });
+      sendJson(res, 200, report);
+      return;
+    }
+
+    // data directory consistency check (report only unless repair=1)
+    if (pathname === "/admin/fsck"){
+      if (!isAdminAuthorized(req, u)){
+        res.writeHead(404); res.end("not found");
+        return;
+      }
+      const repair = String(u.searchParams.get("repair") || "") === "1";
+      const report = runFsck({ repair });
+      logLine('info','admin_fsck', { repair, ok: report.ok, summary: report.summary, remote: req.socket.remoteAddress || "" });
+      sendJson(res, 200, report);
+      return;
+    }
+
+    if (pathname === "/health" || pathname === "/healthz" || pathname === "/health-ja" || pathname === "/health_ja"){
+      const format = String(u.searchParams.get("format") || u.searchParams.get("view") || "").toLowerCase();
+      const wantsJson = (format === "json");
+      const wantsHtml = (format === "html") || (!wantsJson && accept.includes("text/html")) || (pathname === "/health-ja" || pathname === "/health_ja");
+
+      const snap = healthSnapshot();
+      if (wantsHtml){
+        res.writeHead(200, { "content-type":"text/html; charset=utf-8" });
+        res.end(renderHealthHtmlJa(snap));
         return;
       }
-      room.gifSaves = Math.max(0, Number(room.gifSaves || 0) || 0) + 1;
-      room.updatedAt = now();
-      saveRoom(room);
-      inc('gif_saved_total');
-      send(ws, { v:1, t:"gif_saved_ack", ts: now(), data:{ roomId: room.roomId, gifSaves: room.gifSaves } });
+
+      res.writeHead(200, { "content-type":"application/json; charset=utf-8" });
+      res.end(JSON.stringify(snap));
+      return;
+    }
+
+    if (pathname === "/metrics"){
+      res.writeHead(200, { "content-type":"text/plain; charset=utf-8" });
+      const mu = process.memoryUsage();
+      const lines = [];
+      lines.push('# HELP anim5s_uptime_seconds Process uptime in seconds');
+      lines.push('# TYPE anim5s_uptime_seconds gauge');
+      lines.push('anim5s_uptime_seconds ' + uptimeSec());
+
+      lines.push('# HELP anim5s_ws_clients Current websocket clients');
+      lines.push('# TYPE anim5s_ws_clients gauge');
+      lines.push('anim5s_ws_clients ' + (wss?.clients ? wss.clients.size : 0));
+
+      lines.push('# HELP anim5s_rooms_in_index Rooms in index');
+      lines.push('# TYPE anim5s_rooms_in_index gauge');
+      lines.push('anim5s_rooms_in_index ' + Object.keys(index).length);
+
+      lines.push('# HELP anim5s_quarantine_count Quarantined rooms count');
+      lines.push('# TYPE anim5s_quarantine_count gauge');
+      lines.push('anim5s_quarantine_count ' + quarantineSet.size);
+
+      lines.push('# HELP anim5s_dirty_rooms Dirty rooms count (pending backup)');
+      lines.push('# TYPE anim5s_dirty_rooms gauge');
+      lines.push('anim5s_dirty_rooms ' + dirtyRoomIds.size);
+
+      let roomsOnDisk = 0;
+      try{ roomsOnDisk = store.listRoomIds().length; }catch(e){}
+      lines.push('# HELP anim5s_rooms_on_disk Rooms json files on disk');
+      lines.push('# TYPE anim5s_rooms_on_disk gauge');
+      lines.push('anim5s_rooms_on_disk ' + roomsOnDisk);
+
+      lines.push('# HELP anim5s_cached_rooms Cached rooms in memory');
+      lines.push('# TYPE anim5s_cached_rooms gauge');
+      lines.push('anim5s_cached_rooms ' + cache.size);
+
+      let backups = 0;
+      try{ backups = store.list(BACKUP_DIR).filter(n=>!n.startsWith(".")).length; }catch(e){}
+      lines.push('# HELP anim5s_backups Backups kept on disk');
+      lines.push('# TYPE anim5s_backups gauge');
+      lines.push('anim5s_backups ' + backups);
+
+      lines.push('# HELP anim5s_backup_last_success_ts Last backup run where every room was copied (ms since epoch, 0 if none)');
+      lines.push('# TYPE anim5s_backup_last_success_ts gauge');
+      lines.push('anim5s_backup_last_success_ts ' + (backupState.lastSuccessAt || 0));
+
+      lines.push('# HELP anim5s_backup_last_failure_ts Last backup run with a failure (ms since epoch, 0 if none)');
+      lines.push('# TYPE anim5s_backup_last_failure_ts gauge');
+      lines.push('anim5s_backup_last_failure_ts ' + (backupState.lastFailureAt || 0));
+
+      lines.push('# HELP anim5s_backup_consecutive_failures Backup runs failed in a row');
+      lines.push('# TYPE anim5s_backup_consecutive_failures gauge');
+      lines.push('anim5s_backup_consecutive_failures ' + backupState.consecutiveFailures);
+
+      lines.push('# HELP anim5s_backup_failed_rooms Rooms that failed in the last backup run (kept dirty)');
+      lines.push('# TYPE anim5s_backup_failed_rooms gauge');
+      lines.push('anim5s_backup_failed_rooms ' + backupState.lastFailedRooms.length);
+
+      lines.push('# HELP anim5s_memory_rss_bytes Resident set size');
+      lines.push('# TYPE anim5s_memory_rss_bytes gauge');
+      lines.push('anim5s_memory_rss_bytes ' + mu.rss);
+
+      lines.push('# HELP anim5s_counter_total Generic counters');
+      lines.push('# TYPE anim5s_counter_total counter');
+      for (const [k,v] of Object.entries(METRICS.counters)){
+        const name = String(k).replace(/[^a-zA-Z0-9_]/g,'_');
+        lines.push(`anim5s_counter_total{name="${name}"} ${Number(v) || 0}`);
+      }
+
+      lines.push('# HELP anim5s_op_ms Operation duration in ms (sum/count/max)');
+      lines.push('# TYPE anim5s_op_ms_sum counter');
+      for (const [op,o] of Object.entries(METRICS.ms)){
+        const name = String(op).replace(/[^a-zA-Z0-9_]/g,'_');
+        lines.push(`anim5s_op_ms_sum{op="${name}"} ${Number(o.sum) || 0}`);
+        lines.push(`anim5s_op_ms_count{op="${name}"} ${Number(o.count) || 0}`);
+        lines.push(`anim5s_op_ms_max{op="${name}"} ${Number(o.max) || 0}`);
+      }
+
+      // last error as info gauge
+      lines.push('# HELP anim5s_last_error_ts Last error timestamp (ms since epoch, 0 if none)');
+      lines.push('# TYPE anim5s_last_error_ts gauge');
+      lines.push('anim5s_last_error_ts ' + (LAST_ERROR.ts || 0));
+
+      res.end(lines.join('\n') + '\n');
+      return;
+    }
+
+    res.writeHead(200, { "content-type":"text/plain; charset=utf-8" });
+    res.end("anim5s ok");
+  });
+
+  // --- Animation export (GIF / APNG) ---
+  // Pure JS: frames are decoded with the built-in zlib and re-encoded, no native image libraries.
+  // Encoding takes seconds for big rooms, so it runs in a worker thread (one render at a time), starts
+  // as soon as a public room completes, and the file is cached on disk next to the room JSON.
+  const ANIM_FORMATS = {
+    gif: { ext: ".anim.gif", contentType: "image/gif" },
+    apng: { ext: ".anim.apng", contentType: "image/apng" },
+  };
+  const ANIM_MAX_PIXELS = Number(env.ANIM_MAX_PIXELS || 2048 * 2048); // per frame
+  const ANIM_PRERENDER = String(env.ANIM_PRERENDER ?? "1") !== "0";
+  const ANIM_RENDER_TIMEOUT_MS = Number(env.ANIM_RENDER_TIMEOUT_MS || 60_000);
+  const ANIM_RENDERS = new Map(); // cache key -> Promise<Buffer> while rendering
+  const animWorkers = new Set();
+  let animQueue = Promise.resolve(); // renders run one after another (CPU-bound)
+
+  // GIF has no partial alpha: transparent pixels are flattened onto the room's background color
+  function animBackground(room){
+    const hex = normalizeBackground(room.canvas?.background) || DEFAULT_ROOM_BACKGROUND;
+    return [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+  }
+
+  function animCacheFile(roomId, format){
+    return storeKey(ROOMS_DIR, normalizeRoomId(roomId) + ANIM_FORMATS[format].ext);
+  }
+
+  function renderInWorker(job){
+    return new Promise((resolve, reject) => {
+      const w = new Worker(__filename, { workerData: { anim5sRender: job } });
+      animWorkers.add(w);
+      const timer = setTimeout(() => {
+        w.terminate();
+        reject(new Error("render timed out"));
+      }, ANIM_RENDER_TIMEOUT_MS);
+      timer.unref();
+      w.once("message", (m) => {
+        if (m && m.ok) resolve(Buffer.from(m.bytes.buffer, m.bytes.byteOffset, m.bytes.byteLength));
+        else reject(new Error(m?.message || "render failed"));
+      });
+      w.once("error", reject);
+      w.once("exit", (code) => {
+        clearTimeout(timer);
+        animWorkers.delete(w);
+        reject(new Error("render worker exited (" + code + ")"));
+      });
+    });
+  }
+
+  // Rendered animation of a completed room -> Promise<Buffer> (rejects when a frame can't be decoded).
+  // Concurrent requests for the same room and format share one render.
+  function getRoomAnimation(room, format){
+    const key = animCacheFile(room.roomId, format);
+    try{
+      const cached = store.read(key);
+      if (cached){
+        inc('anim_cache_hit_total');
+        return Promise.resolve(cached);
+      }
+    }catch(e){}
+    const pending = ANIM_RENDERS.get(key);
+    if (pending) return pending;
+
+    let frameBytes;
+    try{
+      frameBytes = room.frameBlobs.slice(0, room.frameCount).map((_, i) => {
+        const img = frameImage(room, i);
+        if (!img || img.mime !== "image/png") throw new Error("frame is not a PNG");
+        return img.bytes;
+      });
+    }catch(e){
+      return Promise.reject(e);
+    }
+    const roomId = room.roomId;
+    const job = { format, frames: frameBytes, fps: room.fps, bg: animBackground(room), maxPixels: ANIM_MAX_PIXELS };
+    const run = animQueue.then(() => {
+      const t0 = now();
+      return renderInWorker(job).then((out) => {
+        observeMs('anim_render_' + format, now() - t0);
+        inc('anim_render_total');
+        // the owner may have deleted the room while it was rendering
+        if (!quarantineSet.has(roomId) && getRoom(roomId)){
+          try{ store.write(key, out); }catch(e){}
+        }
+        return out;
+      });
+    });
+    animQueue = run.catch(() => {});
+    ANIM_RENDERS.set(key, run);
+    run.then(() => ANIM_RENDERS.delete(key), () => ANIM_RENDERS.delete(key));
+    return run;
+  }
+
+  function prerenderAnimations(room){
+    if (!ANIM_PRERENDER || room.visibility !== "public") return;
+    for (const format of Object.keys(ANIM_FORMATS)){
+      getRoomAnimation(room, format).catch((e) => {
+        logLine('warn','anim_render_failed', { roomId: room.roomId, format, message: String(e && e.message || e) });
+      });
+    }
+  }
+
+  const API_ROOM_RE = /^\/api\/rooms\/([A-Za-z0-9]+)$/;
+  const API_FRAME_RE = /^\/api\/rooms\/([A-Za-z0-9]+)\/frames\/(\d+)(?:\.png)?$/;
+  const API_ANIM_RE = /^\/api\/rooms\/([A-Za-z0-9]+)\/anim\.(gif|apng)$/;
+  const API_COMPLETED_MAX_AGE_SEC = 365 * 24 * 3600;
+  const API_DRAWING_MAX_AGE_SEC = 10;
+
+  function handleApi(req, res, u, pathname){
+    if (req.method !== "GET" && req.method !== "HEAD"){
+      res.writeHead(405, { "allow": "GET, HEAD", "access-control-allow-origin": "*" });
+      res.end();
+      return;
+    }
+    const rl = checkRateLimit(req.socket.remoteAddress, "http_api");
+    if (!rl.ok){
+      inc('rate_limited_total');
+      res.writeHead(429, { "retry-after": String(Math.ceil(rl.retryAfterMs / 1000)), "access-control-allow-origin": "*" });
+      res.end();
+      return;
+    }
+    inc('http_api_total');
+
+    if (pathname === "/api/public/completed"){
+      const { sort, items } = listPublicCompleted(u.searchParams.get("sort"), u.searchParams.get("limit"));
+      const lastModifiedMs = items.reduce((a,x)=>Math.max(a, Number(x.updatedAt) || 0), 0);
+      const body = JSON.stringify({ sort, items });
+      const etag = '"' + crypto.createHash("sha1").update(body).digest("hex").slice(0, 20) + '"';
+      sendCacheable(req, res, { contentType: "application/json; charset=utf-8", body, etag, lastModifiedMs, maxAgeSec: 30 });
+      return;
+    }
+
+    let m = API_ROOM_RE.exec(pathname);
+    const fm = m ? null : API_FRAME_RE.exec(pathname);
+    const am = (m || fm) ? null : API_ANIM_RE.exec(pathname);
+    if (!m && !fm && !am){
+      sendApiError(res, 404, "NOT_FOUND");
+      return;
+    }
+    const roomId = normalizeRoomId((m || fm || am)[1]);
+    if (!roomId){
+      sendApiError(res, 400, "INVALID_ROOM_ID");
       return;
     }
+    // invite-only rooms are WS-only (the passphrase never travels in a URL)
+    const found = quarantineSet.has(roomId) ? null : getRoom(roomId);
+    const room = (found && found.visibility === "public") ? found : null;
+    if (!room){
+      sendApiError(res, 404, "ROOM_NOT_FOUND");
+      return;
+    }
+    const state = roomState(room);
+    const maxAgeSec = state.completed ? API_COMPLETED_MAX_AGE_SEC : API_DRAWING_MAX_AGE_SEC;
 
-    if (t === "create_public_and_submit"){
-      const theme = (d.theme && String(d.theme).trim()) ? String(d.theme).trim() : randTheme();
-      const dataUrl = d.dataUrl;
-      if (!validatePngDataUrl(dataUrl)){
-        send(ws, { v:1, t:"error", ts: now(), data:{ message:"dataUrl が不正/大きすぎる" } });
+    if (am){
+      const format = am[2];
+      if (!state.completed){
+        sendApiError(res, 409, "ROOM_NOT_COMPLETED");
         return;
       }
-      const room = makeRoom(theme);
-      room.frames[0] = dataUrl;
-      room.committed[0] = true;
-      room.updatedAt = now();
-      saveRoom(room);
+      getRoomAnimation(room, format).then((body) => {
+        const etag = '"' + room.roomId + "-" + format + "-" + (room.completedAt || room.updatedAt) + '"';
+        sendCacheable(req, res, { contentType: ANIM_FORMATS[format].contentType, body, etag, lastModifiedMs: room.completedAt || room.updatedAt, maxAgeSec });
+      }, (e) => {
+        logLine('warn','anim_render_failed', { roomId: room.roomId, format, message: String(e && e.message || e) });
+        sendApiError(res, 422, "ANIM_RENDER_FAILED");
+      });
+      return;
+    }
 
-      ws._roomId = room.roomId;
-      send(ws, { v:1, t:"created_public", ts: now(), data: roomState(room) });
-      broadcast(room.roomId, { v:1, t:"frame_committed", ts: now(), data:{ roomId: room.roomId, frameIndex:0 } });
+    if (m){
+      const etag = '"' + room.roomId + "-" + room.updatedAt + '"';
+      sendCacheable(req, res, { contentType: "application/json; charset=utf-8", body: JSON.stringify(state), etag, lastModifiedMs: room.updatedAt, maxAgeSec });
       return;
     }
 
-    if (t === "join_random"){
-      const rid = findRandomOpenRoomId();
-      if (!rid){
-        send(ws, { v:1, t:"error", ts: now(), data:{ message:"参加できる公開作品がありません（まず誰かが公開で1コマ目を提出してね）" } });
-        return;
-      }
-      const room = getRoom(rid);
-      if (!room){
-        // stale index
-        delete index[rid];
-        saveIndex();
-        send(ws, { v:1, t:"error", ts: now(), data:{ message:"部屋が見つからない（再試行してね）" } });
-        return;
-      }
-      normalizePhase(room);
-      if (room.phase !== "DRAWING"){
-        updateIndexFromRoom(room); saveIndex();
-        send(ws, { v:1, t:"error", ts: now(), data:{ message:"参加できる部屋がありません（再試行してね）" } });
-        return;
-      }
-      const idx = firstYoungestEmpty(room);
-      if (idx < 0){
-        updateIndexFromRoom(room); saveRoom(room);
-        send(ws, { v:1, t:"error", ts: now(), data:{ message:"空きコマがありません（再試行してね）" } });
-        return;
-      }
-      const tok = token();
-      const expiresAt = now() + RESERVATION_MS;
-      room.reservations.set(tok, { frameIndex: idx, expiresAt });
-      room.reservedByFrame.set(idx, tok);
-      room.updatedAt = now();
-      saveRoom(room);
-
-      ws._roomId = room.roomId;
-      send(ws, { v:1, t:"room_joined", ts: now(), data:{
-        roomId: room.roomId,
-        theme: room.theme,
-        assignedFrame: idx,
-        reservationToken: tok,
-        reservationExpiresAt: expiresAt,
-        filled: roomState(room).filled
-      }});
+    const idx = Number(fm[2]);
+    if (!Number.isInteger(idx) || idx < 0 || idx >= room.frameCount){
+      sendApiError(res, 404, "INVALID_FRAME_INDEX");
+      return;
+    }
+    const img = frameImage(room, idx);
+    if (!img){
+      sendApiError(res, 404, "FRAME_NOT_FOUND");
       return;
     }
+    // a committed frame never changes, so its content version is a strong validator
+    const etag = '"' + frameVersion(room, idx) + '"';
+    sendCacheable(req, res, { contentType: img.mime, body: img.bytes, etag, lastModifiedMs: room.updatedAt, maxAgeSec: API_COMPLETED_MAX_AGE_SEC });
+  }
 
-    if (t === "join_by_id"){
-      const roomId = normalizeRoomId(d.roomId);
-      if (!roomId){
-        send(ws, { v:1, t:"error", ts: now(), data:{ message:"roomId が不正です" } });
-        return;
+  const wss = new WebSocket.Server({ noServer:true, maxPayload: 2_000_000 });
+
+  // --- Heartbeat ---
+  function heartbeat(){
+    const t = now();
+    for (const ws of wss.clients){
+      if (ws._pingSentAt && ws._lastPongAt < ws._pingSentAt){
+        if ((t - ws._pingSentAt) > WS_PONG_TIMEOUT_MS){
+          inc('ws_heartbeat_terminated_total');
+          logLine('info','ws_heartbeat_timeout', { roomId: ws._roomId || '' });
+          try{ ws.terminate(); }catch(e){}
+        }
+        continue; // still waiting for the previous pong
       }
-      if (quarantineSet.has(roomId)){
-        send(ws, { v:1, t:"error", ts: now(), data:{ message:"部屋が見つからない" } });
-        return;
+      if ((t - (ws._pingSentAt || 0)) < WS_PING_INTERVAL_MS) continue;
+      ws._pingSentAt = t;
+      try{ ws.ping(); }catch(e){}
+    }
+  }
+  every(heartbeat, Math.max(1000, Math.floor(Math.min(WS_PING_INTERVAL_MS, WS_PONG_TIMEOUT_MS) / 2)));
+
+  server.on("upgrade", (req, socket, head) => {
+    if (req.url !== "/ws"){
+      socket.destroy();
+      return;
+    }
+    if (shuttingDown){
+      socket.end("HTTP/1.1 503 Service Unavailable\r\nRetry-After: " + Math.ceil(SHUTDOWN_RECONNECT_MS / 1000) + "\r\nConnection: close\r\n\r\n");
+      return;
+    }
+    wss.handleUpgrade(req, socket, head, (ws) => wss.emit("connection", ws, req));
+  });
+
+  // Restore room + live reservation of a resumed session and replay the room events it missed
+  function resumeSession(ws, sess, clientLastSeq){
+    const roomId = normalizeRoomId(sess.roomId);
+    const room = (roomId && !quarantineSet.has(roomId)) ? getRoom(roomId) : null;
+    if (!room){
+      sess.roomId = "";
+      sess.reservationToken = "";
+      send(ws, { v:1, t:"session_resumed", ts: now(), data:{ roomId: "", room: null, reservation: null, missed: 0, gap: false } });
+      return;
+    }
+    // read before enterRoom, which moves the session's lastSeq to the newest event
+    const afterSeq = (Number.isInteger(clientLastSeq) && clientLastSeq >= 0) ? clientLastSeq : (Number(sess.lastSeq) || 0);
+    enterRoom(ws, room.roomId);
+
+    normalizePhase(room);
+    cleanupReservations(room);
+    let reservation = null;
+    const r = sess.reservationToken ? room.reservations.get(sess.reservationToken) : null;
+    if (r && r.expiresAt > now() && room.phase === "DRAWING"){
+      reservation = Object.assign({ reservationToken: sess.reservationToken }, reservationInfo(room, r));
+    }else{
+      sess.reservationToken = "";
+    }
+
+    const { events, gap } = eventsSince(room.roomId, afterSeq);
+    send(ws, { v:1, t:"session_resumed", ts: now(), data:{ roomId: room.roomId, room: roomState(room), reservation, missed: events.length, gap, seq: roomSeq(room.roomId) } });
+    for (const ev of events) sendEvent(ws, ev);
+    sess.lastSeq = roomSeq(room.roomId);
+  }
+
+  wss.on("connection", (ws) => {
+    ws._roomId = "";
+    ws._locale = DEFAULT_LOCALE;
+    ws._binary = false;
+    ws._session = null;
+    ws._sessionToken = "";
+    ws._pingSentAt = now();
+    ws._lastPongAt = now();
+    ws.on('pong', () => { ws._lastPongAt = now(); });
+
+    inc('ws_connections_total');
+    logLine('info','ws_open', { remote: (ws._socket && ws._socket.remoteAddress) ? ws._socket.remoteAddress : '' });
+
+    ws.on('close', (code, reason) => {
+      if (ws._session && ws._session.ws === ws){
+        // keep the session around for a while so a reconnect can resume it
+        ws._session.roomId = ws._roomId;
+        ws._session.ws = null;
+        ws._session.expiresAt = now() + SESSION_TTL_MS;
       }
-      const room = getRoom(roomId);
-      if (!room){
-        send(ws, { v:1, t:"error", ts: now(), data:{ message:"部屋が見つからない" } });
-        return;
+      inc('ws_disconnect_total');
+      logLine('info','ws_close', { code, reason: String(reason||'') });
+    });
+
+    // One message at a time per socket, in arrival order: a handler may await (passphrase hashing)
+    // and send() echoes the reqId of the message being handled.
+    let inbox = Promise.resolve();
+    ws.on("message", (buf, isBinary) => {
+      const p = inbox = inbox.then(() => handleMessage(buf, isBinary)).catch((e) => {
+        inc('ws_message_failed_total');
+        logLine('error','ws_message_failed', { roomId: ws._roomId || '', message: String(e?.message || e) });
+      });
+      handlingMessages.add(p);
+      p.then(() => handlingMessages.delete(p));
+    });
+
+    async function handleMessage(buf, isBinary){
+    const msgStart = now();
+    let opName = 'unknown';
+    try{
+      let m = null;
+      if (isBinary){
+        inc('ws_binary_messages_total');
+        const parsed = parseBinaryMessage(buf);
+        if (!parsed){ sendError(ws, "BAD_BINARY_MESSAGE"); return; }
+        m = parsed.msg;
+        ws._reqId = normalizeReqId(m.reqId);
+        if (!ws._binary){ sendError(ws, "BINARY_NOT_NEGOTIATED"); return; }
+        if (!BINARY_OPS.has(String(m.t || ""))){ sendError(ws, "BAD_BINARY_MESSAGE"); return; }
+      }else{
+        try{ m = JSON.parse(String(buf)); }catch(e){ inc('ws_bad_json_total'); return; }
+        if (!m || typeof m !== "object"){ inc('ws_bad_json_total'); return; }
+        ws._reqId = normalizeReqId(m.reqId);
       }
-      normalizePhase(room);
-      if (room.phase !== "DRAWING"){
-        // completed rooms are excluded from editing/joining
-        send(ws, { v:1, t:"error", ts: now(), data:{ message:"部屋が見つからない" } });
+      const t = String(m.t || "");
+      opName = metricKey(t || 'unknown');
+      inc('ws_messages_total');
+      inc('ws_msg_type_' + opName);
+      const d = m.data || {};
+
+      // draining for shutdown: nothing new is started
+      if (shuttingDown){
+        sendError(ws, "SERVER_RESTARTING");
         return;
       }
-      const idx = firstYoungestEmpty(room);
-      if (idx < 0){
-        updateIndexFromRoom(room); saveRoom(room);
-        send(ws, { v:1, t:"error", ts: now(), data:{ message:"空きコマがありません" } });
+
+      // Step4: minimal rate limiting
+      const ip = (ws._socket && ws._socket.remoteAddress) ? ws._socket.remoteAddress : "unknown";
+      const rl = checkRateLimit(ip, t || "unknown");
+      if (!rl.ok){
+        inc('rate_limited_total');
+        sendError(ws, "RATE_LIMIT", { retryAfterMs: rl.retryAfterMs });
         return;
       }
 
-      const tok = token();
-      const expiresAt = now() + RESERVATION_MS;
-      room.reservations.set(tok, { frameIndex: idx, expiresAt });
-      room.reservedByFrame.set(idx, tok);
-      room.updatedAt = now();
-      saveRoom(room);
-
-      ws._roomId = room.roomId;
-      send(ws, { v:1, t:"room_joined", ts: now(), data:{
-        roomId: room.roomId,
-        theme: room.theme,
-        assignedFrame: idx,
-        reservationToken: tok,
-        reservationExpiresAt: expiresAt,
-        filled: roomState(room).filled
-      }});
-      return;
-    }
 
-    if (t === "join_room"){
-      const roomId = normalizeRoomId(d.roomId || ws._roomId);
-      if (!roomId){ send(ws, { v:1, t:"error", ts: now(), data:{ message:"roomId が不正です" } }); return; }
-      if (quarantineSet.has(roomId)){
-        send(ws, { v:1, t:"error", ts: now(), data:{ message:"部屋が見つからない" } });
+      // Backward-compatible handshake (older clients send these)
+      if (t === "hello"){
+        // hello {locale?: "ja"|"en"} selects the language of error messages for this connection
+        if (d.locale || d.lang) ws._locale = normalizeLocale(d.locale || d.lang);
+        // hello {binary:true} opts into binary frame transport; older clients never send it
+        if (d.binary !== undefined) ws._binary = (d.binary === true);
+        // hello {contributorSecret?, nickname?}: attribution for every frame this connection commits
+        // (a malformed secret is ignored here; welcome.contributorId tells the client what was accepted)
+        if (d.contributorSecret !== undefined) ws._contributorId = contributorIdFromSecret(d.contributorSecret) || "";
+        if (d.nickname !== undefined) ws._nickname = normalizeNickname(d.nickname);
+
+        // Session: resume the one presented by the client, otherwise issue a new one
+        const st = String(d.sessionToken || "");
+        let sess = st ? SESSIONS.get(st) : null;
+        if (sess && !sess.ws && sess.expiresAt <= now()){
+          SESSIONS.delete(st);
+          sess = null;
+        }
+        let resumed = false;
+        if (sess){
+          // the previous socket may still look open (half-open); its room is the one to restore
+          if (sess.ws && sess.ws !== ws) sess.roomId = sess.ws._roomId || sess.roomId;
+          bindSession(ws, st, sess);
+          resumed = true;
+          inc('session_resumed_total');
+        }else if (!ws._session){
+          const tok = sessionToken();
+          sess = { roomId: "", reservationToken: "", lastSeq: 0, ws: null, expiresAt: 0 };
+          SESSIONS.set(tok, sess);
+          bindSession(ws, tok, sess);
+        }
+        send(ws, { v:1, t:"welcome", ts: now(), data:{ protocol:1, serverTime: now(), locale: ws._locale, binary: ws._binary, sessionToken: ws._sessionToken, resumed, contributorId: ws._contributorId || null } });
+        if (resumed) resumeSession(ws, ws._session, d.lastSeq);
+        return;
+      }
+      // Backward-compatible resync: keep lightweight (clients should request frames via get_frame)
+      if (t === "resync"){
+        const roomId = normalizeRoomId(d.roomId || ws._roomId);
+        if (!roomId){ sendError(ws, "INVALID_ROOM_ID"); return; }
+        if (quarantineSet.has(roomId)){
+          sendError(ws, "ROOM_NOT_FOUND");
+          return;
+        }
+        const room = getRoom(roomId);
+        if (!room){
+          sendError(ws, "ROOM_NOT_FOUND");
+          return;
+        }
+        if (!canSeeRoom(ws, room)){
+          sendError(ws, "PASSPHRASE_REQUIRED");
+          return;
+        }
+        enterRoom(ws, room.roomId);
+        send(ws, { v:1, t:"room_state", ts: now(), data: roomState(room) });
         return;
       }
-      const room = getRoom(roomId);
-      if (!room){
-        send(ws, { v:1, t:"error", ts: now(), data:{ message:"部屋が見つからない" } });
+
+      // V50: list completed public rooms for "みんなの作品"
+      if (t === "list_public_completed"){
+        const { sort, items } = listPublicCompleted(d.sort, d.limit);
+        send(ws, { v:1, t:"public_completed_list", ts: now(), data:{ sort, items } });
         return;
       }
-      ws._roomId = room.roomId;
-      normalizePhase(room);
 
-      if (d.view !== true && d.reservationToken){
-        // editing join: must be DRAWING and have a valid reservation
-        if (room.phase !== "DRAWING"){
-          send(ws, { v:1, t:"error", ts: now(), data:{ message:"この部屋は編集できません（完成済み）" } });
+      // V50: count "GIFで保存" for ranking
+      if (t === "gif_saved"){
+        const roomId = normalizeRoomId(d.roomId || ws._roomId);
+        if (!roomId){ sendError(ws, "INVALID_ROOM_ID"); return; }
+        if (quarantineSet.has(roomId)){
+          sendError(ws, "ROOM_NOT_FOUND");
           return;
         }
-        cleanupReservations(room);
-        const r = room.reservations.get(String(d.reservationToken));
-        if (!r || r.expiresAt <= now()){
-          send(ws, { v:1, t:"error", ts: now(), data:{ message:"予約が無効/期限切れです。もう一度参加してね" } });
+        const room = getRoom(roomId);
+        if (!room){
+          sendError(ws, "ROOM_NOT_FOUND");
+          return;
+        }
+        if (!canSeeRoom(ws, room)){
+          sendError(ws, "PASSPHRASE_REQUIRED");
           return;
         }
+        normalizePhase(room);
+        if (room.phase !== "PLAYBACK"){
+          sendError(ws, "ROOM_NOT_COMPLETED");
+          return;
+        }
+        room.gifSaves = Math.max(0, Number(room.gifSaves || 0) || 0) + 1;
+        room.updatedAt = now();
+        saveRoom(room);
+        inc('gif_saved_total');
+        send(ws, { v:1, t:"gif_saved_ack", ts: now(), data:{ roomId: room.roomId, gifSaves: room.gifSaves } });
+        return;
       }
 
-      send(ws, { v:1, t:"room_state", ts: now(), data: roomState(room) });
-      return;
-    }
+      if (t === "create_public_and_submit"){
+        const idemKey = normalizeIdempotencyKey(d.idempotencyKey);
+        if (idemKey === null){ sendError(ws, "INVALID_IDEMPOTENCY_KEY"); return; }
+        const vis = resolveVisibility(d.visibility, d.passphrase);
+        if (vis.error){
+          sendError(ws, vis.error);
+          return;
+        }
+        // hashed before anything else: the rest runs without yielding, so a retry of this create
+        // from another socket of the session can't slip in between the replay lookup and the save
+        const passphraseHash = vis.passphrase ? await hashPassphrase(vis.passphrase) : "";
+        const fingerprint = createFingerprint(d);
+        const prev = getIdempotent(ws, t, idemKey);
+        if (prev){
+          if (prev.fingerprint !== fingerprint){
+            sendError(ws, "IDEMPOTENCY_CONFLICT");
+            return;
+          }
+          // retried create: reply with the original result, never make a second room
+          inc('idempotent_replay_total');
+          if (prev.data.visibility === "invite") grantRoomAccess(ws, prev.data.roomId);
+          enterRoom(ws, prev.data.roomId);
+          // same scope as the original create (the cache is keyed by it), so this is the creator
+          const data = Object.assign({}, prev.data, { ownerToken: ownerToken(idempotencyScope(ws), prev.data.roomId) });
+          send(ws, { v:1, t: prev.t, ts: now(), data });
+          return;
+        }
+        const theme = (d.theme && String(d.theme).trim()) ? String(d.theme).trim() : randTheme();
+        const shape = resolveRoomShape(d.template, d.background);
+        if (shape.error){
+          sendError(ws, shape.error);
+          return;
+        }
+        const who = resolveContributor(ws, d);
+        if (who.error){
+          sendError(ws, who.error);
+          return;
+        }
+        const img = validateFrameImage(d.dataUrl, shape.canvas);
+        if (!img.ok){
+          sendError(ws, img.code);
+          return;
+        }
+        const room = makeRoom(theme, shape);
+        // only the creator ever sees the owner token; the room keeps its hash
+        const owner = ownerToken(idempotencyScope(ws), room.roomId);
+        room.ownerTokenHash = hashOwnerToken(owner);
+        room.visibility = vis.visibility;
+        room.passphraseHash = passphraseHash;
+        room.frameBlobs[0] = putFrameBlob(img.dataUrl);
+        room.committed[0] = true;
+        room.frameMeta[0] = { contributorId: who.contributorId, nickname: who.nickname, committedAt: now() };
+        room.updatedAt = now();
+        saveRoom(room);
 
-    if (t === "resync"){
-      const roomId = normalizeRoomId(d.roomId || ws._roomId);
-      if (!roomId){ send(ws, { v:1, t:"error", ts: now(), data:{ message:"roomId が不正です" } }); return; }
-      const room = getRoom(roomId);
-      if (!room){
-        send(ws, { v:1, t:"error", ts: now(), data:{ message:"部屋が見つからない" } });
+        if (room.visibility === "invite") grantRoomAccess(ws, room.roomId);
+        enterRoom(ws, room.roomId);
+        const created = roomState(room);
+        rememberIdempotent(ws, t, idemKey, "created_public", created, fingerprint);
+        send(ws, { v:1, t:"created_public", ts: now(), data: Object.assign({}, created, { ownerToken: owner }) });
+        broadcastEvent(room.roomId, { v:1, t:"frame_committed", ts: now(), data: Object.assign({ roomId: room.roomId, frameIndex:0 }, room.frameMeta[0]) });
         return;
       }
-      ws._roomId = room.roomId;
-      send(ws, { v:1, t:"room_state", ts: now(), data: roomState(room) });
-      return;
-    }
 
-    if (t === "get_frame"){
-      const roomId = normalizeRoomId(d.roomId || ws._roomId);
-      if (!roomId){ send(ws, { v:1, t:"error", ts: now(), data:{ message:"roomId が不正です" } }); return; }
-      if (quarantineSet.has(roomId)){
-        send(ws, { v:1, t:"error", ts: now(), data:{ message:"部屋が見つからない" } });
-        return;
-      }
-      const room = getRoom(roomId);
-      if (!room){
-        send(ws, { v:1, t:"error", ts: now(), data:{ message:"部屋が見つからない" } });
+      // Invite-only -> public (creator only). The passphrase is dropped; the room then shows up in
+      // join_random / list_public_completed like any other.
+      if (t === "publish_room"){
+        const roomId = normalizeRoomId(d.roomId || ws._roomId);
+        if (!roomId){ sendError(ws, "INVALID_ROOM_ID"); return; }
+        const room = quarantineSet.has(roomId) ? null : getRoom(roomId);
+        if (!room){
+          sendError(ws, "ROOM_NOT_FOUND");
+          return;
+        }
+        if (!verifyOwnerToken(room, String(d.ownerToken || ""))){
+          sendError(ws, "NOT_OWNER");
+          return;
+        }
+        if (room.visibility !== "public"){
+          room.visibility = "public";
+          room.passphraseHash = "";
+          room.updatedAt = now();
+          saveRoom(room);
+          logLine('info','room_published', { roomId: room.roomId });
+          broadcast(room.roomId, { v:1, t:"room_state", ts: now(), data: roomState(room) });
+        }
+        send(ws, { v:1, t:"room_published", ts: now(), data:{ roomId: room.roomId, visibility: room.visibility } });
         return;
       }
-      const idx = Number(d.frameIndex);
-      if (!Number.isFinite(idx) || idx < 0 || idx >= FRAME_COUNT){
-        send(ws, { v:1, t:"error", ts: now(), data:{ message:"frameIndex が不正" } });
+
+      // Creator edits: fix the theme (DRAWING only) and/or switch visibility (public <-> invite)
+      if (t === "owner_update_room"){
+        const roomId = normalizeRoomId(d.roomId || ws._roomId);
+        if (!roomId){ sendError(ws, "INVALID_ROOM_ID"); return; }
+        let vis = null;
+        if (d.visibility !== undefined){
+          vis = resolveVisibility(d.visibility, d.passphrase);
+          if (vis.error){
+            sendError(ws, vis.error);
+            return;
+          }
+        }
+        // hashed before the room is looked up, so nothing below works on a room that changed meanwhile
+        const passphraseHash = vis?.passphrase ? await hashPassphrase(vis.passphrase) : "";
+        const room = quarantineSet.has(roomId) ? null : getRoom(roomId);
+        if (!room){
+          sendError(ws, "ROOM_NOT_FOUND");
+          return;
+        }
+        if (!verifyOwnerToken(room, String(d.ownerToken || ""))){
+          sendError(ws, "NOT_OWNER");
+          return;
+        }
+        let theme = null;
+        if (d.theme !== undefined){
+          theme = String(d.theme ?? "").trim();
+          if (!theme){
+            sendError(ws, "INVALID_THEME");
+            return;
+          }
+          normalizePhase(room);
+          if (room.phase !== "DRAWING" && theme !== room.theme){
+            sendError(ws, "ROOM_COMPLETED", null, "theme");
+            return;
+          }
+        }
+        const changed = [];
+        if (theme !== null && theme !== room.theme){
+          room.theme = theme;
+          changed.push("theme");
+        }
+        if (vis && (vis.visibility !== room.visibility || vis.passphrase)){
+          room.visibility = vis.visibility;
+          room.passphraseHash = passphraseHash;
+          if (room.visibility === "invite") grantRoomAccess(ws, room.roomId);
+          changed.push("visibility");
+        }
+        if (changed.length){
+          room.updatedAt = now();
+          saveRoom(room);
+          logLine('info','room_updated_by_owner', { roomId: room.roomId, changed });
+          broadcast(room.roomId, { v:1, t:"room_state", ts: now(), data: roomState(room) });
+        }
+        send(ws, { v:1, t:"room_updated", ts: now(), data: Object.assign(roomState(room), { changed }) });
         return;
       }
-      if (!room.committed[idx] || !room.frames[idx]) return;
-      send(ws, { v:1, t:"frame_data", ts: now(), data:{ roomId: room.roomId, frameIndex: idx, dataUrl: room.frames[idx] } });
-      return;
-    }
 
-    if (t === "submit_frame"){
-      const roomId = normalizeRoomId(d.roomId || ws._roomId);
-      if (!roomId){ send(ws, { v:1, t:"error", ts: now(), data:{ message:"roomId が不正です" } }); return; }
-      if (quarantineSet.has(roomId)){
-        send(ws, { v:1, t:"error", ts: now(), data:{ message:"部屋が見つからない" } });
+      if (t === "owner_delete_room"){
+        const roomId = normalizeRoomId(d.roomId || ws._roomId);
+        if (!roomId){ sendError(ws, "INVALID_ROOM_ID"); return; }
+        // a quarantined room is kept for inspection: not even its owner can delete it
+        const room = quarantineSet.has(roomId) ? null : getRoom(roomId);
+        if (!room){
+          sendError(ws, "ROOM_NOT_FOUND");
+          return;
+        }
+        if (!verifyOwnerToken(room, String(d.ownerToken || ""))){
+          sendError(ws, "NOT_OWNER");
+          return;
+        }
+        // everyone still looking at the room hears about it; the owner gets it as the direct reply
+        // (with its reqId), even from inside the room, so it is moved out before the broadcast
+        if (ws._roomId === room.roomId) enterRoom(ws, "");
+        send(ws, { v:1, t:"room_deleted", ts: now(), data:{ roomId: room.roomId } });
+        const r = removeRoom(room.roomId);
+        inc('room_deleted_by_owner_total');
+        logLine('info','room_deleted_by_owner', { roomId: room.roomId, blobsRemoved: r.blobsRemoved, backups: r.backups });
         return;
       }
-      const room = getRoom(roomId);
-      if (!room){
-        send(ws, { v:1, t:"error", ts: now(), data:{ message:"部屋が見つからない" } });
+
+      if (t === "join_random"){
+        const rid = findRandomOpenRoomId();
+        if (!rid){
+          sendError(ws, "NO_OPEN_ROOMS");
+          return;
+        }
+        const room = getRoom(rid);
+        if (!room){
+          // stale index
+          removeFromIndex(rid);
+          sendError(ws, "ROOM_UNAVAILABLE");
+          return;
+        }
+        normalizePhase(room);
+        if (room.phase !== "DRAWING" || room.visibility !== "public"){
+          updateIndexFromRoom(room);
+          sendError(ws, "ROOM_UNAVAILABLE", null, "notDrawing");
+          return;
+        }
+        const idx = pickFreeFrame(room);
+        if (idx < 0){
+          updateIndexFromRoom(room); saveRoom(room);
+          sendError(ws, "NO_FREE_FRAME", null, "random");
+          return;
+        }
+        reserveAndJoin(ws, room, idx);
         return;
       }
-      normalizePhase(room);
-      cleanupReservations(room);
 
-      if (room.phase !== "DRAWING"){
-        send(ws, { v:1, t:"error", ts: now(), data:{ message:"この部屋は提出を受け付けていません（完成済み）" } });
+      if (t === "join_by_id"){
+        const roomId = normalizeRoomId(d.roomId);
+        if (!roomId){
+          sendError(ws, "INVALID_ROOM_ID");
+          return;
+        }
+        if (quarantineSet.has(roomId)){
+          sendError(ws, "ROOM_NOT_FOUND");
+          return;
+        }
+        const found = getRoom(roomId);
+        if (!found){
+          sendError(ws, "ROOM_NOT_FOUND");
+          return;
+        }
+        const room = await checkInvite(ws, found, d.passphrase, ip);
+        if (!room) return;
+        normalizePhase(room);
+        if (room.phase !== "DRAWING"){
+          // completed rooms are excluded from editing/joining
+          sendError(ws, "ROOM_COMPLETED", null, "notFound");
+          return;
+        }
+        if (d.preferredFrameIndex !== undefined && d.preferredFrameIndex !== null){
+          const pf = checkPreferredFrame(room, d.preferredFrameIndex);
+          if (pf.code){
+            sendError(ws, pf.code, pf.extra);
+            return;
+          }
+          reserveAndJoin(ws, room, pf.idx);
+          return;
+        }
+        const idx = pickFreeFrame(room);
+        if (idx < 0){
+          updateIndexFromRoom(room); saveRoom(room);
+          sendError(ws, "NO_FREE_FRAME");
+          return;
+        }
+        reserveAndJoin(ws, room, idx);
         return;
       }
 
-      const idx = Number(d.frameIndex);
-      const tok = String(d.reservationToken || "");
-      const dataUrl = d.dataUrl;
+      if (t === "join_room"){
+        const roomId = normalizeRoomId(d.roomId || ws._roomId);
+        if (!roomId){ sendError(ws, "INVALID_ROOM_ID"); return; }
+        if (quarantineSet.has(roomId)){
+          sendError(ws, "ROOM_NOT_FOUND");
+          return;
+        }
+        const found = getRoom(roomId);
+        if (!found){
+          sendError(ws, "ROOM_NOT_FOUND");
+          return;
+        }
+        const room = await checkInvite(ws, found, d.passphrase, ip);
+        if (!room) return;
+        enterRoom(ws, room.roomId);
+        normalizePhase(room);
+
+        if (d.view !== true && d.reservationToken){
+          // editing join: must be DRAWING and have a valid reservation
+          if (room.phase !== "DRAWING"){
+            sendError(ws, "ROOM_COMPLETED");
+            return;
+          }
+          cleanupReservations(room);
+          const r = room.reservations.get(String(d.reservationToken));
+          if (!r || r.expiresAt <= now()){
+            sendError(ws, "RESERVATION_EXPIRED", null, "rejoin");
+            return;
+          }
+          rememberSessionReservation(ws, room.roomId, String(d.reservationToken));
+        }else if (d.view !== true && d.preferredFrameIndex !== undefined && d.preferredFrameIndex !== null){
+          // picking a slot from the room view: reserve it like join_by_id does
+          if (room.phase !== "DRAWING"){
+            sendError(ws, "ROOM_COMPLETED");
+            return;
+          }
+          const pf = checkPreferredFrame(room, d.preferredFrameIndex);
+          if (pf.code){
+            sendError(ws, pf.code, pf.extra);
+            return;
+          }
+          reserveAndJoin(ws, room, pf.idx);
+          return;
+        }
 
-      if (!Number.isFinite(idx) || idx<0 || idx>=FRAME_COUNT){
-        send(ws, { v:1, t:"error", ts: now(), data:{ message:"frameIndex が不正" } });
+        send(ws, { v:1, t:"room_state", ts: now(), data: roomState(room) });
         return;
       }
-      if (!tok){
-        send(ws, { v:1, t:"error", ts: now(), data:{ message:"reservationToken が必要" } });
-        return;
-      }
-      const r = room.reservations.get(tok);
-      if (!r || r.expiresAt <= now()){
-        send(ws, { v:1, t:"error", ts: now(), data:{ message:"予約が無効/期限切れです" } });
+
+      if (t === "list_free_frames"){
+        const roomId = normalizeRoomId(d.roomId || ws._roomId);
+        if (!roomId){ sendError(ws, "INVALID_ROOM_ID"); return; }
+        if (quarantineSet.has(roomId)){
+          sendError(ws, "ROOM_NOT_FOUND");
+          return;
+        }
+        const room = getRoom(roomId);
+        if (!room){
+          sendError(ws, "ROOM_NOT_FOUND");
+          return;
+        }
+        if (!canSeeRoom(ws, room)){
+          sendError(ws, "PASSPHRASE_REQUIRED");
+          return;
+        }
+        const frames = frameStates(room, ws);
+        send(ws, { v:1, t:"free_frames", ts: now(), data:{
+          roomId: room.roomId,
+          frameCount: room.frameCount,
+          frames,
+          freeFrames: frames.filter(f => f.state === "free").map(f => f.frameIndex),
+        }});
         return;
       }
-      if (r.frameIndex !== idx){
-        send(ws, { v:1, t:"error", ts: now(), data:{ message:"担当コマが一致しません" } });
+
+      if (t === "resync"){
+        const roomId = normalizeRoomId(d.roomId || ws._roomId);
+        if (!roomId){ sendError(ws, "INVALID_ROOM_ID"); return; }
+        const room = getRoom(roomId);
+        if (!room){
+          sendError(ws, "ROOM_NOT_FOUND");
+          return;
+        }
+        enterRoom(ws, room.roomId);
+        send(ws, { v:1, t:"room_state", ts: now(), data: roomState(room) });
         return;
       }
-      if (room.committed[idx]){
-        send(ws, { v:1, t:"error", ts: now(), data:{ message:"すでに提出済みです" } });
+
+      if (t === "get_frame"){
+        const roomId = normalizeRoomId(d.roomId || ws._roomId);
+        if (!roomId){ sendError(ws, "INVALID_ROOM_ID"); return; }
+        if (quarantineSet.has(roomId)){
+          sendError(ws, "ROOM_NOT_FOUND");
+          return;
+        }
+        const room = getRoom(roomId);
+        if (!room){
+          sendError(ws, "ROOM_NOT_FOUND");
+          return;
+        }
+        if (!canSeeRoom(ws, room)){
+          sendError(ws, "PASSPHRASE_REQUIRED");
+          return;
+        }
+        const idx = Number(d.frameIndex);
+        if (!Number.isFinite(idx) || idx < 0 || idx >= room.frameCount){
+          sendError(ws, "INVALID_FRAME_INDEX");
+          return;
+        }
+        const dataUrl = frameDataUrl(room, idx);
+        if (!dataUrl){
+          sendError(ws, "FRAME_NOT_FOUND", { roomId: room.roomId, frameIndex: idx });
+          return;
+        }
+        sendFrameData(ws, { v:1, t:"frame_data", ts: now(), data:{ roomId: room.roomId, frameIndex: idx, version: frameVersion(room, idx), dataUrl } });
         return;
       }
-      if (!validatePngDataUrl(dataUrl)){
-        send(ws, { v:1, t:"error", ts: now(), data:{ message:"dataUrl が不正/大きすぎる" } });
+
+      // Batch fetch: only frames whose version differs from what the client has, plus explicit empty markers
+      if (t === "get_frames"){
+        const roomId = normalizeRoomId(d.roomId || ws._roomId);
+        if (!roomId){ sendError(ws, "INVALID_ROOM_ID"); return; }
+        if (quarantineSet.has(roomId)){
+          sendError(ws, "ROOM_NOT_FOUND");
+          return;
+        }
+        const room = getRoom(roomId);
+        if (!room){
+          sendError(ws, "ROOM_NOT_FOUND");
+          return;
+        }
+        if (!canSeeRoom(ws, room)){
+          sendError(ws, "PASSPHRASE_REQUIRED");
+          return;
+        }
+        const sel = parseFrameSelection(d, room.frameCount);
+        if (!sel){
+          sendError(ws, "INVALID_FRAME_INDEX");
+          return;
+        }
+        if (isBackpressured(ws)){
+          inc('ws_backpressure_total');
+          sendError(ws, "BACKPRESSURE", { retryAfterMs: 1000 });
+          return;
+        }
+        const have = parseHaveVersions(d.have, room.frameCount);
+        const frames = [];
+        const pending = [];
+        // stay within both the per-reply cap and what this socket can still queue
+        const budget = Math.min(GET_FRAMES_MAX_BYTES, WS_MAX_BUFFERED_BYTES - (Number(ws.bufferedAmount) || 0));
+        let bytes = 0;
+        for (const i of sel){
+          if (!hasFrame(room, i)){
+            frames.push({ frameIndex: i, state: "empty" });
+            continue;
+          }
+          const version = frameVersion(room, i);
+          if (have.get(i) === version){
+            frames.push({ frameIndex: i, state: "unchanged", version });
+            continue;
+          }
+          const dataUrl = frameDataUrl(room, i);
+          if (!dataUrl){
+            frames.push({ frameIndex: i, state: "empty" });
+            continue;
+          }
+          const size = dataUrl.length;
+          if (bytes > 0 && bytes + size > budget){
+            pending.push(i);
+            continue;
+          }
+          bytes += size;
+          if (ws._binary){
+            // binary clients get each changed frame as its own binary frame_data; the summary carries no images
+            sendFrameData(ws, { v:1, t:"frame_data", ts: now(), data:{ roomId: room.roomId, frameIndex: i, version, dataUrl } });
+            frames.push({ frameIndex: i, state: "committed", version });
+          }else{
+            frames.push({ frameIndex: i, state: "committed", version, dataUrl });
+          }
+        }
+        inc('get_frames_frames_total', frames.length);
+        send(ws, { v:1, t:"frames_data", ts: now(), data:{ roomId: room.roomId, phase: room.phase, frames, pending } });
         return;
       }
 
-      room.frames[idx] = dataUrl;
-      room.committed[idx] = true;
-      room.updatedAt = now();
+      if (t === "submit_frame"){
+        const roomId = normalizeRoomId(d.roomId || ws._roomId);
+        if (!roomId){ sendError(ws, "INVALID_ROOM_ID"); return; }
+        const idemKey = normalizeIdempotencyKey(d.idempotencyKey);
+        if (idemKey === null){ sendError(ws, "INVALID_IDEMPOTENCY_KEY"); return; }
+        if (quarantineSet.has(roomId)){
+          sendError(ws, "ROOM_NOT_FOUND");
+          return;
+        }
+        // Replayed before the phase check on purpose: the retry of the frame that completed the room
+        // must still get "submitted", not ROOM_COMPLETED. A quarantined room answers nothing (above).
+        const fingerprint = submitFingerprint(roomId, d);
+        const prev = getIdempotent(ws, t, idemKey);
+        if (prev){
+          if (prev.fingerprint !== fingerprint){
+            sendError(ws, "IDEMPOTENCY_CONFLICT");
+            return;
+          }
+          // retried submit that already went through: same reply as the first attempt
+          inc('idempotent_replay_total');
+          enterRoom(ws, roomId);
+          send(ws, { v:1, t: prev.t, ts: now(), data: prev.data });
+          return;
+        }
+        const room = getRoom(roomId);
+        if (!room){
+          sendError(ws, "ROOM_NOT_FOUND");
+          return;
+        }
+        normalizePhase(room);
+        cleanupReservations(room);
 
-      // consume reservation
-      room.reservations.delete(tok);
-      room.reservedByFrame.delete(idx);
+        if (room.phase !== "DRAWING"){
+          sendError(ws, "ROOM_COMPLETED", null, "submit");
+          return;
+        }
 
-      saveRoom(room);
+        const idx = Number(d.frameIndex);
+        const tok = String(d.reservationToken || "");
 
-      broadcast(room.roomId, { v:1, t:"frame_committed", ts: now(), data:{ roomId: room.roomId, frameIndex: idx } });
-      send(ws, { v:1, t:"submitted", ts: now(), data:{ roomId: room.roomId, frameIndex: idx } });
+        if (!Number.isFinite(idx) || idx<0 || idx>=room.frameCount){
+          sendError(ws, "INVALID_FRAME_INDEX");
+          return;
+        }
+        if (!tok){
+          sendError(ws, "RESERVATION_REQUIRED");
+          return;
+        }
+        const r = room.reservations.get(tok);
+        if (!r || r.expiresAt <= now()){
+          sendError(ws, "RESERVATION_EXPIRED");
+          return;
+        }
+        if (r.frameIndex !== idx){
+          sendError(ws, "FRAME_MISMATCH");
+          return;
+        }
+        if (room.committed[idx]){
+          sendError(ws, "ALREADY_COMMITTED");
+          return;
+        }
+        const who = resolveContributor(ws, d);
+        if (who.error){
+          sendError(ws, who.error);
+          return;
+        }
+        const img = validateFrameImage(d.dataUrl, room.canvas);
+        if (!img.ok){
+          sendError(ws, img.code);
+          return;
+        }
 
-      if (room.committed.every(Boolean)){
-        // Completed: lock and stop surfacing in join/random
-        room.phase = "PLAYBACK";
+        room.frameBlobs[idx] = putFrameBlob(img.dataUrl);
+        room.committed[idx] = true;
+        room.frameMeta[idx] = { contributorId: who.contributorId, nickname: who.nickname, committedAt: now() };
         room.updatedAt = now();
+
+        // consume reservation
+        room.reservations.delete(tok);
+        room.reservedByFrame.delete(idx);
+
         saveRoom(room);
 
-        broadcast(room.roomId, { v:1, t:"start_playback", ts: now(), data:{ roomId: room.roomId } });
-        broadcast(room.roomId, { v:1, t:"room_state", ts: now(), data: roomState(room) });
+        broadcastEvent(room.roomId, { v:1, t:"frame_committed", ts: now(), data: Object.assign({ roomId: room.roomId, frameIndex: idx }, room.frameMeta[idx]) });
+        const submitted = { roomId: room.roomId, frameIndex: idx };
+        rememberIdempotent(ws, t, idemKey, "submitted", submitted, fingerprint);
+        send(ws, { v:1, t:"submitted", ts: now(), data: submitted });
+
+        if (room.committed.every(Boolean)){
+          // Completed: lock and stop surfacing in join/random
+          room.phase = "PLAYBACK";
+          room.updatedAt = now();
+          saveRoom(room);
+
+          broadcastEvent(room.roomId, { v:1, t:"start_playback", ts: now(), data:{ roomId: room.roomId } });
+          broadcast(room.roomId, { v:1, t:"room_state", ts: now(), data: roomState(room) });
+          prerenderAnimations(room);
+        }
+
+        return;
       }
 
-      return;
+      // Reservation lifecycle: extend / cancel / status (token holder only)
+      if (t === "extend_reservation" || t === "cancel_reservation" || t === "reservation_status"){
+        const roomId = normalizeRoomId(d.roomId || ws._roomId);
+        if (!roomId){ sendError(ws, "INVALID_ROOM_ID"); return; }
+        if (quarantineSet.has(roomId)){
+          sendError(ws, "ROOM_NOT_FOUND");
+          return;
+        }
+        const room = getRoom(roomId);
+        if (!room){
+          sendError(ws, "ROOM_NOT_FOUND");
+          return;
+        }
+        const tok = String(d.reservationToken || "");
+        if (!tok){
+          sendError(ws, "RESERVATION_REQUIRED");
+          return;
+        }
+        normalizePhase(room);
+        cleanupReservations(room);
+        const r = room.reservations.get(tok);
+
+        if (t === "reservation_status"){
+          if (!r){
+            send(ws, { v:1, t:"reservation_status", ts: now(), data:{ roomId: room.roomId, valid:false } });
+            return;
+          }
+          send(ws, { v:1, t:"reservation_status", ts: now(), data: Object.assign({ valid:true }, reservationInfo(room, r)) });
+          return;
+        }
+
+        if (!r || r.expiresAt <= now()){
+          sendError(ws, "RESERVATION_EXPIRED");
+          return;
+        }
+
+        if (t === "cancel_reservation"){
+          room.reservations.delete(tok);
+          if (room.reservedByFrame.get(r.frameIndex) === tok) room.reservedByFrame.delete(r.frameIndex);
+          room.updatedAt = now();
+          saveRoom(room);
+          inc('reservation_cancel_total');
+          send(ws, { v:1, t:"reservation_cancelled", ts: now(), data:{ roomId: room.roomId, frameIndex: r.frameIndex } });
+          broadcastFrameReleased(room.roomId, r.frameIndex, "cancelled");
+          return;
+        }
+
+        // extend_reservation
+        const extensions = Math.max(0, Number(r.extensions || 0) || 0);
+        if (extensions >= RESERVATION_MAX_EXTENSIONS){
+          sendError(ws, "RESERVATION_EXTENSION_LIMIT", { reservationExpiresAt: r.expiresAt });
+          return;
+        }
+        r.extensions = extensions + 1;
+        r.expiresAt = Math.max(r.expiresAt, now() + RESERVATION_EXTEND_MS);
+        room.updatedAt = now();
+        saveRoom(room);
+        inc('reservation_extend_total');
+        send(ws, { v:1, t:"reservation_extended", ts: now(), data: reservationInfo(room, r) });
+        return;
+      }
+
+      sendError(ws, "UNKNOWN_TYPE", { message: errorMessage("UNKNOWN_TYPE", ws._locale) + ": " + t });
+    } finally {
+      ws._reqId = undefined;
+      observeMs('ws_' + opName, now() - msgStart);
+    }
+    }
+  });
+
+  function start(port, host){
+    const setIv = clock.setInterval ? clock.setInterval.bind(clock) : setInterval;
+    for (const tm of timers){
+      if (!tm.handle) tm.handle = setIv(tm.fn, tm.ms);
     }
+    return new Promise((resolve, reject) => {
+      server.once("error", reject);
+      server.listen(port ?? PORT, host || "0.0.0.0", () => {
+        server.off("error", reject);
+        resolve({ port: server.address().port });
+      });
+    });
+  }
 
-    send(ws, { v:1, t:"error", ts: now(), data:{ message:"unknown message type: " + t } });
-  } finally {
-    observeMs('ws_' + opName, now() - msgStart);
+  function stop(){
+    const clearIv = clock.clearInterval ? clock.clearInterval.bind(clock) : clearInterval;
+    for (const tm of timers){
+      if (tm.handle) clearIv(tm.handle);
+      tm.handle = null;
+    }
+    for (const ws of wss.clients) ws.terminate();
+    for (const w of animWorkers) w.terminate();
+    return new Promise((resolve) => {
+      wss.close();
+      if (!server.listening) return resolve();
+      server.close(() => resolve());
+    });
   }
-  });
-});
 
-server.listen(PORT, "0.0.0.0", () => console.log("anim5s server listening on", PORT));
+  // Graceful shutdown: refuse new upgrades and messages, tell clients when to come back, flush the
+  // index and a final backup, then close sockets with 1012 (service restart). Room saves are synchronous,
+  // so once this runs no save is half-done. Resolves when everything is closed or at the deadline.
+  function shutdown(reason){
+    if (shuttingDown) return Promise.resolve();
+    shuttingDown = true;
+    const t0 = now();
+    logLine('info','shutdown_begin', { reason: String(reason || ""), wsClients: wss.clients.size, dirtyRooms: dirtyRoomIds.size });
+
+    return new Promise((resolve) => {
+      let done = false;
+      const finish = (timedOut) => {
+        if (done) return;
+        done = true;
+        for (const ws of wss.clients) ws.terminate();
+        for (const w of animWorkers) w.terminate();
+        try{ wss.close(); }catch(e){}
+        logLine(timedOut ? 'warn' : 'info','shutdown_done', { ms: now() - t0, timedOut, dirtyRooms: dirtyRoomIds.size });
+        resolve();
+      };
+      // armed first, so slow handlers and a slow backup still count against the deadline
+      setTimeout(() => finish(true), SHUTDOWN_DEADLINE_MS).unref();
+
+      for (const ws of wss.clients){
+        const reconnectAfterMs = SHUTDOWN_RECONNECT_MS + Math.floor(Math.random() * (SHUTDOWN_RECONNECT_JITTER_MS + 1));
+        send(ws, { v:1, t:"server_restarting", ts: now(), data:{ reason: String(reason || "shutdown"), reconnectAfterMs } });
+      }
+
+      const clearIv = clock.clearInterval ? clock.clearInterval.bind(clock) : clearInterval;
+      for (const tm of timers){
+        if (tm.handle) clearIv(tm.handle);
+        tm.handle = null;
+      }
+      // messages already being handled (e.g. a create waiting on scrypt) finish first, so what they save
+      // makes it into the final backup; anything arriving now is answered SERVER_RESTARTING
+      const flush = () => {
+        if (done) return;
+        try{ saveIndex(); }catch(e){ logLine('error','shutdown_index_failed', { message: String(e?.message || e) }); }
+        try{ doBackup({ force: true }); }catch(e){ logLine('error','shutdown_backup_failed', { message: String(e?.message || e) }); }
+
+        for (const ws of wss.clients){
+          try{ ws.close(WS_CLOSE_SERVICE_RESTART, "server_restarting"); }catch(e){ ws.terminate(); }
+        }
+        waitClients();
+      };
+      const closeHttp = () => {
+        if (!server.listening) return finish(false);
+        server.close(() => finish(false));
+        server.closeAllConnections?.();
+      };
+      const waitClients = () => {
+        if (wss.clients.size === 0) return closeHttp();
+        setTimeout(waitClients, 50).unref();
+      };
+      Promise.all(Array.from(handlingMessages)).then(flush);
+    });
+  }
+
+  return {
+    start,
+    stop,
+    shutdown,
+    server,
+    wss,
+    store,
+    now,
+    backup: doBackup,
+    restore: restoreFromBackups,
+    migrate: migrateAll,
+    fsck: runFsck,
+  };
+}
+
+// --- CLI ---
+//   node server.cjs                   start the server
+//   node server.cjs restore [--at <ms|ISO>] [--room <roomId>] [--newer-rooms keep|quarantine|remove] [--dry-run]
+//   node server.cjs migrate [--dry-run]
+//   node server.cjs fsck [--repair]
+function parseCliArgs(argv){
+  const out = { _: [] };
+  for (let i=0;i<argv.length;i++){
+    const a = argv[i];
+    if (!a.startsWith("--")){ out._.push(a); continue; }
+    const eq = a.indexOf("=");
+    if (eq > 0){ out[a.slice(2, eq)] = a.slice(eq + 1); continue; }
+    const next = argv[i + 1];
+    if (next !== undefined && !next.startsWith("--")){ out[a.slice(2)] = next; i++; }
+    else out[a.slice(2)] = true;
+  }
+  return out;
+}
+
+function main(){
+  const CLI = parseCliArgs(process.argv.slice(2));
+  const cmd = CLI._[0];
+  const app = createAnim5sServer({ config: process.env, logToStderr: Boolean(cmd) });
+  if (cmd === "restore"){
+    const report = app.restore({ at: CLI.at, roomId: CLI.room, newerRooms: CLI["newer-rooms"], dryRun: Boolean(CLI["dry-run"]) });
+    console.log(JSON.stringify(report, null, 2));
+    process.exit(report.ok ? 0 : 1);
+  }else if (cmd === "fsck"){
+    const report = app.fsck({ repair: Boolean(CLI.repair) });
+    console.log(JSON.stringify(report, null, 2));
+    process.exit(report.ok ? 0 : 1);
+  }else if (cmd === "migrate"){
+    const report = app.migrate({ dryRun: Boolean(CLI["dry-run"]) });
+    console.log(JSON.stringify(report, null, 2));
+    process.exit(report.ok ? 0 : 1);
+  }else if (cmd){
+    console.error("unknown command: " + cmd);
+    process.exit(2);
+  }else{
+    app.start().then(({ port }) => console.log("anim5s server listening on", port));
+    // Render sends SIGTERM on redeploy; a second signal exits at once
+    const deadline = Number(process.env.SHUTDOWN_DEADLINE_MS || 10_000);
+    let stopping = false;
+    const onSignal = (sig) => {
+      if (stopping) process.exit(1);
+      stopping = true;
+      setTimeout(() => process.exit(1), deadline).unref();
+      app.shutdown(sig).then(() => process.exit(0));
+    };
+    process.on("SIGTERM", onSignal);
+    process.on("SIGINT", onSignal);
+  }
+}
+
+module.exports = { createAnim5sServer };
+
+if (!isMainThread && workerData?.anim5sRender) runRenderWorker(workerData.anim5sRender);
+else if (require.main === module) main();
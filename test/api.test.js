@@ -0,0 +1,66 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestServer, PNG_1PX, completeRoom } = require("./helpers");
+
+async function apiRoom(t){
+  const srv = await startTestServer();
+  t.after(() => srv.stop());
+  const a = await srv.connect();
+  const { data: { roomId } } = await a.request("create_public_and_submit", { theme: "x", dataUrl: PNG_1PX });
+  return { srv, a, roomId };
+}
+
+test("GET /api/rooms/:roomId serves roomState with validators and answers 304 when unchanged", async (t) => {
+  const { srv, a, roomId } = await apiRoom(t);
+  const url = srv.base + "/api/rooms/" + roomId;
+  const r = await fetch(url);
+  assert.equal(r.status, 200);
+  assert.equal((await r.json()).roomId, roomId);
+  const etag = r.headers.get("etag");
+  const lastModified = r.headers.get("last-modified");
+  assert.match(r.headers.get("cache-control"), /max-age=10$/);
+
+  assert.equal((await fetch(url, { headers: { "if-none-match": etag } })).status, 304);
+  assert.equal((await fetch(url, { headers: { "if-modified-since": lastModified } })).status, 304);
+
+  // any change to the room moves updatedAt, so the old validator no longer matches
+  srv.clock.advance(5_000);
+  await a.request("join_by_id", { roomId });
+  const changed = await fetch(url, { headers: { "if-none-match": etag } });
+  assert.equal(changed.status, 200);
+  assert.notEqual(changed.headers.get("etag"), etag);
+});
+
+test("GET /api/rooms/:roomId/frames/:n.png serves the image bytes; uncommitted and quarantined are 404", async (t) => {
+  const { srv, roomId } = await apiRoom(t);
+  const r = await fetch(srv.base + "/api/rooms/" + roomId + "/frames/0.png");
+  assert.equal(r.status, 200);
+  assert.equal(r.headers.get("content-type"), "image/png");
+  assert.equal(r.headers.get("x-content-type-options"), "nosniff");
+  assert.deepEqual(Buffer.from(await r.arrayBuffer()), Buffer.from(PNG_1PX.split(",")[1], "base64"));
+  assert.equal((await fetch(srv.base + "/api/rooms/" + roomId + "/frames/0.png", { headers: { "if-none-match": r.headers.get("etag") } })).status, 304);
+
+  const empty = await fetch(srv.base + "/api/rooms/" + roomId + "/frames/1.png");
+  assert.equal(empty.status, 404);
+  assert.equal((await empty.json()).code, "FRAME_NOT_FOUND");
+
+  await fetch(srv.base + "/admin/quarantine?roomId=" + roomId + "&mode=on");
+  assert.equal((await fetch(srv.base + "/api/rooms/" + roomId)).status, 404);
+  assert.equal((await fetch(srv.base + "/api/rooms/" + roomId + "/frames/0.png")).status, 404);
+  assert.equal((await fetch(srv.base + "/api/rooms/" + roomId, { method: "POST" })).status, 405);
+});
+
+test("GET /api/public/completed lists completed public rooms only", async (t) => {
+  const srv = await startTestServer({ config: { ROOM_TEMPLATES: { tiny: { frameCount: 2, fps: 2 } } } });
+  t.after(() => srv.stop());
+  const a = await srv.connect();
+  const { data: { roomId: done } } = await completeRoom(a, { theme: "done", template: "tiny", dataUrl: PNG_1PX });
+  await a.request("create_public_and_submit", { theme: "open", template: "tiny", dataUrl: PNG_1PX });
+
+  const r = await fetch(srv.base + "/api/public/completed?sort=new");
+  assert.equal(r.status, 200);
+  const body = await r.json();
+  assert.equal(body.sort, "new");
+  assert.deepEqual(body.items.map(x => x.roomId), [done]);
+  assert.equal((await fetch(srv.base + "/api/public/completed?sort=new", { headers: { "if-none-match": r.headers.get("etag") } })).status, 304);
+});
@@ -0,0 +1,54 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestServer, PNG_1PX } = require("./helpers");
+
+// frame 0 and 3 committed, 1 reserved, 2 free again -> the next join shows which strategy runs
+async function gappedRoom(srv){
+  const owner = await srv.connect();
+  const { data: { roomId } } = await owner.request("create_public_and_submit", { theme: "x", dataUrl: PNG_1PX });
+  const [a, b, c] = [await srv.connect(), await srv.connect(), await srv.connect()];
+  const ja = await a.request("join_by_id", { roomId });
+  const jb = await b.request("join_by_id", { roomId });
+  const jc = await c.request("join_by_id", { roomId });
+  assert.deepEqual([ja.data.assignedFrame, jb.data.assignedFrame, jc.data.assignedFrame], [1, 2, 3]);
+  await c.request("submit_frame", { roomId, frameIndex: 3, reservationToken: jc.data.reservationToken, dataUrl: PNG_1PX });
+  await b.request("cancel_reservation", { roomId, reservationToken: jb.data.reservationToken });
+  return roomId;
+}
+
+test("without ASSIGNMENT_STRATEGY the lowest free frame is handed out", async (t) => {
+  const srv = await startTestServer();
+  t.after(() => srv.stop());
+  const roomId = await gappedRoom(srv);
+  const d = await srv.connect();
+  const j = await d.request("join_by_id", { roomId });
+  assert.equal(j.data.assignedFrame, 2);
+});
+
+test("ASSIGNMENT_STRATEGY adjacent prefers a frame right after a committed one", async (t) => {
+  const srv = await startTestServer({ config: { ASSIGNMENT_STRATEGY: "adjacent" } });
+  t.after(() => srv.stop());
+  const roomId = await gappedRoom(srv);
+  const d = await srv.connect();
+  const j = await d.request("join_by_id", { roomId });
+  assert.equal(j.data.assignedFrame, 4);
+});
+
+test("ASSIGNMENT_STRATEGY even starts as far from the committed frame as it can", async (t) => {
+  const srv = await startTestServer({ config: { ASSIGNMENT_STRATEGY: "even" } });
+  t.after(() => srv.stop());
+  const owner = await srv.connect();
+  const { data: { roomId, frameCount } } = await owner.request("create_public_and_submit", { theme: "x", dataUrl: PNG_1PX });
+  const a = await srv.connect();
+  const j = await a.request("join_by_id", { roomId });
+  assert.equal(j.data.assignedFrame, frameCount - 1);
+});
+
+test("an unknown ASSIGNMENT_STRATEGY falls back to lowest", async (t) => {
+  const srv = await startTestServer({ config: { ASSIGNMENT_STRATEGY: "random" } });
+  t.after(() => srv.stop());
+  const roomId = await gappedRoom(srv);
+  const d = await srv.connect();
+  const j = await d.request("join_by_id", { roomId });
+  assert.equal(j.data.assignedFrame, 2);
+});
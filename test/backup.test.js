@@ -0,0 +1,12 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { roomWithBackup, backupDirs } = require("./helpers");
+
+test("backup: the manifest lists the room and its blobs with checksums", async (t) => {
+  const { srv, roomId } = await roomWithBackup(t);
+  const [dir] = backupDirs(srv.app.store);
+  const manifest = JSON.parse(String(srv.app.store.read("backups/" + dir + "/manifest.json")));
+  assert.deepEqual(manifest.rooms, [roomId]);
+  assert.match(manifest.files[roomId + ".json"], /^[0-9a-f]{64}$/);
+  assert.ok(Object.keys(manifest.files).some(f => /^blobs\/[0-9a-f]{64}\.png$/.test(f)));
+});
@@ -0,0 +1,73 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestServer, PNG_1PX, pngDataUrl } = require("./helpers");
+
+const PNG_BYTES = Buffer.from(PNG_1PX.split(",")[1], "base64");
+
+async function binaryClient(srv){
+  const c = await srv.connect();
+  const w = await c.request("hello", { binary: true });
+  assert.equal(w.data.binary, true);
+  return c;
+}
+
+test("binary frames are refused until hello negotiates them", async (t) => {
+  const srv = await startTestServer();
+  t.after(() => srv.stop());
+  const a = await srv.connect();
+  a.sendBinary("create_public_and_submit", { theme: "x", mime: "image/png" }, PNG_BYTES, { reqId: "b1" });
+  assert.equal((await a.next(m => m.reqId === "b1")).data.code, "BINARY_NOT_NEGOTIATED");
+});
+
+test("a binary create stores the image, and get_frame answers with binary frame_data", async (t) => {
+  const srv = await startTestServer();
+  t.after(() => srv.stop());
+  const a = await binaryClient(srv);
+  a.sendBinary("create_public_and_submit", { theme: "x", mime: "image/png" }, PNG_BYTES, { reqId: "b1" });
+  const created = await a.next(m => m.reqId === "b1");
+  assert.equal(created.t, "created_public");
+
+  const f = await a.request("get_frame", { roomId: created.data.roomId, frameIndex: 0 });
+  assert.equal(f.t, "frame_data");
+  assert.equal(f.data.mime, "image/png");
+  assert.equal(f.data.dataUrl, undefined);
+  assert.deepEqual(f.bytes, PNG_BYTES);
+
+  const text = await srv.connect();
+  const g = await text.request("get_frame", { roomId: created.data.roomId, frameIndex: 0 });
+  assert.equal(g.data.dataUrl, PNG_1PX);
+});
+
+test("room_joined onion skin: dataUrls for text clients, binary frame_data for binary ones", async (t) => {
+  const srv = await startTestServer();
+  t.after(() => srv.stop());
+  const owner = await srv.connect();
+  const { data: { roomId } } = await owner.request("create_public_and_submit", { theme: "x", dataUrl: PNG_1PX });
+
+  const text = await srv.connect();
+  const tj = await text.request("join_by_id", { roomId });
+  assert.equal(tj.data.onionSkin.before.dataUrl, PNG_1PX);
+  await text.request("cancel_reservation", { roomId, reservationToken: tj.data.reservationToken });
+
+  const bin = await binaryClient(srv);
+  const bj = await bin.request("join_by_id", { roomId });
+  assert.deepEqual(bj.data.onionSkin.before, { frameIndex: 0, version: tj.data.onionSkin.before.version });
+  assert.equal(bj.data.onionSkin.after, null);
+  const f = await bin.next("frame_data");
+  assert.equal(f.data.frameIndex, 0);
+  assert.deepEqual(f.bytes, PNG_BYTES);
+});
+
+test("binary submit_frame commits the frame like a dataUrl would", async (t) => {
+  const srv = await startTestServer();
+  t.after(() => srv.stop());
+  const owner = await srv.connect();
+  const { data: { roomId } } = await owner.request("create_public_and_submit", { theme: "x", dataUrl: PNG_1PX });
+  const bin = await binaryClient(srv);
+  const j = await bin.request("join_by_id", { roomId });
+  const blue = Buffer.from(pngDataUrl(1, 1, () => [0, 0, 255, 255]).split(",")[1], "base64");
+  bin.sendBinary("submit_frame", { roomId, frameIndex: j.data.assignedFrame, reservationToken: j.data.reservationToken, mime: "image/png" }, blue, { reqId: "s1" });
+  assert.equal((await bin.next(m => m.reqId === "s1")).t, "submitted");
+  const g = await owner.request("get_frame", { roomId, frameIndex: j.data.assignedFrame });
+  assert.deepEqual(Buffer.from(g.data.dataUrl.split(",")[1], "base64"), blue);
+});
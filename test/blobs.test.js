@@ -0,0 +1,39 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestServer, PNG_1PX, pngDataUrl } = require("./helpers");
+
+const blobKeys = (store) => store.listDeep("blobs");
+
+test("frames live in the blob store under their hash; identical images are stored once", async (t) => {
+  const srv = await startTestServer();
+  t.after(() => srv.stop());
+  const a = await srv.connect();
+  const { data: { roomId: r1 } } = await a.request("create_public_and_submit", { theme: "x", dataUrl: PNG_1PX });
+  const { data: { roomId: r2 } } = await a.request("create_public_and_submit", { theme: "y", dataUrl: PNG_1PX });
+
+  const doc = JSON.parse(String(srv.app.store.read("rooms/" + r1 + ".json")));
+  assert.equal(String(srv.app.store.read("rooms/" + r1 + ".json")).includes("data:image"), false);
+  const ref = doc.frameBlobs[0];
+  assert.match(ref, /^[0-9a-f]{64}\.png$/);
+  assert.deepEqual(blobKeys(srv.app.store), ["blobs/" + ref.slice(0, 2) + "/" + ref]);
+  assert.equal(JSON.parse(String(srv.app.store.read("rooms/" + r2 + ".json"))).frameBlobs[0], ref);
+
+  const other = pngDataUrl(1, 1, () => [0, 255, 0, 255]);
+  await a.request("create_public_and_submit", { theme: "z", dataUrl: other });
+  assert.equal(blobKeys(srv.app.store).length, 2);
+});
+
+test("a room file with embedded dataUrls is moved to blobs the first time it is loaded", async (t) => {
+  const srv = await startTestServer();
+  t.after(() => srv.stop());
+  const frames = Array.from({ length: 30 }, (_, i) => (i === 0) ? PNG_1PX : null);
+  srv.app.store.write("rooms/LEGACY2.json", JSON.stringify({ roomId: "LEGACY2", theme: "old", frames, committed: frames.map(Boolean), createdAt: 1, updatedAt: 2, phase: "DRAWING", reservations: [] }));
+
+  const a = await srv.connect();
+  const f = await a.request("get_frame", { roomId: "LEGACY2", frameIndex: 0 });
+  assert.equal(f.data.dataUrl, PNG_1PX);
+  const doc = JSON.parse(String(srv.app.store.read("rooms/LEGACY2.json")));
+  assert.equal(doc.frames, undefined);
+  assert.match(doc.frameBlobs[0], /^[0-9a-f]{64}\.png$/);
+  assert.equal(blobKeys(srv.app.store).length, 1);
+});
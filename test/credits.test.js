@@ -0,0 +1,65 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestServer, PNG_1PX } = require("./helpers");
+
+const SECRET_A = "a".repeat(16) + "-secret";
+const SECRET_B = "b".repeat(16) + "_secret";
+
+test("frames record an anonymous contributor ID, nickname and commit time; roomState lists credits", async (t) => {
+  const srv = await startTestServer();
+  t.after(() => srv.stop());
+  const a = await srv.connect();
+  const welcome = await a.request("hello", { contributorSecret: SECRET_A, nickname: "  Ann\u0007 " });
+  const idA = welcome.data.contributorId;
+  assert.match(idA, /^u_[0-9a-f]{16}$/);
+  const t0 = srv.clock.now();
+  const { data: { roomId } } = await a.request("create_public_and_submit", { theme: "x", dataUrl: PNG_1PX });
+
+  const b = await srv.connect();
+  srv.clock.advance(1000);
+  const j = await b.request("join_by_id", { roomId });
+  const committed = b.next("frame_committed");
+  await b.request("submit_frame", { roomId, frameIndex: j.data.assignedFrame, reservationToken: j.data.reservationToken, dataUrl: PNG_1PX, contributorSecret: SECRET_B, nickname: "Bo" });
+  const ev = await committed;
+  assert.equal(ev.data.nickname, "Bo");
+  assert.equal(ev.data.committedAt, t0 + 1000);
+
+  const c = await srv.connect();
+  const j2 = await c.request("join_by_id", { roomId });
+  await c.request("submit_frame", { roomId, frameIndex: j2.data.assignedFrame, reservationToken: j2.data.reservationToken, dataUrl: PNG_1PX });
+
+  const state = await (await fetch(srv.base + "/api/rooms/" + roomId)).json();
+  assert.deepEqual(state.committedAt.slice(0, 4), [t0, t0 + 1000, t0 + 1000, null]);
+  assert.deepEqual(state.credits, [
+    { contributorId: idA, nickname: "Ann", frames: [0], firstCommittedAt: t0 },
+    { contributorId: ev.data.contributorId, nickname: "Bo", frames: [1], firstCommittedAt: t0 + 1000 },
+    { contributorId: null, nickname: null, frames: [2], firstCommittedAt: t0 + 1000 },
+  ]);
+
+  // the same secret always maps to the same ID; the secret itself is never stored
+  const again = await srv.connect();
+  assert.equal((await again.request("hello", { contributorSecret: SECRET_A })).data.contributorId, idA);
+  const raw = String(srv.app.store.read("rooms/" + roomId + ".json"));
+  assert.equal(raw.includes(SECRET_A) || raw.includes(SECRET_B) || raw.includes("127.0.0.1"), false);
+});
+
+test("a malformed contributorSecret on a commit is refused", async (t) => {
+  const srv = await startTestServer();
+  t.after(() => srv.stop());
+  const a = await srv.connect();
+  const r = await a.request("create_public_and_submit", { theme: "x", dataUrl: PNG_1PX, contributorSecret: "short" });
+  assert.equal(r.data.code, "INVALID_CONTRIBUTOR_SECRET");
+  // hello ignores it instead, and says so
+  assert.equal((await a.request("hello", { contributorSecret: "short" })).data.contributorId, null);
+});
+
+test("CONTRIBUTOR_ID_SALT changes the derived IDs", async (t) => {
+  const ids = [];
+  for (const salt of ["one", "two"]){
+    const srv = await startTestServer({ config: { CONTRIBUTOR_ID_SALT: salt } });
+    t.after(() => srv.stop());
+    const a = await srv.connect();
+    ids.push((await a.request("hello", { contributorSecret: SECRET_A })).data.contributorId);
+  }
+  assert.notEqual(ids[0], ids[1]);
+});
@@ -0,0 +1,112 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestServer, pngDataUrl, completeRoom } = require("./helpers");
+
+const COLORS = [[255, 0, 0], [0, 160, 0], [0, 0, 255], [255, 200, 0]];
+const frameAt = (i) => pngDataUrl(8, 6, (x) => x < 4 ? COLORS[i % COLORS.length].concat(255) : [0, 0, 0, 0]);
+
+// walk the GIF block structure -> {width, height, palette, frames, delays}
+function readGif(buf){
+  assert.equal(buf.toString("latin1", 0, 6), "GIF89a");
+  const width = buf.readUInt16LE(6), height = buf.readUInt16LE(8);
+  let off = 13;
+  const paletteSize = (buf[10] & 0x80) ? 3 * (2 << (buf[10] & 7)) : 0;
+  const palette = buf.subarray(off, off + paletteSize);
+  off += paletteSize;
+  const skipSubBlocks = () => { while (buf[off] !== 0) off += buf[off] + 1; off++; };
+  const delays = [];
+  let frames = 0;
+  for (;;){
+    const b = buf[off++];
+    if (b === 0x3B) break;
+    if (b === 0x21){
+      const label = buf[off++];
+      if (label === 0xF9) delays.push(buf.readUInt16LE(off + 2));
+      skipSubBlocks();
+    }else if (b === 0x2C){
+      const packed = buf[off + 8];
+      off += 9 + ((packed & 0x80) ? 3 * (2 << (packed & 7)) : 0) + 1;
+      skipSubBlocks();
+      frames++;
+    }else{
+      throw new Error("bad GIF block 0x" + b.toString(16));
+    }
+  }
+  assert.equal(off, buf.length);
+  return { width, height, palette, frames, delays };
+}
+
+function readPngChunks(buf){
+  const out = [];
+  for (let off = 8; off < buf.length; ){
+    const len = buf.readUInt32BE(off);
+    out.push({ type: buf.toString("latin1", off + 4, off + 8), data: buf.subarray(off + 8, off + 8 + len) });
+    off += 12 + len;
+  }
+  return out;
+}
+
+async function completedRoom(t, config){
+  const srv = await startTestServer({ config });
+  t.after(() => srv.stop());
+  const a = await srv.connect();
+  const created = await completeRoom(a, { theme: "colors", template: "short", dataUrl: frameAt(0) }, frameAt);
+  return { srv, roomId: created.data.roomId, frameCount: created.data.frameCount, fps: created.data.fps };
+}
+
+test("GIF export: every frame, timed by the room's fps, with the frame colors in the palette", async (t) => {
+  const { srv, roomId, frameCount, fps } = await completedRoom(t);
+  const res = await fetch(srv.base + "/api/rooms/" + roomId + "/anim.gif");
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("content-type"), "image/gif");
+  const gif = readGif(Buffer.from(await res.arrayBuffer()));
+  assert.equal(gif.width, 8);
+  assert.equal(gif.height, 6);
+  assert.equal(gif.frames, frameCount);
+  assert.equal(gif.delays.reduce((a, b) => a + b, 0), Math.round(frameCount * 100 / fps));
+  const colors = new Set();
+  for (let i=0;i<gif.palette.length;i+=3) colors.add(gif.palette.subarray(i, i + 3).join(","));
+  for (const c of COLORS) assert.ok(colors.has(c.join(",")), c.join(","));
+  assert.ok(colors.has("255,255,255"), "transparent pixels flattened onto the white background");
+});
+
+test("APNG export: acTL frame count and per-frame delay of 1/fps", async (t) => {
+  const { srv, roomId, frameCount, fps } = await completedRoom(t);
+  const res = await fetch(srv.base + "/api/rooms/" + roomId + "/anim.apng");
+  assert.equal(res.status, 200);
+  const chunks = readPngChunks(Buffer.from(await res.arrayBuffer()));
+  const actl = chunks.find(c => c.type === "acTL");
+  assert.equal(actl.data.readUInt32BE(0), frameCount);
+  const fctl = chunks.filter(c => c.type === "fcTL");
+  assert.equal(fctl.length, frameCount);
+  assert.equal(fctl[0].data.readUInt16BE(20), 1);
+  assert.equal(fctl[0].data.readUInt16BE(22), fps);
+  assert.equal(chunks.filter(c => c.type === "fdAT").length, frameCount - 1);
+});
+
+test("renders run once: concurrent requests share a render and later ones hit the cache", async (t) => {
+  const { srv, roomId } = await completedRoom(t);
+  const url = srv.base + "/api/rooms/" + roomId + "/anim.gif";
+  const bodies = await Promise.all([fetch(url), fetch(url)].map(p => p.then(r => r.arrayBuffer())));
+  assert.deepEqual(Buffer.from(bodies[0]), Buffer.from(bodies[1]));
+  const again = Buffer.from(await (await fetch(url)).arrayBuffer());
+  assert.deepEqual(again, Buffer.from(bodies[0]));
+  const metrics = await (await fetch(srv.base + "/metrics")).text();
+  assert.match(metrics, /name="anim_render_total"} 1\n/);
+  assert.match(metrics, /name="anim_cache_hit_total"} 1\n/);
+});
+
+test("a completed public room is rendered ahead of the first request", async (t) => {
+  const { srv, roomId } = await completedRoom(t, { ANIM_PRERENDER: "1" });
+  const key = "rooms/" + roomId + ".anim.apng";
+  for (let i=0;i<100 && !srv.app.store.exists(key);i++) await new Promise(r => setTimeout(r, 50));
+  assert.ok(srv.app.store.exists(key));
+});
+
+test("an unfinished room has no animation yet", async (t) => {
+  const srv = await startTestServer();
+  t.after(() => srv.stop());
+  const a = await srv.connect();
+  const { data: { roomId } } = await a.request("create_public_and_submit", { theme: "x", dataUrl: frameAt(0) });
+  assert.equal((await fetch(srv.base + "/api/rooms/" + roomId + "/anim.gif")).status, 409);
+});
@@ -0,0 +1,44 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestServer, PNG_1PX } = require("./helpers");
+
+test("every error carries a code and a retryable flag; Japanese text by default", async (t) => {
+  const srv = await startTestServer();
+  t.after(() => srv.stop());
+  const a = await srv.connect();
+  const notFound = await a.request("join_by_id", { roomId: "ZZZZZZZ" });
+  assert.equal(notFound.t, "error");
+  assert.deepEqual(notFound.data, { code: "ROOM_NOT_FOUND", message: "部屋が見つからない", retryable: false });
+
+  const unknown = await a.request("no_such_type", {});
+  assert.equal(unknown.data.code, "UNKNOWN_TYPE");
+  assert.equal(unknown.data.retryable, false);
+});
+
+test("hello {locale} picks the message language; codes stay the same", async (t) => {
+  const srv = await startTestServer();
+  t.after(() => srv.stop());
+  const owner = await srv.connect();
+  const { data: { roomId } } = await owner.request("create_public_and_submit", { theme: "x", dataUrl: PNG_1PX });
+
+  const en = await srv.connect();
+  assert.equal((await en.request("hello", { locale: "en-US" })).data.locale, "en");
+  const j = await en.request("join_by_id", { roomId });
+  const wrong = await en.request("submit_frame", { roomId, frameIndex: j.data.assignedFrame, reservationToken: "nope", dataUrl: PNG_1PX });
+  assert.equal(wrong.data.code, "RESERVATION_EXPIRED");
+  assert.equal(wrong.data.message, "Reservation is invalid or expired.");
+
+  const other = await srv.connect();
+  assert.equal((await other.request("hello", { locale: "fr" })).data.locale, "ja");
+});
+
+test("RATE_LIMIT is retryable and says how long to wait", async (t) => {
+  const srv = await startTestServer({ config: { RATE_LIMITS: { join_by_id: { windowMs: 10_000, max: 1 } } } });
+  t.after(() => srv.stop());
+  const a = await srv.connect();
+  await a.request("join_by_id", { roomId: "ZZZZZZZ" });
+  const limited = await a.request("join_by_id", { roomId: "ZZZZZZZ" });
+  assert.equal(limited.data.code, "RATE_LIMIT");
+  assert.equal(limited.data.retryable, true);
+  assert.equal(limited.data.retryAfterMs, 10_000);
+});
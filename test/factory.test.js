@@ -0,0 +1,67 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createAnim5sServer } = require("../server.cjs");
+const { createTestApp, startTestServer, fakeClock, PNG_1PX } = require("./helpers");
+
+test("creating an instance does not listen or schedule anything", () => {
+  let scheduled = 0;
+  const clock = Object.assign(fakeClock(), { setInterval(){ scheduled++; return 0; }, clearInterval(){} });
+  const app = createAnim5sServer({ clock, config: { STORAGE_BACKEND: "memory" }, log: () => {} });
+  assert.equal(app.server.listening, false);
+  assert.equal(scheduled, 0);
+});
+
+test("start(0) picks a free port, timers go through the injected clock, stop() clears them", async () => {
+  const handles = new Set();
+  let next = 0;
+  const clock = Object.assign(fakeClock(), {
+    setInterval(){ handles.add(++next); return next; },
+    clearInterval(h){ handles.delete(h); },
+  });
+  const { app } = createTestApp({ clock });
+  const { port } = await app.start(0, "127.0.0.1");
+  assert.ok(port > 0);
+  assert.ok(handles.size > 0);
+  await app.stop();
+  assert.equal(handles.size, 0);
+  assert.equal(app.server.listening, false);
+});
+
+test("two instances keep separate config and data", async (t) => {
+  const a = await startTestServer();
+  const b = await startTestServer({ config: { FRAME_COUNT: 8 } });
+  t.after(() => Promise.all([a.stop(), b.stop()]));
+  const ca = await a.connect();
+  const cb = await b.connect();
+  assert.equal((await ca.request("create_public_and_submit", { theme: "a", dataUrl: PNG_1PX })).data.frameCount, 30);
+  assert.equal((await cb.request("create_public_and_submit", { theme: "b", dataUrl: PNG_1PX })).data.frameCount, 8);
+  assert.equal(a.app.store.listRoomIds().length, 1);
+  assert.equal(b.app.store.listRoomIds().length, 1);
+});
+
+test("reservations expire on the fake clock, no waiting", async (t) => {
+  const srv = await startTestServer({ config: { RESERVATION_MS: 1000 } });
+  t.after(() => srv.stop());
+  const a = await srv.connect();
+  const { data: { roomId } } = await a.request("create_public_and_submit", { theme: "x", dataUrl: PNG_1PX });
+  const j = await a.request("join_by_id", { roomId });
+  const status = () => a.request("reservation_status", { roomId, reservationToken: j.data.reservationToken });
+  assert.equal((await status()).data.valid, true);
+  srv.clock.advance(1001);
+  assert.equal((await status()).data.valid, false);
+});
+
+test("a new instance on the same store sees the earlier instance's rooms", async () => {
+  const first = await startTestServer();
+  const c = await first.connect();
+  const { data: { roomId } } = await c.request("create_public_and_submit", { theme: "persist", dataUrl: PNG_1PX });
+  await first.stop();
+  const again = await startTestServer({ store: first.app.store });
+  try{
+    const res = await fetch(again.base + "/api/rooms/" + roomId);
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).theme, "persist");
+  }finally{
+    await again.stop();
+  }
+});
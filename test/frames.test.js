@@ -0,0 +1,49 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestServer, PNG_1PX, pngDataUrl } = require("./helpers");
+
+async function roomWithTwoFrames(t, config){
+  const srv = await startTestServer({ config });
+  t.after(() => srv.stop());
+  const a = await srv.connect();
+  const { data: { roomId } } = await a.request("create_public_and_submit", { theme: "x", dataUrl: PNG_1PX });
+  const j = await a.request("join_by_id", { roomId });
+  await a.request("submit_frame", { roomId, frameIndex: j.data.assignedFrame, reservationToken: j.data.reservationToken, dataUrl: pngDataUrl(1, 1, () => [0, 0, 255, 255]) });
+  return { srv, a, roomId };
+}
+
+test("get_frames returns committed frames with versions and marks the rest empty", async (t) => {
+  const { a, roomId } = await roomWithTwoFrames(t);
+  const r = await a.request("get_frames", { roomId, from: 0, to: 2 });
+  assert.equal(r.t, "frames_data");
+  assert.deepEqual(r.data.frames.map(f => f.state), ["committed", "committed", "empty"]);
+  assert.equal(r.data.frames[0].dataUrl, PNG_1PX);
+  assert.match(r.data.frames[0].version, /^[0-9a-f]{16}$/);
+  assert.notEqual(r.data.frames[0].version, r.data.frames[1].version);
+  assert.deepEqual(r.data.pending, []);
+
+  const picked = await a.request("get_frames", { roomId, frameIndices: [2, 0] });
+  assert.deepEqual(picked.data.frames.map(f => f.frameIndex), [2, 0]);
+});
+
+test("get_frames skips frames whose version the client already has", async (t) => {
+  const { a, roomId } = await roomWithTwoFrames(t);
+  const first = await a.request("get_frames", { roomId, frameIndices: [0, 1] });
+  const have = { 0: first.data.frames[0].version, 1: "stale" };
+  const again = await a.request("get_frames", { roomId, frameIndices: [0, 1], have });
+  assert.deepEqual(again.data.frames[0], { frameIndex: 0, state: "unchanged", version: have[0] });
+  assert.equal(again.data.frames[1].state, "committed");
+  assert.ok(again.data.frames[1].dataUrl);
+});
+
+test("get_frames rejects bad selections and leaves frames over the byte budget pending", async (t) => {
+  const { a, roomId } = await roomWithTwoFrames(t, { GET_FRAMES_MAX_BYTES: 1 });
+  assert.equal((await a.request("get_frames", { roomId, frameIndices: [0, 0] })).data.code, "INVALID_FRAME_INDEX");
+  assert.equal((await a.request("get_frames", { roomId, from: 3, to: 1 })).data.code, "INVALID_FRAME_INDEX");
+  assert.equal((await a.request("get_frames", { roomId: "ZZZZZZZ" })).data.code, "ROOM_NOT_FOUND");
+
+  // the first changed frame always goes out, the next one waits for another request
+  const r = await a.request("get_frames", { roomId, frameIndices: [0, 1] });
+  assert.deepEqual(r.data.frames.map(f => f.frameIndex), [0]);
+  assert.deepEqual(r.data.pending, [1]);
+});
@@ -0,0 +1,33 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { roomWithBackup, backupDirs } = require("./helpers");
+
+test("fsck: finds a missing blob and an unreadable room, and repairs both", async (t) => {
+  const { srv, roomKey } = await roomWithBackup(t);
+  const app = srv.app;
+  const ref = JSON.parse(String(app.store.read(roomKey))).frameBlobs[0];
+  app.store.remove("blobs/" + ref.slice(0, 2) + "/" + ref);
+  app.store.write("rooms/BROKEN1.json", "{not json");
+  srv.clock.advance(60 * 60 * 1000); // past FSCK_GRACE_MS
+
+  const report = app.fsck();
+  assert.equal(report.ok, false);
+  assert.equal(report.summary.missing_blob, 1);
+  assert.equal(report.summary.unparsable_json, 1);
+  assert.ok(app.store.exists("rooms/BROKEN1.json"), "report-only run changes nothing");
+
+  const repaired = app.fsck({ repair: true });
+  assert.ok(repaired.issues.filter(i => i.kind === "missing_blob" || i.kind === "unparsable_json").every(i => i.repaired));
+  assert.ok(app.store.exists("blobs/" + ref.slice(0, 2) + "/" + ref));
+  assert.equal(app.store.exists("rooms/BROKEN1.json"), false);
+  assert.ok(app.store.listDeep("archive/corrupt").length >= 1);
+});
+
+test("fsck: a tampered backup is reported", async (t) => {
+  const { srv, roomId } = await roomWithBackup(t);
+  const [dir] = backupDirs(srv.app.store);
+  srv.app.store.write("backups/" + dir + "/" + roomId + ".json", "{}");
+  srv.clock.advance(60 * 60 * 1000);
+  const report = srv.app.fsck();
+  assert.equal(report.summary.backup_corrupt, 1);
+});
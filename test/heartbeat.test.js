@@ -0,0 +1,45 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestServer, PNG_1PX } = require("./helpers");
+
+const counter = async (srv, name) => {
+  const text = await (await fetch(srv.base + "/metrics")).text();
+  const m = new RegExp('anim5s_counter_total\\{name="' + name + '"\\} (\\d+)').exec(text);
+  return m ? Number(m[1]) : 0;
+};
+
+test("a socket that stops answering pings is terminated; a live one stays", async (t) => {
+  const srv = await startTestServer({ config: { WS_PING_INTERVAL_MS: 30_000, WS_PONG_TIMEOUT_MS: 10_000 } });
+  t.after(() => srv.stop());
+  const alive = await srv.connect();
+  const dead = await srv.connect();
+  dead.ws._socket.pause(); // never reads the ping, so never pongs
+  t.after(() => dead.ws._socket.resume());
+
+  srv.clock.tick(30_000);
+  // the ping reaches `alive` before the first reply, its pong reaches the server before the second request
+  await alive.request("hello", {});
+  await alive.request("hello", {});
+  srv.clock.tick(15_000);
+  await alive.request("hello", {});
+
+  assert.equal(srv.app.wss.clients.size, 1);
+  assert.equal(await counter(srv, "ws_heartbeat_terminated_total"), 1);
+});
+
+test("frame payloads are refused with BACKPRESSURE while the socket's send buffer is full", async (t) => {
+  const srv = await startTestServer({ config: { WS_MAX_BUFFERED_BYTES: 1000 } });
+  t.after(() => srv.stop());
+  const a = await srv.connect();
+  const { data: { roomId } } = await a.request("create_public_and_submit", { theme: "x", dataUrl: PNG_1PX });
+  const [server] = srv.app.wss.clients;
+  Object.defineProperty(server, "bufferedAmount", { value: 1000, configurable: true });
+
+  const refused = await a.request("get_frame", { roomId, frameIndex: 0 });
+  assert.equal(refused.data.code, "BACKPRESSURE");
+  assert.equal(refused.data.retryable, true);
+  assert.equal((await a.request("get_frames", { roomId })).data.code, "BACKPRESSURE");
+
+  delete server.bufferedAmount;
+  assert.equal((await a.request("get_frame", { roomId, frameIndex: 0 })).t, "frame_data");
+});
@@ -0,0 +1,194 @@
+// Shared setup for the node:test suite: in-process servers on the memory backend with a fake clock,
+// a small WebSocket client that matches replies by reqId (binary messages arrive as their JSON header
+// plus `bytes`), and a PNG writer for test frames.
+const zlib = require("zlib");
+const WebSocket = require("ws");
+const { createAnim5sServer } = require("../server.cjs");
+
+// time only moves when a test says so: advance(ms) moves it without running the server's timers,
+// tick(ms) also runs every interval that comes due on the way (in due order)
+function fakeClock(start){
+  let t = start ?? Date.UTC(2026, 0, 1);
+  const intervals = new Set();
+  return {
+    now: () => t,
+    advance(ms){ t += ms; },
+    tick(ms){
+      const end = t + ms;
+      for (;;){
+        let next = null;
+        for (const iv of intervals){
+          if (iv.due <= end && (!next || iv.due < next.due)) next = iv;
+        }
+        if (!next) break;
+        t = next.due;
+        next.due += next.ms;
+        next.fn();
+      }
+      t = end;
+    },
+    setInterval(fn, ms){
+      const iv = { fn, ms, due: t + ms };
+      intervals.add(iv);
+      return iv;
+    },
+    clearInterval(iv){ intervals.delete(iv); },
+  };
+}
+
+// rate limits never reset under a frozen clock, so tests run with generous ones
+const OPS = ["hello", "get_frame", "get_frames", "join_room", "resync", "join_random", "join_by_id", "create_public_and_submit",
+  "submit_frame", "list_public_completed", "gif_saved", "http_api", "extend_reservation", "cancel_reservation",
+  "reservation_status", "list_free_frames", "publish_room", "owner_update_room", "owner_delete_room"];
+const RATE_LIMITS = Object.fromEntries(OPS.map(op => [op, { windowMs: 60_000, max: 10_000 }]));
+
+function createTestApp(opts){
+  const clock = opts?.clock || fakeClock();
+  const config = Object.assign({ STORAGE_BACKEND: "memory", RATE_LIMITS, ANIM_PRERENDER: "0" }, opts?.config);
+  const app = createAnim5sServer({ clock, config, store: opts?.store, log: opts?.log || (() => {}) });
+  return { app, clock };
+}
+
+async function startTestServer(opts){
+  const { app, clock } = createTestApp(opts);
+  const { port } = await app.start(0, "127.0.0.1");
+  const clients = [];
+  return {
+    app,
+    clock,
+    port,
+    base: "http://127.0.0.1:" + port,
+    async connect(){
+      const c = await connect(port);
+      clients.push(c);
+      return c;
+    },
+    async stop(){
+      for (const c of clients) c.close();
+      await app.stop();
+    },
+  };
+}
+
+function connect(port){
+  const ws = new WebSocket("ws://127.0.0.1:" + port + "/ws");
+  const queue = [];
+  const waiters = [];
+  let seq = 0;
+  ws.on("message", (buf, isBinary) => {
+    const m = isBinary ? decodeBinary(buf) : JSON.parse(String(buf));
+    const i = waiters.findIndex(w => w.pred(m));
+    if (i >= 0) waiters.splice(i, 1)[0].resolve(m);
+    else queue.push(m);
+  });
+  const client = {
+    ws,
+    queue,
+    send(t, data, extra){ ws.send(JSON.stringify(Object.assign({ v: 1, t, data: data || {} }, extra))); },
+    // [uint32 BE header length][JSON header][image bytes], as the server's binary transport expects
+    sendBinary(t, data, bytes, extra){
+      const header = Buffer.from(JSON.stringify(Object.assign({ v: 1, t, data: data || {} }, extra)));
+      const len = Buffer.alloc(4);
+      len.writeUInt32BE(header.length, 0);
+      ws.send(Buffer.concat([len, header, bytes]), { binary: true });
+    },
+    // next message matching pred (a type name or a function)
+    next(pred, ms){
+      const match = (typeof pred === "string") ? (m) => m.t === pred : pred;
+      const i = queue.findIndex(match);
+      if (i >= 0) return Promise.resolve(queue.splice(i, 1)[0]);
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          waiters.splice(waiters.indexOf(w), 1);
+          reject(new Error("no matching message; queued: " + queue.map(m => m.t).join(",")));
+        }, ms || 5000);
+        const w = { pred: match, resolve: (m) => { clearTimeout(timer); resolve(m); } };
+        waiters.push(w);
+      });
+    },
+    // send with a fresh reqId and resolve with the direct reply
+    request(t, data){
+      const reqId = "r" + (++seq);
+      client.send(t, data, { reqId });
+      return client.next(m => m.reqId === reqId);
+    },
+    close(){ ws.close(); },
+  };
+  return new Promise((resolve, reject) => {
+    ws.once("open", () => resolve(client));
+    ws.once("error", reject);
+  });
+}
+
+function decodeBinary(buf){
+  const len = buf.readUInt32BE(0);
+  return Object.assign(JSON.parse(String(buf.subarray(4, 4 + len))), { bytes: buf.subarray(4 + len) });
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k=0;k<8;k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+  return c >>> 0;
+});
+
+function chunk(type, data){
+  const body = Buffer.concat([Buffer.from(type, "latin1"), data]);
+  let c = 0xFFFFFFFF;
+  for (const b of body) c = CRC_TABLE[(c ^ b) & 0xFF] ^ (c >>> 8);
+  const out = Buffer.alloc(body.length + 8);
+  out.writeUInt32BE(data.length, 0);
+  body.copy(out, 4);
+  out.writeUInt32BE((c ^ 0xFFFFFFFF) >>> 0, body.length + 4);
+  return out;
+}
+
+// RGBA PNG data URL; pixel(x, y) -> [r, g, b, a]
+function pngDataUrl(width, height, pixel){
+  const rows = Buffer.alloc(height * (width * 4 + 1));
+  for (let y=0;y<height;y++){
+    for (let x=0;x<width;x++) Buffer.from(pixel(x, y)).copy(rows, y * (width * 4 + 1) + 1 + x * 4);
+  }
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8; ihdr[9] = 6;
+  const png = Buffer.concat([
+    Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]),
+    chunk("IHDR", ihdr), chunk("IDAT", zlib.deflateSync(rows)), chunk("IEND", Buffer.alloc(0)),
+  ]);
+  return "data:image/png;base64," + png.toString("base64");
+}
+
+const PNG_1PX = pngDataUrl(1, 1, () => [255, 0, 0, 255]);
+
+// create a room and fill every remaining frame through the normal join/submit flow
+async function completeRoom(client, createData, frameAt){
+  const created = await client.request("create_public_and_submit", createData);
+  const { roomId, frameCount } = created.data;
+  for (let i=1;i<frameCount;i++){
+    const j = await client.request("join_by_id", { roomId });
+    const idx = j.data.assignedFrame;
+    const r = await client.request("submit_frame", { roomId, frameIndex: idx, reservationToken: j.data.reservationToken, dataUrl: frameAt ? frameAt(idx) : createData.dataUrl });
+    if (r.t !== "submitted") throw new Error("submit failed: " + JSON.stringify(r.data));
+  }
+  return created;
+}
+
+// one room with frame 0 committed, backed up, then frame 1 committed after the backup
+async function roomWithBackup(t){
+  const srv = await startTestServer();
+  t.after(() => srv.stop());
+  const a = await srv.connect();
+  const { data: { roomId } } = await a.request("create_public_and_submit", { theme: "x", dataUrl: PNG_1PX });
+  srv.app.backup({ force: true });
+  srv.clock.advance(60_000);
+  const j = await a.request("join_by_id", { roomId });
+  await a.request("submit_frame", { roomId, frameIndex: j.data.assignedFrame, reservationToken: j.data.reservationToken, dataUrl: pngDataUrl(1, 1, () => [0, 0, 255, 255]) });
+  return { srv, a, roomId, roomKey: "rooms/" + roomId + ".json" };
+}
+
+function backupDirs(store){
+  return store.list("backups").filter(name => store.exists("backups/" + name + "/manifest.json"));
+}
+
+module.exports = { fakeClock, createTestApp, startTestServer, connect, pngDataUrl, PNG_1PX, completeRoom, roomWithBackup, backupDirs };
@@ -0,0 +1,103 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestServer, PNG_1PX, pngDataUrl } = require("./helpers");
+
+test("create_public_and_submit: a retry gets the original room and owner token", async (t) => {
+  const srv = await startTestServer();
+  t.after(() => srv.stop());
+  const a = await srv.connect();
+  const req = { theme: "retry", dataUrl: PNG_1PX, idempotencyKey: "create-0001" };
+  const first = await a.request("create_public_and_submit", req);
+  const again = await a.request("create_public_and_submit", req);
+  assert.equal(first.t, "created_public");
+  assert.equal(again.t, "created_public");
+  assert.equal(again.data.roomId, first.data.roomId);
+  assert.equal(again.data.ownerToken, first.data.ownerToken);
+  assert.equal(srv.app.store.listRoomIds().length, 1);
+});
+
+test("create_public_and_submit: reusing a key for a different request is a conflict", async (t) => {
+  const srv = await startTestServer();
+  t.after(() => srv.stop());
+  const a = await srv.connect();
+  await a.request("create_public_and_submit", { theme: "one", dataUrl: PNG_1PX, idempotencyKey: "create-0002" });
+  for (const change of [{ theme: "two" }, { visibility: "invite", passphrase: "open sesame" }, { dataUrl: pngDataUrl(1, 1, () => [0, 0, 255, 255]) }]){
+    const r = await a.request("create_public_and_submit", Object.assign({ theme: "one", dataUrl: PNG_1PX, idempotencyKey: "create-0002" }, change));
+    assert.equal(r.data.code, "IDEMPOTENCY_CONFLICT", JSON.stringify(change));
+  }
+});
+
+test("idempotency keys are scoped to the caller: another client never gets the creator's reply", async (t) => {
+  const srv = await startTestServer();
+  t.after(() => srv.stop());
+  const a = await srv.connect();
+  const b = await srv.connect();
+  const req = { theme: "mine", dataUrl: PNG_1PX, idempotencyKey: "shared-key-01" };
+  const mine = await a.request("create_public_and_submit", req);
+  const theirs = await b.request("create_public_and_submit", req);
+  assert.equal(theirs.t, "created_public");
+  assert.notEqual(theirs.data.roomId, mine.data.roomId);
+  assert.notEqual(theirs.data.ownerToken, mine.data.ownerToken);
+  // and b's token does not open a's room
+  const r = await b.request("owner_update_room", { roomId: mine.data.roomId, ownerToken: theirs.data.ownerToken, theme: "stolen" });
+  assert.equal(r.data.code, "NOT_OWNER");
+});
+
+test("idempotency keys survive a reconnect through the session", async (t) => {
+  const srv = await startTestServer();
+  t.after(() => srv.stop());
+  const a = await srv.connect();
+  const { data: { sessionToken } } = await a.request("hello", {});
+  const req = { theme: "reconnect", dataUrl: PNG_1PX, idempotencyKey: "create-0003" };
+  const first = await a.request("create_public_and_submit", req);
+  a.close();
+  const a2 = await srv.connect();
+  await a2.request("hello", { sessionToken });
+  const again = await a2.request("create_public_and_submit", req);
+  assert.equal(again.data.roomId, first.data.roomId);
+  assert.equal(again.data.ownerToken, first.data.ownerToken);
+});
+
+test("submit_frame: a retry is acknowledged once, another frame with the same key conflicts", async (t) => {
+  const srv = await startTestServer();
+  t.after(() => srv.stop());
+  const a = await srv.connect();
+  const { data: { roomId } } = await a.request("create_public_and_submit", { theme: "x", dataUrl: PNG_1PX });
+  const j = await a.request("join_by_id", { roomId });
+  const sub = { roomId, frameIndex: j.data.assignedFrame, reservationToken: j.data.reservationToken, dataUrl: PNG_1PX, idempotencyKey: "submit-0001" };
+  const first = await a.request("submit_frame", sub);
+  const again = await a.request("submit_frame", sub);
+  assert.equal(first.t, "submitted");
+  assert.deepEqual(again.data, first.data);
+  const other = await a.request("submit_frame", Object.assign({}, sub, { frameIndex: (sub.frameIndex + 1) % 30 }));
+  assert.equal(other.data.code, "IDEMPOTENCY_CONFLICT");
+});
+
+test("submit_frame: the same key with a different image is a conflict, not a silent replay", async (t) => {
+  const srv = await startTestServer();
+  t.after(() => srv.stop());
+  const a = await srv.connect();
+  const { data: { roomId } } = await a.request("create_public_and_submit", { theme: "x", dataUrl: PNG_1PX });
+  const j = await a.request("join_by_id", { roomId });
+  const sub = { roomId, frameIndex: j.data.assignedFrame, reservationToken: j.data.reservationToken, dataUrl: PNG_1PX, idempotencyKey: "submit-0002" };
+  assert.equal((await a.request("submit_frame", sub)).t, "submitted");
+  const other = await a.request("submit_frame", Object.assign({}, sub, { dataUrl: pngDataUrl(1, 1, () => [0, 0, 255, 255]) }));
+  assert.equal(other.data.code, "IDEMPOTENCY_CONFLICT");
+});
+
+test("submit_frame: the retry of the completing frame still replays, a quarantined room does not", async (t) => {
+  const srv = await startTestServer({ config: { FRAME_COUNT: 2 } });
+  t.after(() => srv.stop());
+  const a = await srv.connect();
+  const { data: { roomId } } = await a.request("create_public_and_submit", { theme: "x", dataUrl: PNG_1PX });
+  const j = await a.request("join_by_id", { roomId });
+  const sub = { roomId, frameIndex: j.data.assignedFrame, reservationToken: j.data.reservationToken, dataUrl: PNG_1PX, idempotencyKey: "submit-0003" };
+  const first = await a.request("submit_frame", sub);
+  assert.equal((await a.request("join_by_id", { roomId })).data.code, "ROOM_COMPLETED");
+  const again = await a.request("submit_frame", sub);
+  assert.equal(again.t, "submitted");
+  assert.deepEqual(again.data, first.data);
+
+  await fetch(srv.base + "/admin/quarantine?roomId=" + roomId + "&mode=on");
+  assert.equal((await a.request("submit_frame", sub)).data.code, "ROOM_NOT_FOUND");
+});
@@ -0,0 +1,123 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestServer, PNG_1PX, pngDataUrl } = require("./helpers");
+
+function riff(chunks){
+  const body = Buffer.concat(chunks.map(([type, data]) => {
+    const head = Buffer.alloc(8);
+    head.write(type, 0, "latin1");
+    head.writeUInt32LE(data.length, 4);
+    return Buffer.concat([head, data, Buffer.alloc(data.length & 1)]);
+  }));
+  const head = Buffer.from("RIFF\0\0\0\0WEBP", "latin1");
+  head.writeUInt32LE(body.length + 4, 4);
+  return Buffer.concat([head, body]);
+}
+
+const webpUrl = (bytes) => "data:image/webp;base64," + bytes.toString("base64");
+
+// lossless bitstream header: signature, 14-bit width-1 / height-1, alpha bit, 3-bit version
+function vp8l(width, height, version){
+  const head = Buffer.alloc(5);
+  head[0] = 0x2f;
+  head.writeUInt32LE(((width - 1) | ((height - 1) << 14) | ((version || 0) << 29)) >>> 0, 1);
+  return ["VP8L", Buffer.concat([head, Buffer.from([0, 0, 0])])];
+}
+
+// lossy keyframe: frame tag (keyframe, version 0, shown, 1-byte first partition), start code, size
+function vp8(width, height, tag){
+  const d = Buffer.alloc(11);
+  d.writeUIntLE(tag ?? ((1 << 5) | (1 << 4)), 0, 3);
+  d[3] = 0x9d; d[4] = 0x01; d[5] = 0x2a;
+  d.writeUInt16LE(width, 6);
+  d.writeUInt16LE(height, 8);
+  return ["VP8 ", d];
+}
+
+function vp8x(width, height, flags){
+  const d = Buffer.alloc(10);
+  d[0] = flags;
+  d.writeUIntLE(width - 1, 4, 3);
+  d.writeUIntLE(height - 1, 7, 3);
+  return ["VP8X", d];
+}
+
+test("still WebP frames are accepted and served back as WebP", async (t) => {
+  const srv = await startTestServer();
+  t.after(() => srv.stop());
+  const a = await srv.connect();
+  for (const image of [vp8l(2, 3), vp8(2, 3)]){
+    const created = await a.request("create_public_and_submit", { theme: "x", dataUrl: webpUrl(riff([image])) });
+    assert.equal(created.t, "created_public");
+    const f = await a.request("get_frame", { roomId: created.data.roomId, frameIndex: 0 });
+    assert.equal(f.data.dataUrl, webpUrl(riff([image])));
+  }
+});
+
+test("WebP dimensions are checked against the canvas and the max size", async (t) => {
+  const fixed = await startTestServer({ config: { CANVAS_WIDTH: 4, CANVAS_HEIGHT: 4 } });
+  t.after(() => fixed.stop());
+  const a = await fixed.connect();
+  const create = (chunks) => a.request("create_public_and_submit", { theme: "x", dataUrl: webpUrl(riff(chunks)) });
+  assert.equal((await create([vp8l(4, 3)])).data.code, "IMAGE_BAD_DIMENSIONS");
+  assert.equal((await create([vp8(3, 4)])).data.code, "IMAGE_BAD_DIMENSIONS");
+  assert.equal((await create([vp8x(4, 4, 0), vp8l(4, 4)])).t, "created_public");
+
+  const capped = await startTestServer({ config: { CANVAS_MAX_WIDTH: 16, CANVAS_MAX_HEIGHT: 16 } });
+  t.after(() => capped.stop());
+  const b = await capped.connect();
+  const r = await b.request("create_public_and_submit", { theme: "x", dataUrl: webpUrl(riff([vp8l(17, 1)])) });
+  assert.equal(r.data.code, "IMAGE_BAD_DIMENSIONS");
+});
+
+test("animated WebP is refused", async (t) => {
+  const srv = await startTestServer();
+  t.after(() => srv.stop());
+  const a = await srv.connect();
+  const create = (chunks) => a.request("create_public_and_submit", { theme: "x", dataUrl: webpUrl(riff(chunks)) });
+  assert.equal((await create([vp8x(1, 1, 0x02), vp8l(1, 1)])).data.code, "IMAGE_ANIMATED");
+  assert.equal((await create([vp8x(1, 1, 0), ["ANIM", Buffer.alloc(6)], ["ANMF", Buffer.alloc(16)]])).data.code, "IMAGE_ANIMATED");
+  assert.equal(srv.app.store.listRoomIds().length, 0);
+});
+
+test("WebP metadata chunks are stripped and their VP8X flags cleared", async (t) => {
+  const srv = await startTestServer();
+  t.after(() => srv.stop());
+  const a = await srv.connect();
+  const sent = riff([vp8x(1, 1, 0x20 | 0x08 | 0x04), ["ICCP", Buffer.from("icc")], vp8l(1, 1), ["EXIF", Buffer.from("gps")], ["XMP ", Buffer.from("<x/>")]]);
+  const created = await a.request("create_public_and_submit", { theme: "x", dataUrl: webpUrl(sent) });
+  const f = await a.request("get_frame", { roomId: created.data.roomId, frameIndex: 0 });
+  assert.equal(f.data.dataUrl, webpUrl(riff([vp8x(1, 1, 0), vp8l(1, 1)])));
+});
+
+test("WebP containers outside the still-image layout are corrupt", async (t) => {
+  const srv = await startTestServer();
+  t.after(() => srv.stop());
+  const a = await srv.connect();
+  const create = (bytes) => a.request("create_public_and_submit", { theme: "x", dataUrl: webpUrl(bytes) });
+  const bad = [
+    Buffer.concat([riff([vp8l(1, 1)]), Buffer.from("<script>alert(1)</script>")]), // bytes past the RIFF size
+    riff([vp8l(1, 1), ["JUNK", Buffer.from("<script>")]]),                             // unknown chunk
+    riff([vp8l(1, 1), vp8l(1, 1)]),                                                     // two images
+    riff([vp8l(1, 1, 1)]),                                                              // VP8L version 1
+    riff([vp8(1, 1, (1 << 5) | (1 << 4) | 1)]),                                         // not a keyframe
+    riff([vp8(1, 1, (100 << 5) | (1 << 4))]),                                           // partition past the chunk
+    riff([vp8x(2, 2, 0), vp8l(1, 1)]),                                                  // VP8X disagrees with the bitstream
+    riff([["EXIF", Buffer.from("x")], vp8l(1, 1)]),                                     // metadata without VP8X
+  ];
+  for (const bytes of bad) assert.equal((await create(bytes)).data.code, "IMAGE_CORRUPT");
+  assert.equal(srv.app.store.listRoomIds().length, 0);
+});
+
+test("PNG frames are checked: mime, size and integrity", async (t) => {
+  const srv = await startTestServer({ config: { CANVAS_MAX_WIDTH: 16, CANVAS_MAX_HEIGHT: 16 } });
+  t.after(() => srv.stop());
+  const a = await srv.connect();
+  const create = (dataUrl) => a.request("create_public_and_submit", { theme: "x", dataUrl });
+  assert.equal((await create(PNG_1PX.replace("image/png", "image/gif"))).data.code, "IMAGE_MIME_MISMATCH");
+  assert.equal((await create(pngDataUrl(17, 1, () => [0, 0, 0, 255]))).data.code, "IMAGE_BAD_DIMENSIONS");
+  const bytes = Buffer.from(PNG_1PX.split(",")[1], "base64");
+  bytes[bytes.length - 20] ^= 0xff;
+  assert.equal((await create("data:image/png;base64," + bytes.toString("base64"))).data.code, "IMAGE_CORRUPT");
+  assert.equal((await create(PNG_1PX)).t, "created_public");
+});
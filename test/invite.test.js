@@ -0,0 +1,80 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { startTestServer, PNG_1PX, backupDirs } = require("./helpers");
+
+async function ownedRoom(t, extra){
+  const srv = await startTestServer();
+  t.after(() => srv.stop());
+  const owner = await srv.connect();
+  const created = await owner.request("create_public_and_submit", Object.assign({ theme: "mine", dataUrl: PNG_1PX }, extra));
+  return { srv, owner, roomId: created.data.roomId, ownerToken: created.data.ownerToken };
+}
+
+test("publish_room turns an invite-only room public", async (t) => {
+  const { srv, owner, roomId, ownerToken } = await ownedRoom(t, { visibility: "invite", passphrase: "open sesame" });
+  const guest = await srv.connect();
+  assert.equal((await guest.request("join_by_id", { roomId })).data.code, "PASSPHRASE_REQUIRED");
+  const r = await owner.request("publish_room", { roomId, ownerToken });
+  assert.equal(r.data.visibility, "public");
+  assert.equal((await guest.request("join_by_id", { roomId })).t, "room_joined");
+});
+
+test("invite rooms: hashed passphrase, wrong guesses refused, hidden from random join and the HTTP API", async (t) => {
+  const { srv, roomId } = await ownedRoom(t, { visibility: "invite", passphrase: "open sesame" });
+  const raw = String(srv.app.store.read("rooms/" + roomId + ".json"));
+  assert.equal(raw.includes("open sesame"), false);
+  assert.match(JSON.parse(raw).passphraseHash, /^scrypt:/);
+
+  const guest = await srv.connect();
+  assert.equal((await guest.request("join_by_id", { roomId, passphrase: "wrong one" })).data.code, "WRONG_PASSPHRASE");
+  assert.equal((await guest.request("get_frame", { roomId, frameIndex: 0 })).data.code, "PASSPHRASE_REQUIRED");
+  assert.equal((await guest.request("join_random", {})).data.code, "NO_OPEN_ROOMS");
+  assert.equal((await fetch(srv.base + "/api/rooms/" + roomId)).status, 404);
+
+  assert.equal((await guest.request("join_by_id", { roomId, passphrase: "open sesame" })).t, "room_joined");
+  assert.equal((await guest.request("get_frame", { roomId, frameIndex: 0 })).t, "frame_data");
+});
+
+test("a passphrase check does not hold up the socket's later messages out of order, nor other sockets", async (t) => {
+  const { srv, roomId } = await ownedRoom(t, { visibility: "invite", passphrase: "open sesame" });
+  const guest = await srv.connect();
+  const other = await srv.connect();
+  const order = [];
+  const join = guest.request("join_by_id", { roomId, passphrase: "open sesame" }).then((m) => { order.push("join"); return m; });
+  const frame = guest.request("get_frame", { roomId, frameIndex: 0 }).then((m) => { order.push("frame"); return m; });
+  await other.request("hello", {}).then(() => order.push("other"));
+  assert.equal((await join).t, "room_joined");
+  // queued behind the join, so access was already granted when it ran
+  assert.equal((await frame).t, "frame_data");
+  assert.deepEqual(order, ["other", "join", "frame"]);
+});
+
+test("a room deleted while its passphrase is being checked is not joined", async (t) => {
+  const { srv, owner, roomId, ownerToken } = await ownedRoom(t, { visibility: "invite", passphrase: "open sesame" });
+  const guest = await srv.connect();
+  const join = guest.request("join_by_id", { roomId, passphrase: "open sesame" });
+  await owner.request("owner_delete_room", { roomId, ownerToken });
+  assert.equal((await join).data.code, "ROOM_NOT_FOUND");
+  assert.equal(srv.app.store.exists("rooms/" + roomId + ".json"), false);
+});
+
+test("shutdown waits for a create that is still hashing its passphrase, so the room is backed up", async (t) => {
+  // slow scrypt down and learn when it starts (the server picks crypto.scrypt up when it is created)
+  const realScrypt = crypto.scrypt;
+  let hashing;
+  const started = new Promise((resolve) => { hashing = resolve; });
+  crypto.scrypt = (...args) => { hashing(); setTimeout(() => realScrypt(...args), 100); };
+  t.after(() => { crypto.scrypt = realScrypt; });
+  const srv = await startTestServer();
+  t.after(() => srv.stop());
+  const a = await srv.connect();
+
+  a.send("create_public_and_submit", { theme: "late", dataUrl: PNG_1PX, visibility: "invite", passphrase: "open sesame" });
+  await started;
+  await srv.app.shutdown("SIGTERM");
+  const created = await a.next("created_public");
+  const [dir] = backupDirs(srv.app.store);
+  const manifest = JSON.parse(String(srv.app.store.read("backups/" + dir + "/manifest.json")));
+  assert.deepEqual(manifest.rooms, [created.data.roomId]);
+});
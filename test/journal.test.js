@@ -0,0 +1,80 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createTestApp, startTestServer, PNG_1PX } = require("./helpers");
+
+function indexedRooms(store){
+  const idx = store.listIndex();
+  return Object.keys(idx?.rooms || {}).sort();
+}
+
+async function roomsWithJournal(){
+  const srv = await startTestServer();
+  const a = await srv.connect();
+  const ids = [];
+  for (let i=0;i<3;i++) ids.push((await a.request("create_public_and_submit", { theme: "room " + i, dataUrl: PNG_1PX })).data.roomId);
+  await srv.stop();
+  assert.ok(srv.app.store.exists("rooms_index.journal"));
+  return { store: srv.app.store, ids: ids.sort() };
+}
+
+function journalLines(store){
+  return String(store.read("rooms_index.journal")).trim().split("\n").map(l => JSON.parse(l));
+}
+
+test("restart replays the journal on top of the index file", async () => {
+  const { store, ids } = await roomsWithJournal();
+  const lines = journalLines(store);
+  const metaOf = (rid) => lines.filter(l => l.roomId === rid).pop().meta;
+  // the index knows room 0, the journal adds room 1; room 2 is on disk only and must not be rebuilt in
+  store.write("rooms_index.json", JSON.stringify({ schemaVersion: 1, rooms: { [ids[0]]: metaOf(ids[0]) } }));
+  store.write("rooms_index.journal", lines.filter(l => l.roomId === ids[1]).map(l => JSON.stringify(l) + "\n").join(""));
+  const { app } = createTestApp({ store });
+  assert.deepEqual(indexedRooms(app.store), ids.slice(0, 2));
+  assert.equal(app.store.exists("rooms_index.journal"), false);
+});
+
+test("a missing index file is rebuilt from the room files before the journal is replayed", async () => {
+  const { store, ids } = await roomsWithJournal();
+  // journal holds only the newest change: replaying it alone would index a single room
+  store.remove("rooms_index.json");
+  const meta = journalLines(store).pop().meta;
+  store.write("rooms_index.journal", JSON.stringify({ op: "updated", roomId: meta.roomId, ts: 1, meta: Object.assign({}, meta, { theme: "from journal" }) }) + "\n");
+  const logs = [];
+  const { app } = createTestApp({ store, log: (e) => logs.push(e) });
+  assert.deepEqual(indexedRooms(app.store), ids);
+  assert.equal(app.store.listIndex().rooms[meta.roomId].theme, "from journal");
+  assert.ok(logs.some(e => e.event === "index_rebuilt" && e.reason === "missing_index"));
+});
+
+test("a torn last journal line is skipped", async () => {
+  const { store, ids } = await roomsWithJournal();
+  store.append("rooms_index.journal", '{"op":"deleted","roomId":"');
+  const { app } = createTestApp({ store });
+  assert.deepEqual(indexedRooms(app.store), ids);
+});
+
+test("a deleted entry in the journal removes the room from the index", async () => {
+  const { store, ids } = await roomsWithJournal();
+  store.append("rooms_index.journal", JSON.stringify({ op: "deleted", roomId: ids[0], ts: 1, meta: null }) + "\n");
+  const { app } = createTestApp({ store });
+  assert.deepEqual(indexedRooms(app.store), ids.slice(1));
+});
+
+test("a room that fails to save is logged and never reaches the journal", async () => {
+  const logs = [];
+  const srv = await startTestServer({ log: (e) => logs.push(e) });
+  try{
+    const a = await srv.connect();
+    const { data: { roomId } } = await a.request("create_public_and_submit", { theme: "x", dataUrl: PNG_1PX });
+    const before = String(srv.app.store.read("rooms_index.journal"));
+    const putRoom = srv.app.store.putRoom;
+    srv.app.store.putRoom = () => { throw new Error("disk full"); };
+    const j = await a.request("join_by_id", { roomId });
+    await a.request("submit_frame", { roomId, frameIndex: j.data.assignedFrame, reservationToken: j.data.reservationToken, dataUrl: PNG_1PX });
+    srv.app.store.putRoom = putRoom;
+    assert.equal(String(srv.app.store.read("rooms_index.journal")), before);
+    assert.ok(logs.some(e => e.event === "room_save_failed" && e.roomId === roomId && e.message === "disk full"));
+  }finally{
+    await srv.stop();
+  }
+});
@@ -0,0 +1,56 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createTestApp, startTestServer, PNG_1PX } = require("./helpers");
+
+// a room file as written before schema versions existed: 60 embedded dataUrl frames, bare index map
+function seedLegacyData(store){
+  const frames = Array.from({ length: 60 }, (_, i) => (i === 0 || i === 45) ? PNG_1PX : null);
+  const committed = frames.map(Boolean);
+  store.write("rooms/LEGACY1.json", JSON.stringify({ roomId: "LEGACY1", theme: "old", frames, committed, createdAt: 1, updatedAt: 2, phase: "DRAWING", reservations: [] }));
+  store.write("rooms_index.json", JSON.stringify({ LEGACY1: { roomId: "LEGACY1", theme: "old", createdAt: 1, updatedAt: 2 } }));
+}
+
+test("migrate: dry run reports the steps and changes nothing", () => {
+  const { app } = createTestApp();
+  seedLegacyData(app.store);
+  const before = String(app.store.read("rooms/LEGACY1.json"));
+  const report = app.migrate({ dryRun: true });
+  assert.equal(report.ok, true);
+  assert.equal(report.summary.migrated, 1);
+  assert.deepEqual(report.items[0].steps, ["frames_30", "frame_blobs", "room_shape"]);
+  assert.equal(String(app.store.read("rooms/LEGACY1.json")), before);
+});
+
+test("migrate: old rooms move to blobs and the current shape, dropped frames are archived", () => {
+  const { app } = createTestApp();
+  seedLegacyData(app.store);
+  const report = app.migrate({ dryRun: false });
+  assert.equal(report.ok, true);
+  assert.equal(report.index.to, report.schemaVersion.index);
+
+  const doc = JSON.parse(String(app.store.read("rooms/LEGACY1.json")));
+  assert.equal(doc.schemaVersion, report.schemaVersion.room);
+  assert.equal(doc.frames, undefined);
+  assert.equal(doc.committed.length, 30);
+  assert.match(doc.frameBlobs[0], /^[0-9a-f]{64}\.png$/);
+  assert.equal(doc.frameCount, 30);
+  assert.equal(doc.fps, 6);
+  // frame 45 only survives in the archived original
+  assert.ok(app.store.exists("archive/rooms/LEGACY1.schema0.json"));
+
+  const again = app.migrate({ dryRun: false });
+  assert.equal(again.summary.migrated, 0);
+  assert.equal(again.summary.upToDate, 1);
+});
+
+test("old rooms are migrated on load and stay usable", async (t) => {
+  const srv = await startTestServer();
+  t.after(() => srv.stop());
+  seedLegacyData(srv.app.store);
+  const a = await srv.connect();
+  const j = await a.request("join_by_id", { roomId: "LEGACY1" });
+  assert.equal(j.t, "room_joined");
+  assert.equal(j.data.filled.length, 30);
+  const f = await a.request("get_frame", { roomId: "LEGACY1", frameIndex: 0 });
+  assert.equal(f.data.dataUrl, PNG_1PX);
+});
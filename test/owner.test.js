@@ -0,0 +1,49 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestServer, PNG_1PX } = require("./helpers");
+
+async function ownedRoom(t, extra){
+  const srv = await startTestServer();
+  t.after(() => srv.stop());
+  const owner = await srv.connect();
+  const created = await owner.request("create_public_and_submit", Object.assign({ theme: "mine", dataUrl: PNG_1PX }, extra));
+  return { srv, owner, roomId: created.data.roomId, ownerToken: created.data.ownerToken };
+}
+
+test("only the hash of the owner token is stored", async (t) => {
+  const { srv, roomId, ownerToken } = await ownedRoom(t);
+  assert.match(ownerToken, /^[A-Za-z0-9_-]{20,}$/);
+  const raw = String(srv.app.store.read("rooms/" + roomId + ".json"));
+  assert.equal(raw.includes(ownerToken), false);
+  assert.match(JSON.parse(raw).ownerTokenHash, /^[0-9a-f]{64}$/);
+});
+
+test("owner_update_room: the token holder can retheme, anyone else gets NOT_OWNER", async (t) => {
+  const { srv, owner, roomId, ownerToken } = await ownedRoom(t);
+  const other = await srv.connect();
+  const denied = await other.request("owner_update_room", { roomId, ownerToken: "x".repeat(32), theme: "hijack" });
+  assert.equal(denied.data.code, "NOT_OWNER");
+  const ok = await owner.request("owner_update_room", { roomId, ownerToken, theme: "fixed" });
+  assert.equal(ok.t, "room_updated");
+  assert.deepEqual(ok.data.changed, ["theme"]);
+  assert.equal(ok.data.theme, "fixed");
+});
+
+test("owner_delete_room removes the room; a quarantined room is refused", async (t) => {
+  const { srv, owner, roomId, ownerToken } = await ownedRoom(t);
+  const admin = (mode) => fetch(srv.base + "/admin/quarantine?roomId=" + roomId + "&mode=" + mode).then(r => r.json());
+
+  assert.equal((await admin("on")).quarantined, true);
+  const refused = await owner.request("owner_delete_room", { roomId, ownerToken });
+  assert.equal(refused.data.code, "ROOM_NOT_FOUND");
+  assert.ok(srv.app.store.exists("rooms/" + roomId + ".json"));
+
+  await admin("off");
+  // the owner is still inside the room it created: the reply is direct and carries the reqId
+  const deleted = await owner.request("owner_delete_room", { roomId, ownerToken });
+  assert.equal(deleted.t, "room_deleted");
+  assert.equal(deleted.data.roomId, roomId);
+  await assert.rejects(owner.next("room_deleted", 200));
+  assert.equal(srv.app.store.exists("rooms/" + roomId + ".json"), false);
+  assert.equal((await owner.request("join_by_id", { roomId })).data.code, "ROOM_NOT_FOUND");
+});
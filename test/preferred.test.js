@@ -0,0 +1,62 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestServer, PNG_1PX } = require("./helpers");
+
+async function room(t){
+  const srv = await startTestServer();
+  t.after(() => srv.stop());
+  const owner = await srv.connect();
+  const { data: { roomId, frameCount } } = await owner.request("create_public_and_submit", { theme: "x", dataUrl: PNG_1PX });
+  return { srv, roomId, frameCount };
+}
+
+test("join_by_id {preferredFrameIndex} reserves that frame when it is free", async (t) => {
+  const { srv, roomId, frameCount } = await room(t);
+  const a = await srv.connect();
+  const j = await a.request("join_by_id", { roomId, preferredFrameIndex: frameCount - 1 });
+  assert.equal(j.t, "room_joined");
+  assert.equal(j.data.assignedFrame, frameCount - 1);
+
+  const b = await srv.connect();
+  const taken = await b.request("join_by_id", { roomId, preferredFrameIndex: frameCount - 1 });
+  assert.equal(taken.data.code, "FRAME_NOT_FREE");
+  assert.equal(taken.data.state, "reserved");
+  assert.equal(taken.data.freeFrames.includes(frameCount - 1), false);
+  assert.equal(taken.data.freeFrames.length, frameCount - 2);
+
+  assert.equal((await b.request("join_by_id", { roomId, preferredFrameIndex: 0 })).data.state, "committed");
+  assert.equal((await b.request("join_by_id", { roomId, preferredFrameIndex: frameCount })).data.code, "INVALID_FRAME_INDEX");
+});
+
+test("join_room reserves only when preferredFrameIndex is given", async (t) => {
+  const { srv, roomId } = await room(t);
+  const a = await srv.connect();
+  const viewed = await a.request("join_room", { roomId });
+  assert.notEqual(viewed.t, "room_joined");
+  const j = await a.request("join_room", { roomId, preferredFrameIndex: 5 });
+  assert.equal(j.t, "room_joined");
+  assert.equal(j.data.assignedFrame, 5);
+});
+
+test("list_free_frames shows each frame's state without tokens; mine marks the caller's reservation", async (t) => {
+  const { srv, roomId, frameCount } = await room(t);
+  const a = await srv.connect();
+  await a.request("hello", {}); // `mine` follows the session hello hands out
+  const j = await a.request("join_by_id", { roomId, preferredFrameIndex: 2 });
+  const b = await srv.connect();
+
+  const seen = await b.request("list_free_frames", { roomId });
+  assert.equal(seen.t, "free_frames");
+  assert.equal(seen.data.frames.length, frameCount);
+  assert.deepEqual(seen.data.frames[0], { frameIndex: 0, state: "committed" });
+  assert.deepEqual(seen.data.frames[2], { frameIndex: 2, state: "reserved", reservedUntil: j.data.reservationExpiresAt, mine: false });
+  assert.deepEqual(seen.data.frames[1], { frameIndex: 1, state: "free" });
+  assert.equal(JSON.stringify(seen).includes(j.data.reservationToken), false);
+  assert.equal(seen.data.freeFrames.length, frameCount - 2);
+
+  assert.equal((await a.request("list_free_frames", { roomId })).data.frames[2].mine, true);
+
+  // an expired reservation shows as free again
+  srv.clock.advance(j.data.reservationExpiresAt - srv.clock.now());
+  assert.equal((await b.request("list_free_frames", { roomId })).data.frames[2].state, "free");
+});
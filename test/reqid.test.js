@@ -0,0 +1,27 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestServer, PNG_1PX } = require("./helpers");
+
+test("direct replies and errors echo the reqId; numbers and strings both work", async (t) => {
+  const srv = await startTestServer();
+  t.after(() => srv.stop());
+  const a = await srv.connect();
+  a.send("create_public_and_submit", { theme: "x", dataUrl: PNG_1PX }, { reqId: 42 });
+  assert.equal((await a.next("created_public")).reqId, 42);
+  a.send("join_by_id", { roomId: "ZZZZZZZ" }, { reqId: "join-1" });
+  const err = await a.next("error");
+  assert.equal(err.reqId, "join-1");
+  assert.equal(err.data.code, "ROOM_NOT_FOUND");
+});
+
+test("get_frame on a frame nobody has drawn yet answers FRAME_NOT_FOUND instead of staying silent", async (t) => {
+  const srv = await startTestServer();
+  t.after(() => srv.stop());
+  const a = await srv.connect();
+  const { data: { roomId } } = await a.request("create_public_and_submit", { theme: "x", dataUrl: PNG_1PX });
+  const r = await a.request("get_frame", { roomId, frameIndex: 5 });
+  assert.equal(r.t, "error");
+  assert.equal(r.data.code, "FRAME_NOT_FOUND");
+  assert.equal(r.data.frameIndex, 5);
+  assert.equal((await a.request("get_frame", { roomId, frameIndex: 0 })).data.dataUrl, PNG_1PX);
+});
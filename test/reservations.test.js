@@ -0,0 +1,65 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestServer, PNG_1PX } = require("./helpers");
+
+async function reserved(t, config){
+  const srv = await startTestServer({ config });
+  t.after(() => srv.stop());
+  const owner = await srv.connect();
+  const { data: { roomId } } = await owner.request("create_public_and_submit", { theme: "x", dataUrl: PNG_1PX });
+  const a = await srv.connect();
+  const j = await a.request("join_by_id", { roomId });
+  return { srv, owner, a, roomId, frameIndex: j.data.assignedFrame, reservationToken: j.data.reservationToken, expiresAt: j.data.reservationExpiresAt };
+}
+
+test("extend_reservation pushes the expiry out, up to RESERVATION_MAX_EXTENSIONS times", async (t) => {
+  const { srv, a, roomId, reservationToken, expiresAt } = await reserved(t, { RESERVATION_MS: 60_000, RESERVATION_EXTEND_MS: 120_000, RESERVATION_MAX_EXTENSIONS: 2 });
+  assert.equal(expiresAt, srv.clock.now() + 60_000);
+
+  const status = await a.request("reservation_status", { roomId, reservationToken });
+  assert.equal(status.data.valid, true);
+  assert.equal(status.data.extensionsLeft, 2);
+
+  srv.clock.advance(30_000);
+  const ext = await a.request("extend_reservation", { roomId, reservationToken });
+  assert.equal(ext.t, "reservation_extended");
+  assert.equal(ext.data.reservationExpiresAt, srv.clock.now() + 120_000);
+  assert.equal(ext.data.extensionsLeft, 1);
+  await a.request("extend_reservation", { roomId, reservationToken });
+  const refused = await a.request("extend_reservation", { roomId, reservationToken });
+  assert.equal(refused.data.code, "RESERVATION_EXTENSION_LIMIT");
+  assert.equal(refused.data.reservationExpiresAt, srv.clock.now() + 120_000);
+});
+
+test("cancel_reservation frees the frame at once and tells the room", async (t) => {
+  const { srv, owner, a, roomId, frameIndex, reservationToken } = await reserved(t);
+  const cancelled = await a.request("cancel_reservation", { roomId, reservationToken });
+  assert.deepEqual(cancelled.data, { roomId, frameIndex });
+  const released = await owner.next("frame_released");
+  assert.deepEqual([released.data.frameIndex, released.data.reason], [frameIndex, "cancelled"]);
+
+  assert.equal((await a.request("reservation_status", { roomId, reservationToken })).data.valid, false);
+  assert.equal((await a.request("extend_reservation", { roomId, reservationToken })).data.code, "RESERVATION_EXPIRED");
+  const b = await srv.connect();
+  assert.equal((await b.request("join_by_id", { roomId })).data.assignedFrame, frameIndex);
+});
+
+test("an expired reservation is released as expired and can no longer be extended", async (t) => {
+  const { srv, owner, a, roomId, frameIndex, reservationToken } = await reserved(t, { RESERVATION_MS: 60_000 });
+  srv.clock.advance(60_000);
+  assert.equal((await a.request("reservation_status", { roomId, reservationToken })).data.valid, false);
+  const released = await owner.next("frame_released");
+  assert.deepEqual([released.data.frameIndex, released.data.reason], [frameIndex, "expired"]);
+  assert.equal((await a.request("extend_reservation", { roomId, reservationToken })).data.code, "RESERVATION_EXPIRED");
+  assert.equal((await a.request("cancel_reservation", { roomId })).data.code, "RESERVATION_REQUIRED");
+});
+
+test("extend_reservation has its own rate limit window", async (t) => {
+  const { srv, a, roomId, reservationToken } = await reserved(t, { RATE_LIMITS: { extend_reservation: { windowMs: 10_000, max: 1 } }, RESERVATION_MAX_EXTENSIONS: 5 });
+  assert.equal((await a.request("extend_reservation", { roomId, reservationToken })).t, "reservation_extended");
+  const limited = await a.request("extend_reservation", { roomId, reservationToken });
+  assert.equal(limited.data.code, "RATE_LIMIT");
+  assert.ok(limited.data.retryAfterMs > 0);
+  srv.clock.advance(10_000);
+  assert.equal((await a.request("extend_reservation", { roomId, reservationToken })).t, "reservation_extended");
+});
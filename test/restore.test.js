@@ -0,0 +1,56 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { roomWithBackup, backupDirs, PNG_1PX } = require("./helpers");
+
+test("restore: a dry run only reports, a real run puts the room back as it was backed up", async (t) => {
+  const { srv, roomId, roomKey } = await roomWithBackup(t);
+  const app = srv.app;
+  const dry = app.restore({ roomId, dryRun: true });
+  assert.equal(dry.ok, true);
+  assert.equal(dry.items[0].action, "replace");
+  assert.equal(JSON.parse(String(app.store.read(roomKey))).committed.filter(Boolean).length, 2);
+
+  const done = app.restore({ roomId });
+  assert.equal(done.summary.replace, 1);
+  assert.equal(JSON.parse(String(app.store.read(roomKey))).committed.filter(Boolean).length, 1);
+
+  app.store.remove(roomKey);
+  assert.equal(app.restore({ roomId }).summary.add, 1);
+  assert.ok(app.store.exists(roomKey));
+});
+
+test("restore skips a backup whose checksum does not match", async (t) => {
+  const { srv, roomId } = await roomWithBackup(t);
+  const [dir] = backupDirs(srv.app.store);
+  srv.app.store.write("backups/" + dir + "/" + roomId + ".json", "{}");
+  const r = srv.app.restore({ roomId, dryRun: true });
+  assert.equal(r.items[0].action, "skip_corrupt");
+});
+
+test("restore lists rooms created after `at` and keeps, quarantines or removes them on request", async (t) => {
+  const { srv, a, roomId } = await roomWithBackup(t);
+  const app = srv.app;
+  const at = srv.clock.now();
+  srv.clock.advance(60_000);
+  const { data: { roomId: newer } } = await a.request("create_public_and_submit", { theme: "y", dataUrl: PNG_1PX });
+
+  const dry = app.restore({ at, dryRun: true });
+  assert.equal(dry.newerRooms, "keep");
+  assert.equal(dry.summary.keep_newer, 1);
+  assert.deepEqual(dry.items.find(it => it.roomId === newer).action, "keep_newer");
+  assert.equal(app.restore({ at, newerRooms: "nope" }).code, "INVALID_NEWER_ROOMS");
+
+  const q = app.restore({ at, newerRooms: "quarantine" });
+  assert.equal(q.summary.quarantine_newer, 1);
+  assert.equal((await a.request("join_by_id", { roomId: newer })).data.code, "ROOM_NOT_FOUND");
+
+  const b = await srv.connect();
+  const c = await srv.connect();
+  const { data: { roomId: newest } } = await b.request("create_public_and_submit", { theme: "z", dataUrl: PNG_1PX });
+  await c.request("join_by_id", { roomId: newest });
+  const r = app.restore({ at, roomId: newest, newerRooms: "remove" });
+  assert.equal(r.summary.remove_newer, 1);
+  assert.equal((await c.next("room_deleted")).data.roomId, newest);
+  assert.equal(app.store.exists("rooms/" + newest + ".json"), false);
+  assert.ok(app.store.exists("rooms/" + roomId + ".json"));
+});
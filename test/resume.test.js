@@ -0,0 +1,89 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestServer, PNG_1PX } = require("./helpers");
+
+test("resume replays missed events without any reqId, however often it runs", async (t) => {
+  const srv = await startTestServer();
+  t.after(() => srv.stop());
+  const owner = await srv.connect();
+  const { data: { roomId } } = await owner.request("create_public_and_submit", { theme: "x", dataUrl: PNG_1PX });
+
+  const b = await srv.connect();
+  const { data: { sessionToken } } = await b.request("hello", {});
+  await b.request("join_by_id", { roomId });
+  b.close();
+
+  const c = await srv.connect();
+  const j = await c.request("join_by_id", { roomId });
+  await c.request("submit_frame", { roomId, frameIndex: j.data.assignedFrame, reservationToken: j.data.reservationToken, dataUrl: PNG_1PX });
+
+  for (const reqId of ["first", "second"]){
+    const b2 = await srv.connect();
+    b2.send("hello", { sessionToken, lastSeq: 0 }, { reqId });
+    const resumed = await b2.next("session_resumed");
+    assert.equal(resumed.reqId, reqId);
+    assert.equal(resumed.data.roomId, roomId);
+    const missed = await b2.next("frame_committed");
+    assert.equal(missed.reqId, undefined);
+    b2.close();
+  }
+});
+
+test("broadcasts never carry the reqId of the message that caused them", async (t) => {
+  const srv = await startTestServer();
+  t.after(() => srv.stop());
+  const a = await srv.connect();
+  const { data: { roomId } } = await a.request("create_public_and_submit", { theme: "x", dataUrl: PNG_1PX });
+  const watcher = await srv.connect();
+  await watcher.request("join_by_id", { roomId });
+  const j = await a.request("join_by_id", { roomId });
+  const r = await a.request("submit_frame", { roomId, frameIndex: j.data.assignedFrame, reservationToken: j.data.reservationToken, dataUrl: PNG_1PX });
+  assert.ok(r.reqId);
+  const seen = await watcher.next("frame_committed");
+  assert.equal(seen.reqId, undefined);
+  const own = await a.next("frame_committed");
+  assert.equal(own.reqId, undefined);
+});
+
+test("a resumed socket is back in the room: it gets live events and its session follows them", async (t) => {
+  const srv = await startTestServer();
+  t.after(() => srv.stop());
+  const owner = await srv.connect();
+  const { data: { roomId } } = await owner.request("create_public_and_submit", { theme: "x", dataUrl: PNG_1PX });
+  const b = await srv.connect();
+  const { data: { sessionToken } } = await b.request("hello", {});
+  await b.request("join_by_id", { roomId });
+  b.close();
+
+  const b2 = await srv.connect();
+  await b2.request("hello", { sessionToken });
+  await b2.next("session_resumed");
+  const j = await owner.request("join_by_id", { roomId });
+  await owner.request("submit_frame", { roomId, frameIndex: j.data.assignedFrame, reservationToken: j.data.reservationToken, dataUrl: PNG_1PX });
+  const live = await b2.next("frame_committed");
+  assert.equal(live.data.frameIndex, j.data.assignedFrame);
+  b2.close();
+
+  // the live event was delivered, so resuming again (no lastSeq from the client) has nothing to replay
+  const b3 = await srv.connect();
+  await b3.request("hello", { sessionToken });
+  const resumed = await b3.next("session_resumed");
+  assert.equal(resumed.data.roomId, roomId);
+  assert.equal(resumed.data.missed, 0);
+});
+
+test("when the owner deletes the room, resuming into it finds nothing", async (t) => {
+  const srv = await startTestServer();
+  t.after(() => srv.stop());
+  const owner = await srv.connect();
+  const { data: { roomId, ownerToken } } = await owner.request("create_public_and_submit", { theme: "x", dataUrl: PNG_1PX });
+  const b = await srv.connect();
+  const { data: { sessionToken } } = await b.request("hello", {});
+  await b.request("join_by_id", { roomId });
+  owner.send("owner_delete_room", { roomId, ownerToken });
+  await b.next("room_deleted");
+  b.close();
+  const b2 = await srv.connect();
+  await b2.request("hello", { sessionToken });
+  assert.equal((await b2.next("session_resumed")).data.roomId, "");
+});
@@ -0,0 +1,40 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestServer, PNG_1PX, backupDirs } = require("./helpers");
+
+const closed = (client) => new Promise((resolve) => client.ws.once("close", (code, reason) => resolve({ code, reason: String(reason) })));
+
+test("shutdown tells clients when to come back, backs up dirty rooms and closes with 1012", async (t) => {
+  const srv = await startTestServer({ config: { SHUTDOWN_RECONNECT_MS: 3000, SHUTDOWN_RECONNECT_JITTER_MS: 500 } });
+  t.after(() => srv.stop());
+  const a = await srv.connect();
+  const { data: { roomId } } = await a.request("create_public_and_submit", { theme: "x", dataUrl: PNG_1PX });
+  assert.equal(backupDirs(srv.app.store).length, 0);
+
+  const gone = closed(a);
+  await srv.app.shutdown("SIGTERM");
+  const notice = await a.next("server_restarting");
+  assert.equal(notice.data.reason, "SIGTERM");
+  assert.ok(notice.data.reconnectAfterMs >= 3000 && notice.data.reconnectAfterMs <= 3500);
+  assert.deepEqual(await gone, { code: 1012, reason: "server_restarting" });
+
+  const [dir] = backupDirs(srv.app.store);
+  const manifest = JSON.parse(String(srv.app.store.read("backups/" + dir + "/manifest.json")));
+  assert.deepEqual(manifest.rooms, [roomId]);
+  assert.equal(srv.app.server.listening, false);
+});
+
+test("a client that never finishes the close handshake is cut off at the deadline", async (t) => {
+  const srv = await startTestServer({ config: { SHUTDOWN_DEADLINE_MS: 200 } });
+  t.after(() => srv.stop());
+  const a = await srv.connect();
+  await a.request("hello", {});
+  a.ws._socket.pause();
+  t.after(() => a.ws._socket.resume());
+  const [server] = srv.app.wss.clients;
+  const serverSide = new Promise((resolve) => server.once("close", resolve));
+  const started = Date.now();
+  await srv.app.shutdown("SIGTERM");
+  assert.ok(Date.now() - started >= 190);
+  await serverSide;
+});
@@ -0,0 +1,75 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createAnim5sServer } = require("../server.cjs");
+const { fakeClock, connect, PNG_1PX } = require("./helpers");
+
+function tmpDir(t){
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "anim5s-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function backends(t){
+  const config = { RATE_LIMITS: {}, ANIM_PRERENDER: "0" };
+  return [
+    createAnim5sServer({ clock: fakeClock(), config: Object.assign({ STORAGE_BACKEND: "memory" }, config), log: () => {} }),
+    createAnim5sServer({ clock: fakeClock(), dataDir: tmpDir(t), config: Object.assign({ STORAGE_BACKEND: "fs" }, config), log: () => {} }),
+  ];
+}
+
+test("the memory and fs backends behave the same for every primitive", (t) => {
+  for (const app of backends(t)){
+    const s = app.store;
+    s.write("a/b/one.txt", "1");
+    s.append("a/b/one.txt", "2");
+    s.append("a/log.txt", "x");
+    assert.equal(String(s.read("a/b/one.txt")), "12", s.kind);
+    assert.equal(s.read("a/missing.txt"), null, s.kind);
+    assert.equal(s.exists("a/b"), true, s.kind);
+    assert.deepEqual(s.list("a").sort(), ["b", "log.txt"], s.kind);
+    assert.deepEqual(s.listDeep("a").sort(), ["a/b/one.txt", "a/log.txt"], s.kind);
+
+    s.copy("a/b/one.txt", "c/copy.txt");
+    s.rename("a/log.txt", "c/d/log.txt");
+    assert.equal(String(s.read("c/copy.txt")), "12", s.kind);
+    assert.equal(s.exists("a/log.txt"), false, s.kind);
+    assert.ok(s.mtime("c/d/log.txt") > 0, s.kind);
+    assert.throws(() => s.rename("nope.txt", "x.txt"), undefined, s.kind);
+
+    s.remove("a");
+    assert.equal(s.exists("a/b/one.txt"), false, s.kind);
+    assert.deepEqual(s.list("a"), [], s.kind);
+    assert.equal(s.mtime("a/b/one.txt"), 0, s.kind);
+  }
+});
+
+test("a room written through either backend leaves the same keys and documents", async (t) => {
+  const results = [];
+  for (const app of backends(t)){
+    const { port } = await app.start(0, "127.0.0.1");
+    const a = await connect(port);
+    const { data: { roomId } } = await a.request("create_public_and_submit", { theme: "same", dataUrl: PNG_1PX });
+    a.close();
+    await app.stop();
+    const doc = app.store.getRoom(roomId);
+    results.push({
+      rooms: app.store.listRoomIds().length,
+      blobs: app.store.listDeep("blobs"),
+      doc: Object.assign({}, doc, { roomId: "", ownerTokenHash: "" }),
+      keys: app.store.listDeep("").map(k => k.replace(roomId, "ROOM")).sort(),
+    });
+  }
+  const [mem, disk] = results;
+  assert.equal(mem.rooms, 1);
+  assert.deepEqual(mem.blobs, disk.blobs);
+  assert.deepEqual(mem.doc, disk.doc);
+  assert.ok(mem.keys.includes("rooms/ROOM.json"));
+  assert.deepEqual(mem.keys, disk.keys);
+});
+
+test("an unknown STORAGE_BACKEND is refused", () => {
+  assert.throws(() => createAnim5sServer({ clock: fakeClock(), config: { STORAGE_BACKEND: "s3" }, log: () => {} }), /unknown STORAGE_BACKEND: s3/);
+});
@@ -0,0 +1,38 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestServer, PNG_1PX, pngDataUrl, completeRoom } = require("./helpers");
+
+test("templates set the room's frame count, fps and canvas; the room keeps them", async (t) => {
+  const srv = await startTestServer();
+  t.after(() => srv.stop());
+  const a = await srv.connect();
+  const short = await a.request("create_public_and_submit", { theme: "x", template: "short", background: "#102030", dataUrl: PNG_1PX });
+  assert.deepEqual([short.data.template, short.data.frameCount, short.data.fps], ["short", 12, 3]);
+  assert.equal(short.data.canvas.background, "#102030");
+  const standard = await a.request("create_public_and_submit", { theme: "y", dataUrl: PNG_1PX });
+  assert.deepEqual([standard.data.template, standard.data.frameCount, standard.data.fps], ["standard", 30, 6]);
+
+  // frame indices are checked against the room's own count
+  const roomId = short.data.roomId;
+  assert.equal((await a.request("get_frame", { roomId, frameIndex: 12 })).data.code, "INVALID_FRAME_INDEX");
+  assert.equal((await a.request("get_frame", { roomId, frameIndex: 11 })).data.code, "FRAME_NOT_FOUND");
+  assert.equal((await a.request("get_frames", { roomId })).data.frames.length, 12);
+
+  assert.equal((await a.request("create_public_and_submit", { theme: "z", template: "huge", dataUrl: PNG_1PX })).data.code, "INVALID_TEMPLATE");
+  assert.equal((await a.request("create_public_and_submit", { theme: "z", background: "red", dataUrl: PNG_1PX })).data.code, "INVALID_BACKGROUND");
+});
+
+test("ROOM_TEMPLATES adds templates; their canvas size is enforced and completion uses their frame count", async (t) => {
+  const srv = await startTestServer({ config: { ROOM_TEMPLATES: JSON.stringify({ square: { frameCount: 2, fps: 4, width: 2, height: 2 } }) } });
+  t.after(() => srv.stop());
+  const a = await srv.connect();
+  const square = pngDataUrl(2, 2, () => [0, 0, 0, 255]);
+  assert.equal((await a.request("create_public_and_submit", { theme: "x", template: "square", dataUrl: PNG_1PX })).data.code, "IMAGE_BAD_DIMENSIONS");
+
+  const { data: { roomId } } = await completeRoom(a, { theme: "x", template: "square", dataUrl: square });
+  const state = await (await fetch(srv.base + "/api/rooms/" + roomId)).json();
+  assert.equal(state.completed, true);
+  assert.deepEqual(state.canvas, { width: 2, height: 2, background: "#ffffff" });
+  const list = await a.request("list_public_completed", { sort: "new" });
+  assert.deepEqual(list.data.items.map(x => [x.roomId, x.frameCount, x.fps]), [[roomId, 2, 4]]);
+});